@@ -0,0 +1,17 @@
+const fs = require('fs').promises;
+
+// Writes through a temp file in the same directory and renames it over
+// `filePath`, so a crash or Ctrl+C leaves either the old file or the new one,
+// never half of it.
+const writeFileAtomic = async (filePath, data) => {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+};
+
+module.exports = { writeFileAtomic };
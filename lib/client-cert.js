@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+// Signs a client certificate for `commonName` with the proxy's own
+// self-signed cert and key, which `selfsigned` marks as a CA. selfsigned's
+// built-in client certs are signed with SHA-1, which OpenSSL 3 rejects, so
+// this signs with SHA-256 through forge directly.
+const createClientCert = ({ caCert, caKey, commonName, days = 365, keySize = 2048 }) => {
+  const issuer = forge.pki.certificateFromPem(caCert);
+  const keys = forge.pki.rsa.generateKeyPair(keySize);
+  const cert = forge.pki.createCertificate();
+  cert.serialNumber = `01${crypto.randomBytes(9).toString('hex')}`;
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  cert.setSubject([{ name: 'commonName', value: commonName }]);
+  cert.setIssuer(issuer.subject.attributes);
+  cert.publicKey = keys.publicKey;
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+    { name: 'extKeyUsage', clientAuth: true }
+  ]);
+  cert.sign(forge.pki.privateKeyFromPem(caKey), forge.md.sha256.create());
+  return {
+    cert: forge.pki.certificateToPem(cert),
+    key: forge.pki.privateKeyToPem(keys.privateKey)
+  };
+};
+
+module.exports = { createClientCert };
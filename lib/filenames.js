@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const isJapanese = (value) => /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9faf]/.test(value);
+
+// Directory names such as "Vol.1" have no extension worth preserving.
+const splitFileName = (fileName, isDirectory = false) => {
+  const extension = isDirectory ? '' : path.extname(fileName);
+  const baseName = extension ? fileName.slice(0, -extension.length) : fileName;
+  return { baseName, extension };
+};
+
+// Key for the name cache: NFKC folds full-width/half-width variants, so the
+// same title typed on different systems still matches.
+const normalizeNameKey = (name) => name.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// The name cache matches base names, so `Title.zip` and `Title.cbz` share a
+// translation; files and folders are told apart by `is_directory`.
+const nameCacheKey = (fileName, isDirectory = false) => normalizeNameKey(splitFileName(fileName, isDirectory).baseName);
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+module.exports = { isJapanese, splitFileName, normalizeNameKey, nameCacheKey, hashFile };
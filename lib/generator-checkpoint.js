@@ -0,0 +1,39 @@
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('./atomic-file');
+const { DEFAULT_TARGET } = require('./languages');
+
+const CHECKPOINT_VERSION = 1;
+
+// Next to the DB rather than the JSON output, since that is what the run
+// writes to as it goes. Runs into other target languages get their own, so
+// an interrupted run is not overwritten by one for another language.
+const checkpointPathFor = (storePath, target = DEFAULT_TARGET) =>
+  target === DEFAULT_TARGET ? `${storePath}.checkpoint.json` : `${storePath}.${target}.checkpoint.json`;
+
+// `state` holds the input directory, the counts and failures so far, and the
+// entries that still need the provider together with their attempts.
+const saveCheckpoint = (filePath, state) =>
+  writeFileAtomic(
+    filePath,
+    JSON.stringify({ version: CHECKPOINT_VERSION, updatedAt: new Date().toISOString(), ...state })
+  );
+
+// Null when there is no checkpoint to resume from.
+const loadCheckpoint = async (filePath) => {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  const checkpoint = JSON.parse(raw);
+  if (checkpoint?.version !== CHECKPOINT_VERSION || !Array.isArray(checkpoint.remaining)) {
+    throw new Error(`${filePath} is not a generator checkpoint this version can resume.`);
+  }
+  return checkpoint;
+};
+
+const removeCheckpoint = (filePath) => fs.rm(filePath, { force: true });
+
+module.exports = { checkpointPathFor, saveCheckpoint, loadCheckpoint, removeCheckpoint };
@@ -0,0 +1,64 @@
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-file');
+
+const COUNT_LABELS = [
+  ['scanned', 'Scanned'],
+  ['total', 'Sent to the provider'],
+  ['translated', 'Translated'],
+  ['reused', 'Reused from the name cache'],
+  ['failed', 'Failed'],
+  ['previouslyFailed', 'Left out after failing before'],
+  ['skipped', 'Not Japanese']
+];
+
+const formatDuration = (ms) => {
+  if (ms < 1000) return `${Math.round(ms)} ms`;
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)} s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} min ${Math.round(seconds % 60)} s`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const cell = (value) => `${value ?? ''}`.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+const renderMarkdownReport = (summary) => {
+  const { durations } = summary;
+  const perName = summary.translated > 0 ? formatDuration(durations.translateMs / summary.translated) : '-';
+  const lines = [
+    '# Translation run report',
+    '',
+    `- Input: ${summary.input}`,
+    `- Output: ${summary.storePath}`,
+    `- Provider: ${summary.provider}`,
+    `- State: ${summary.state}${summary.resumed ? ' (resumed)' : ''}`,
+    `- Started: ${summary.startedAt}`,
+    `- Finished: ${summary.finishedAt}`,
+    '',
+    '| Entries | Count |',
+    '| --- | --- |',
+    ...COUNT_LABELS.map(([key, label]) => `| ${label} | ${summary[key]} |`),
+    '',
+    '| Phase | Duration |',
+    '| --- | --- |',
+    `| Scanning | ${formatDuration(durations.scanMs)} |`,
+    `| Translating | ${formatDuration(durations.translateMs)} |`,
+    `| Per translated name | ${perName} |`,
+    `| Total | ${formatDuration(durations.totalMs)} |`
+  ];
+  if (summary.failures.length > 0) {
+    lines.push('', `## Failures (${summary.failures.length})`, '', '| Path | Attempts | Error |', '| --- | --- | --- |');
+    summary.failures.forEach((failure) => {
+      lines.push(`| ${cell(failure.filePath)} | ${failure.attempts} | ${cell(failure.error)} |`);
+    });
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+// Markdown for a `.md` path, JSON otherwise.
+const writeReport = (filePath, summary) => {
+  const isMarkdown = path.extname(filePath).toLowerCase() === '.md';
+  return writeFileAtomic(filePath, isMarkdown ? renderMarkdownReport(summary) : JSON.stringify(summary, null, 2));
+};
+
+module.exports = { renderMarkdownReport, writeReport };
@@ -0,0 +1,119 @@
+const DEFAULT_TARGET = 'en';
+
+// Languages the generator and live translation translate from unless told
+// otherwise. Romaji is left out: most Latin-script names are fine as they are.
+const DEFAULT_SOURCES = ['ja', 'zh', 'ko', 'mixed'];
+
+const LANGUAGE_NAMES = {
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean',
+  mixed: 'mixed CJK scripts',
+  romaji: 'romaji',
+  other: 'another language'
+};
+
+const SCRIPTS = {
+  kana: /[\u3040-\u30ff\u31f0-\u31ff\uff66-\uff9f]/g,
+  hangul: /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/g,
+  han: /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g,
+  latin: /[A-Za-z\u00c0-\u024f]/g
+};
+
+// Simplified forms Japanese does not use and common Chinese function words.
+// Kanji-only names without any of them are taken to be Japanese.
+const CHINESE_HINTS = new RegExp(
+  `[${[
+    '的们这个么吗说为过还对从见样实现经话进时长开问让给动头两种总书车门东马鸟龙义乐习买亚产亲价优众创务华',
+    '单卖卫厂历压县发变听员图场处备复夺奋妇宁审宽导层岁岛币师带帮库应庆废张归录彻态恶报护换杀权极构枪档桥',
+    '梦检欢气汉沟泽洁测济滚满灭灵热爱爷牵狮猎环电畅疗监盖盘确积穷窗笔签简类红纪约纯纲纳纵线练组细终绘绝统',
+    '继绩续维绵综绿缘网罗罚联肃胜脑艺节苏药获虑虽补观规视览计订认讨议讯记讲论设访证评识诉词译试诗诚该详语',
+    '误请读谁课谈谢谱贝负贡财责贤败货质购贯贵费贺资赏赔赛赶跃践转轮软轻载较辆辈辉输边达迁运远违连迟选递逻',
+    '遗邮释针钟钢钱铁银销锁错键镇闪闭闲间闹闻阅阔队阳阴阵阶际陆陈险隐难雾顶项顺顾领频题颜额风飞饭饮馆驱驾',
+    '验骑鱼鲜鸡鸣齐龄龟'
+  ].join('')}]`
+);
+const JAPANESE_HINTS = /[\u3005\u3006\u3007]/;
+
+// A romanized Japanese syllable sequence such as "shingeki" or "kyojin".
+const ROMAJI_WORD =
+  /^(?:(?:([bcdfghjkmprstwz])\1)?(?:ky|gy|sh|ch|ny|hy|my|ry|by|py|ts|[kgsztdnhbpmyrwjf])?[aiueo]|n)+$/;
+const ROMAJI_PARTICLES = new Set(['no', 'wa', 'ga', 'wo', 'ni', 'de', 'to', 'mo', 'ka', 'na']);
+const MACRONS = { ā: 'a', ī: 'i', ū: 'u', ē: 'e', ō: 'o', â: 'a', î: 'i', û: 'u', ê: 'e', ô: 'o' };
+
+const countScripts = (text) =>
+  Object.fromEntries(Object.entries(SCRIPTS).map(([script, pattern]) => [script, (text.match(pattern) || []).length]));
+
+// Mostly syllables that spell Japanese, plus at least one particle, so titles
+// like "Kimi no Na wa" count and English ones rarely do.
+const looksLikeRomaji = (text) => {
+  const words = (text.toLowerCase().match(/[a-zāīūēōâîûêô]+/g) || []).map((word) =>
+    word.replace(/[āīūēōâîûêô]/g, (vowel) => MACRONS[vowel])
+  );
+  if (words.length < 2 || !words.some((word) => ROMAJI_PARTICLES.has(word))) return false;
+  return words.filter((word) => ROMAJI_WORD.test(word)).length / words.length >= 0.75;
+};
+
+// Checked in order; the first whose `detect(text, scripts)` returns true
+// names the language. `scripts` counts kana, hangul, han and latin letters.
+const DETECTORS = [
+  { language: 'mixed', detect: (text, scripts) => scripts.kana > 0 && scripts.hangul > 0 },
+  { language: 'ko', detect: (text, scripts) => scripts.hangul > 0 },
+  { language: 'ja', detect: (text, scripts) => scripts.kana > 0 },
+  {
+    language: 'zh',
+    detect: (text, scripts) => scripts.han > 0 && CHINESE_HINTS.test(text) && !JAPANESE_HINTS.test(text)
+  },
+  { language: 'ja', detect: (text, scripts) => scripts.han > 0 },
+  { language: 'romaji', detect: (text, scripts) => scripts.latin > 0 && looksLikeRomaji(text) }
+];
+
+// Detectors registered later are checked first, so they can override the
+// built-in ones for names they recognize.
+const registerDetector = (language, detect) => {
+  DETECTORS.unshift({ language, detect });
+};
+
+// The source language of a name: `ja`, `zh`, `ko`, `mixed` (Japanese and
+// Korean together), `romaji`, a registered language, or `other`.
+const detectLanguage = (text) => {
+  const value = `${text || ''}`;
+  const scripts = countScripts(value);
+  return DETECTORS.find(({ detect }) => detect(value, scripts))?.language || 'other';
+};
+
+// `zh-Hant` and `zh` are the same language as far as skipping goes.
+const baseLanguage = (code) => `${code || ''}`.toLowerCase().split(/[-_]/)[0];
+
+// Whether a name in `language` should be translated into `target`.
+const shouldTranslate = (language, { target = DEFAULT_TARGET, sources = DEFAULT_SOURCES } = {}) =>
+  sources.includes(language) && baseLanguage(target) !== language;
+
+// Accepts a list or a comma-separated string; empty means the default.
+const parseLanguages = (value, fallback = DEFAULT_SOURCES) => {
+  const list = (Array.isArray(value) ? value : `${value || ''}`.split(','))
+    .map((code) => `${code}`.trim().toLowerCase())
+    .filter(Boolean);
+  return list.length > 0 ? list : fallback;
+};
+
+const languageName = (code) => LANGUAGE_NAMES[code] || code;
+
+// The source language a translation into `target` still reads as, or null.
+// Romaji is left alone, since it is often how a name should stay.
+const untranslatedLanguage = (text, target = DEFAULT_TARGET) => {
+  const language = detectLanguage(text);
+  return shouldTranslate(language, { target }) ? language : null;
+};
+
+module.exports = {
+  DEFAULT_TARGET,
+  DEFAULT_SOURCES,
+  detectLanguage,
+  registerDetector,
+  shouldTranslate,
+  parseLanguages,
+  baseLanguage,
+  languageName,
+  untranslatedLanguage
+};
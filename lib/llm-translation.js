@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { languageName, untranslatedLanguage } = require('./languages');
+
+// Model output much longer than this multiple of the original, plus some
+// slack for short names, is usually an explanation rather than a filename.
+const MAX_LENGTH_RATIO = 4;
+const LENGTH_SLACK = 20;
+
+// `{{target}}`, `{{text}}`, `{{glossary}}` and `{{examples}}` are filled in;
+// the last two are empty when there is nothing to show. `strict` is used for
+// retries after a rejected answer and can also use `{{reason}}`.
+const DEFAULT_TEMPLATE = {
+  template:
+    'Translate the following filename into {{target}}. ' +
+    'Respond with only the translated filename and no extra text.{{glossary}}{{examples}}\n\n{{text}}',
+  strict:
+    'Translate the following filename into {{target}}. Your previous answer was rejected: {{reason}} ' +
+    'Reply with the translated filename on a single line: no quotes, no notes, no Japanese characters.' +
+    '{{glossary}}{{examples}}\n\n{{text}}',
+  examples: []
+};
+
+class OutputRejectedError extends Error {
+  constructor(reason, output) {
+    super(`Model output rejected: ${reason}`);
+    this.name = 'OutputRejectedError';
+    this.status = 422;
+    this.output = output;
+  }
+}
+
+// A template file is JSON with `template`, `strict` and `examples`
+// (`[{ "text": "...", "translation": "..." }]`); anything left out keeps the
+// default.
+const loadPromptTemplate = async (filePath) => {
+  if (!filePath) return DEFAULT_TEMPLATE;
+  const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  const template = { ...DEFAULT_TEMPLATE, ...parsed };
+  ['template', 'strict'].forEach((key) => {
+    if (typeof template[key] !== 'string' || !template[key].includes('{{text}}')) {
+      throw new Error(`Prompt ${key} in ${filePath} must be a string containing {{text}}.`);
+    }
+  });
+  if (!Array.isArray(template.examples)) throw new Error(`Prompt examples in ${filePath} must be an array.`);
+  return template;
+};
+
+// The glossary terms that occur in `text`, longest first.
+const pickGlossary = (text, glossary) =>
+  Object.entries(glossary || {})
+    .filter(([term, translation]) => term && translation && text.includes(term))
+    .sort(([a], [b]) => b.length - a.length);
+
+const renderGlossary = (terms) => {
+  if (terms.length === 0) return '';
+  const lines = terms.map(([term, value]) => `${term} = ${value}`);
+  return `\nUse these translations for terms in the filename:\n${lines.join('\n')}`;
+};
+
+const renderExamples = (examples) => {
+  if (examples.length === 0) return '';
+  const lines = examples.map((example) => `${example.text} -> ${example.translation}`);
+  return `\nExamples:\n${lines.join('\n')}`;
+};
+
+const buildPrompt = ({ template = DEFAULT_TEMPLATE, text, target, glossary = {}, strict = false, reason = '' }) => {
+  const values = {
+    target,
+    text,
+    reason,
+    glossary: renderGlossary(pickGlossary(text, glossary)),
+    examples: renderExamples(template.examples || [])
+  };
+  return (strict ? template.strict : template.template).replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    key in values ? values[key] : match
+  );
+};
+
+// Identifies everything besides the text that shapes the answer, so cached
+// translations are not reused after the prompt or a relevant glossary term
+// changes.
+const promptContext = ({ template = DEFAULT_TEMPLATE, text, glossary = {} }) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify([template.template, template.strict, template.examples, pickGlossary(text, glossary)]))
+    .digest('hex')
+    .slice(0, 16);
+
+const QUOTES = [
+  ['"', '"'],
+  ["'", "'"],
+  ['`', '`'],
+  ['“', '”'],
+  ['‘', '’'],
+  ['「', '」'],
+  ['『', '』']
+];
+
+const stripQuotes = (value) => {
+  const pair = QUOTES.find(([open, close]) => value.length > 1 && value.startsWith(open) && value.endsWith(close));
+  return pair ? value.slice(pair[0].length, -pair[1].length).trim() : value;
+};
+
+// Characters Windows, macOS or Linux refuse in a name, replaced with the
+// closest safe spelling.
+const toSafeFileName = (value) =>
+  value
+    .replace(/[\u0000-\u001f]/g, '')
+    .replace(/\s*:\s*/g, ' - ')
+    .replace(/[/\\|]/g, '-')
+    .replace(/[<>"?*]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[. ]+$/, '')
+    .trim();
+
+// Small models wrap the name in chatter: "Sure! Here is the translation:",
+// quotes, markdown, or a note on the next line. Keeps the first line that is
+// not a lead-in and strips what surrounds the name.
+const cleanOutput = (raw) => {
+  const lines = `${raw || ''}`
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const line = lines.find((candidate) => !/:\s*$/.test(candidate)) || '';
+  const unlabeled = line.replace(/^(translated filename|translation|filename|output|answer)\s*:\s*/i, '');
+  const unformatted = unlabeled.replace(/^\*\*(.*)\*\*$/, '$1').replace(/^#+\s*/, '');
+  return toSafeFileName(stripQuotes(unformatted));
+};
+
+// Why a cleaned translation of `original` into `target` is unusable, or null.
+const rejectReason = (translated, original, target) => {
+  if (!translated) return 'the answer was empty.';
+  const untranslated = untranslatedLanguage(translated, target);
+  if (untranslated) return `it still contains ${languageName(untranslated)}.`;
+  if (translated.length > original.length * MAX_LENGTH_RATIO + LENGTH_SLACK) return 'it is far too long.';
+  return null;
+};
+
+// Asks the model through `complete(prompt)` and returns the cleaned name,
+// retrying up to `retries` times with the strict prompt when the answer is
+// rejected. Throws OutputRejectedError when every answer was.
+const translateWithModel = async ({ complete, text, target, glossary, template = DEFAULT_TEMPLATE, retries = 1 }) => {
+  let reason = '';
+  let output = '';
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    const prompt = buildPrompt({ template, text, target, glossary, strict: attempt > 0, reason });
+    output = await complete(prompt);
+    const cleaned = cleanOutput(output);
+    reason = rejectReason(cleaned, text, target);
+    if (!reason) return cleaned;
+  }
+  throw new OutputRejectedError(reason, output);
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  MAX_LENGTH_RATIO,
+  LENGTH_SLACK,
+  OutputRejectedError,
+  loadPromptTemplate,
+  pickGlossary,
+  buildPrompt,
+  promptContext,
+  cleanOutput,
+  rejectReason,
+  translateWithModel
+};
@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const { detectLanguage, shouldTranslate } = require('./languages');
+
+// Checked in order against the whole name, so `^` is its start; each claims
+// the matches that lie in text the earlier ones left. Group 1 is the field's
+// value. Matches are kept as they are (or rewritten to `replacement`) unless
+// `translate` is set, in which case only group 1 is translated and the rest
+// of the match is kept.
+const DEFAULT_NAME_RULES = [
+  {
+    field: 'event',
+    pattern: '\\((C\\d{2,3}|COMIC1☆?\\d+|COMITIA\\d+|コミティア\\d+|例大祭\\d*|紅楼夢\\d*|サンクリ\\d+)\\)',
+    flags: 'i'
+  },
+  // The first bracket, after the event if there is one.
+  { field: 'circle', pattern: '(?<=^\\s*(?:\\([^)]*\\)\\s*)?)[\\[【]([^\\]】]+)[\\]】]' },
+  { field: 'tags', pattern: '[\\[【]([^\\]】]+)[\\]】]' },
+  { field: 'volume', pattern: '第\\s*([0-9０-９]+)\\s*巻', replacement: 'Vol. $1' },
+  { field: 'volume', pattern: '([0-9０-９]+)\\s*巻', replacement: 'Vol. $1' },
+  { field: 'volume', pattern: '\\bvol(?:ume)?\\.?\\s*(\\d+)', flags: 'i' },
+  { field: 'chapter', pattern: '第\\s*([0-9０-９]+)\\s*[話章]', replacement: 'Ch. $1' },
+  { field: 'chapter', pattern: '\\bch(?:apter)?\\.?\\s*(\\d+)', flags: 'i' },
+  { field: 'version', pattern: '\\b(?:ver(?:sion)?\\.?\\s*|v)(\\d+(?:\\.\\d+)*)\\b', flags: 'i' }
+];
+
+const compileRules = (rules, source = 'name rules') =>
+  rules.map((rule, index) => {
+    if (!rule || typeof rule.field !== 'string' || !rule.field || typeof rule.pattern !== 'string') {
+      throw new Error(`${source}: rule ${index + 1} needs a field and a pattern.`);
+    }
+    let regex;
+    try {
+      // `d` gives the position of group 1, so `translate` rules can keep the
+      // text around it.
+      regex = new RegExp(rule.pattern, `gd${(rule.flags || '').replace(/[gdy]/g, '')}`);
+    } catch (error) {
+      throw new Error(`${source}: rule ${index + 1} (${rule.field}): ${error.message}`);
+    }
+    return {
+      field: rule.field,
+      regex,
+      translate: Boolean(rule.translate),
+      replacement: typeof rule.replacement === 'string' ? rule.replacement : null
+    };
+  });
+
+const DEFAULT_RULES = compileRules(DEFAULT_NAME_RULES);
+
+// A rules file is either a list of rules, checked before the defaults, or
+// `{ rules, defaults }` where `defaults: false` leaves the defaults out.
+const loadNameRules = async (filePath) => {
+  if (!filePath) return DEFAULT_RULES;
+  const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(rules)) throw new Error(`${filePath} must hold a list of name rules.`);
+  const compiled = compileRules(rules, filePath);
+  return parsed.defaults === false ? compiled : [...compiled, ...DEFAULT_RULES];
+};
+
+// Full-width digits in a captured number become ASCII.
+const normalizeValue = (value) => value.normalize('NFKC').trim();
+
+const expand = (replacement, match) =>
+  replacement.replace(/\$(\d|&)/g, (_token, group) =>
+    group === '&' ? match[0] : normalizeValue(match[Number(group)] || '')
+  );
+
+// The pieces of one rule match: protected text around a translated group 1,
+// or the whole match protected.
+const matchSegments = (rule, match) => {
+  const value = match[1] ?? match[0];
+  if (rule.translate && match.indices[1]) {
+    const [start, end] = match.indices[1].map((position) => position - match.index);
+    return [
+      { text: match[0].slice(0, start), translate: false },
+      { text: value, translate: true, field: rule.field },
+      { text: match[0].slice(end), translate: false }
+    ].filter((segment) => segment.text);
+  }
+  const output = rule.replacement === null ? match[0] : expand(rule.replacement, match);
+  return [{ text: match[0], translate: false, field: rule.field, value, output }];
+};
+
+// `start` is where a segment of unclaimed text sits in the name.
+const splitSegment = (segment, rule, matches) => {
+  const end = segment.start + segment.text.length;
+  const inside = matches.filter((match) => match.index >= segment.start && match.index + match[0].length <= end);
+  if (inside.length === 0) return [segment];
+  const segments = [];
+  let last = segment.start;
+  const pushText = (until) => {
+    if (until <= last) return;
+    const text = segment.text.slice(last - segment.start, until - segment.start);
+    segments.push({ text, start: last, translate: true });
+  };
+  inside.forEach((match) => {
+    pushText(match.index);
+    segments.push(...matchSegments(rule, match));
+    last = match.index + match[0].length;
+  });
+  pushText(end);
+  return segments;
+};
+
+// Splits a base name into `segments` ({ text, translate, field, output })
+// that join back into the name, and the `fields` the rules found, such as
+// `{ circle: 'サークル', event: 'C102', volume: '3' }`. A field found more
+// than once lists its values separated by commas.
+const parseName = (baseName, rules = DEFAULT_RULES) => {
+  let segments = [{ text: baseName, start: 0, translate: true }];
+  rules.forEach((rule) => {
+    const matches = Array.from(baseName.matchAll(rule.regex)).filter((match) => match[0] !== '');
+    segments = segments.flatMap((segment) =>
+      segment.translate && !segment.field ? splitSegment(segment, rule, matches) : [segment]
+    );
+  });
+  const fields = {};
+  segments.forEach((segment) => {
+    if (!segment.field) return;
+    const value = normalizeValue(segment.value ?? segment.text);
+    fields[segment.field] = fields[segment.field] ? `${fields[segment.field]}, ${value}` : value;
+  });
+  return { segments, fields };
+};
+
+// Text segments in a language `options` ({ target, sources }) translates.
+const isTranslatable = (segment, options) =>
+  segment.translate && segment.text.trim() !== '' && shouldTranslate(detectLanguage(segment.text), options);
+
+// The texts to send to the provider, trimmed, in order.
+const textsToTranslate = (parsed, options) =>
+  parsed.segments.filter((segment) => isTranslatable(segment, options)).map((segment) => segment.text.trim());
+
+const WORD_END = /[\p{L}\p{N}.)\]]$/u;
+const WORD_START = /^[\p{L}\p{N}([]/u;
+
+// Puts the translations of `textsToTranslate` back in place. A space goes
+// between a changed piece and its neighbour when nothing separated them, as
+// in `第3巻タイトル`.
+const assembleName = (parsed, translations, options) => {
+  const queue = [...translations];
+  let name = '';
+  let previousChanged = false;
+  parsed.segments.forEach((segment) => {
+    let text = segment.output ?? segment.text;
+    if (isTranslatable(segment, options)) {
+      const [lead, trail] = [segment.text.match(/^\s*/)[0], segment.text.match(/\s*$/)[0]];
+      text = `${lead}${queue.shift()}${trail}`;
+    }
+    const changed = text !== segment.text;
+    if ((changed || previousChanged) && WORD_END.test(name) && WORD_START.test(text)) name += ' ';
+    name += text;
+    previousChanged = changed;
+  });
+  return name;
+};
+
+module.exports = { DEFAULT_NAME_RULES, loadNameRules, parseName, textsToTranslate, assembleName };
@@ -0,0 +1,64 @@
+const { createDispatcher } = require('./providers/http');
+const { loadPromptTemplate, translateWithModel } = require('./llm-translation');
+
+// `apiKey` and the client cert are only needed when the HTTPS proxy requires
+// them. The proxy builds its own prompt, so `promptPath` and `retries` only
+// apply when talking to Ollama's `/api/generate` directly; the glossary is
+// passed on to the proxy instead.
+const createOllamaClient = ({
+  endpoint,
+  model,
+  certPath,
+  apiKey,
+  clientCertPath,
+  clientKeyPath,
+  promptPath,
+  retries = 1
+}) => {
+  if (!endpoint) {
+    throw new Error('Ollama endpoint is required.');
+  }
+  let template = null;
+
+  const post = async (url, payload) => {
+    const isHttps = url.protocol === 'https:';
+    const dispatcher = isHttps ? await createDispatcher({ certPath, clientCertPath, clientKeyPath }) : undefined;
+    const response = await fetch(url.toString(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+      body: JSON.stringify(payload),
+      dispatcher
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      const error = new Error(`Ollama request failed with ${response.status}`);
+      error.status = response.status;
+      error.body = body;
+      const retryAfter = Number(response.headers.get('retry-after'));
+      if (retryAfter > 0) error.retryAfter = retryAfter;
+      throw error;
+    }
+    return response.json();
+  };
+
+  return async (text, target, { glossary } = {}) => {
+    const url = new URL(endpoint);
+    if (url.pathname.endsWith('/translate')) {
+      const data = await post(url, { text, target, glossary });
+      return data.translated?.trim() || '';
+    }
+
+    template = template || loadPromptTemplate(promptPath);
+    return translateWithModel({
+      text,
+      target,
+      glossary,
+      retries,
+      template: await template,
+      complete: async (prompt) => (await post(url, { model, prompt, stream: false })).response || ''
+    });
+  };
+};
+
+module.exports = { createOllamaClient };
@@ -0,0 +1,46 @@
+const { requestJson } = require('./http');
+const { defineProvider } = require('./define');
+
+const DEFAULT_ENDPOINT = 'https://api-free.deepl.com/v2/translate';
+// DeepL accepts at most 50 texts per request.
+const MAX_BATCH_SIZE = 50;
+
+const createDeepLProvider = ({ endpoint = DEFAULT_ENDPOINT, apiKey = process.env.DEEPL_API_KEY, certPath } = {}) => {
+  const headers = apiKey ? { Authorization: `DeepL-Auth-Key ${apiKey}` } : {};
+
+  const translateBatch = async (texts, { target = 'en', source } = {}) => {
+    const body = await requestJson(endpoint, {
+      name: 'DeepL',
+      method: 'POST',
+      headers,
+      certPath,
+      body: {
+        text: texts,
+        target_lang: target.toUpperCase(),
+        ...(source ? { source_lang: source.toUpperCase() } : {})
+      }
+    });
+    const translations = body?.translations || [];
+    if (translations.length !== texts.length) {
+      throw new Error(`DeepL returned ${translations.length} translations for ${texts.length} texts.`);
+    }
+    return translations.map((item) => item.text?.trim() || '');
+  };
+
+  return defineProvider({
+    name: 'deepl',
+    capabilities: { batch: true, maxBatchSize: MAX_BATCH_SIZE },
+    translate: async (text, options) => (await translateBatch([text], options))[0],
+    translateBatch,
+    healthCheck: async () => {
+      const usageUrl = endpoint.replace(/\/translate\/?$/, '/usage');
+      const body = await requestJson(usageUrl, { name: 'DeepL', headers, certPath });
+      const used = body?.character_count ?? 0;
+      const limit = body?.character_limit;
+      if (limit && used >= limit) return { ok: false, message: `Quota used up (${used}/${limit} characters).` };
+      return { ok: true, message: limit ? `${used}/${limit} characters used.` : 'DeepL is reachable.' };
+    }
+  });
+};
+
+module.exports = { DEFAULT_ENDPOINT, createDeepLProvider };
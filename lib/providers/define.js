@@ -0,0 +1,72 @@
+const { applySubstitutions } = require('../substitutions');
+
+const DEFAULT_CAPABILITIES = { batch: false, maxBatchSize: 1, offline: false, glossary: false };
+
+const isRateLimited = (error) => {
+  const statusCode = error?.response?.status || error?.status || error?.code;
+  return statusCode === 429 || `${statusCode}` === '429';
+};
+
+// `options.glossary` maps terms to their translations. Providers with
+// `capabilities.glossary` use it themselves, for example as prompt context;
+// the rest get the terms replaced in the text beforehand.
+const withGlossaryReplaced = (fn) => (input, options = {}) => {
+  if (!options.glossary) return fn(input, options);
+  const { glossary, ...rest } = options;
+  const replace = (text) => applySubstitutions(text, glossary);
+  return fn(Array.isArray(input) ? input.map(replace) : replace(input), rest);
+};
+
+// Fills in what a provider leaves out: batches fall back to one request per
+// text, glossaries are applied for providers that cannot use them, and a
+// failing health check reports its error instead of throwing.
+const defineProvider = ({ name, capabilities = {}, translate, translateBatch, healthCheck }) => {
+  const merged = { ...DEFAULT_CAPABILITIES, ...capabilities };
+  const batch = translateBatch || ((texts, options) => Promise.all(texts.map((text) => translate(text, options))));
+  return {
+    name,
+    capabilities: merged,
+    translate: merged.glossary ? translate : withGlossaryReplaced(translate),
+    translateBatch: merged.glossary ? batch : withGlossaryReplaced(batch),
+    healthCheck: async () => {
+      if (!healthCheck) return { ok: true, message: 'No health check available.' };
+      try {
+        return await healthCheck();
+      } catch (error) {
+        return { ok: false, message: error.message };
+      }
+    }
+  };
+};
+
+const emptyResponse = () => new Error('Translation response was empty.');
+
+// One result per text, `{ text }` or `{ error }`. Batch providers get one
+// request per `maxBatchSize` texts; `translateBatch` may put an Error in place
+// of a text that failed on its own, and a failed request fails every text in
+// it. The rest get one request per text.
+const settleBatch = async (provider, texts, options) => {
+  const settle = (value) => {
+    if (value instanceof Error) return { error: value };
+    return value ? { text: value } : { error: emptyResponse() };
+  };
+  if (!provider.capabilities.batch) {
+    return Promise.all(
+      texts.map((text) => provider.translate(text, options).then(settle, (error) => ({ error })))
+    );
+  }
+  const results = [];
+  const size = Math.max(1, provider.capabilities.maxBatchSize);
+  for (let i = 0; i < texts.length; i += size) {
+    const chunk = texts.slice(i, i + size);
+    try {
+      const translated = await provider.translateBatch(chunk, options);
+      results.push(...translated.map(settle));
+    } catch (error) {
+      results.push(...chunk.map(() => ({ error })));
+    }
+  }
+  return results;
+};
+
+module.exports = { defineProvider, isRateLimited, settleBatch };
@@ -0,0 +1,67 @@
+const fs = require('fs').promises;
+const { isJapanese } = require('../filenames');
+const { defineProvider } = require('./define');
+
+// Volume and chapter markers are common enough in file names to translate
+// without a dictionary.
+const DEFAULT_RULES = [
+  { pattern: '第\\s*(\\d+)\\s*巻', replacement: ' Vol. $1 ' },
+  { pattern: '第\\s*(\\d+)\\s*話', replacement: ' Ch. $1 ' },
+  { pattern: '(\\d+)\\s*巻', replacement: ' Vol. $1 ' }
+];
+
+const compileRules = (rules) =>
+  rules.map(({ pattern, replacement, flags }) => ({ regex: new RegExp(pattern, flags || 'g'), replacement }));
+
+// A dictionary file is either a plain `{ term: translation }` map or
+// `{ terms, rules }`, where rules are `{ pattern, replacement, flags }`
+// regular expressions applied before the terms.
+const loadDictionary = async (filePath) => {
+  const parsed = filePath ? JSON.parse(await fs.readFile(filePath, 'utf8')) : {};
+  const isStructured = parsed && (parsed.terms || parsed.rules);
+  const terms = (isStructured ? parsed.terms : parsed) || {};
+  return {
+    terms: Object.entries(terms)
+      .map(([term, translation]) => [term.normalize('NFKC'), translation])
+      .filter(([term]) => term)
+      .sort(([a], [b]) => b.length - a.length),
+    rules: compileRules([...(isStructured && Array.isArray(parsed.rules) ? parsed.rules : []), ...DEFAULT_RULES])
+  };
+};
+
+// Translates from the dictionary alone, so it works without any network.
+// Names it cannot fully translate fail, which lets a chain fall through to the
+// next provider.
+const createDictionaryProvider = ({ path: filePath } = {}) => {
+  let dictionary = null;
+  const getDictionary = () => {
+    dictionary = dictionary || loadDictionary(filePath);
+    return dictionary;
+  };
+
+  return defineProvider({
+    name: 'dictionary',
+    capabilities: { offline: true },
+    translate: async (text) => {
+      const { terms, rules } = await getDictionary();
+      let translated = text.normalize('NFKC');
+      rules.forEach(({ regex, replacement }) => {
+        translated = translated.replace(regex, replacement);
+      });
+      terms.forEach(([term, replacement]) => {
+        translated = translated.split(term).join(` ${replacement} `);
+      });
+      translated = translated.replace(/\s+/g, ' ').trim();
+      if (isJapanese(translated)) {
+        throw new Error(`No dictionary entry for "${text}".`);
+      }
+      return translated;
+    },
+    healthCheck: async () => {
+      const { terms, rules } = await getDictionary();
+      return { ok: true, message: `${terms.length} terms and ${rules.length} rules loaded.` };
+    }
+  });
+};
+
+module.exports = { DEFAULT_RULES, createDictionaryProvider };
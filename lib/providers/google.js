@@ -0,0 +1,28 @@
+const { defineProvider } = require('./define');
+
+const loadGoogleTranslateClient = async () => {
+  const module = await import('@vitalets/google-translate-api');
+  const candidate = module.default || module;
+  return candidate.translate || candidate;
+};
+
+const createGoogleProvider = () => {
+  let client = null;
+  const translate = async (text, { target = 'en' } = {}) => {
+    client = client || (await loadGoogleTranslateClient());
+    return (await client(text, { to: target })).text?.trim() || '';
+  };
+
+  return defineProvider({
+    name: 'google',
+    translate,
+    // The unofficial API has no status endpoint, so the check is a real
+    // (tiny) translation.
+    healthCheck: async () => {
+      await translate('テスト');
+      return { ok: true, message: 'Google Translate answered.' };
+    }
+  });
+};
+
+module.exports = { createGoogleProvider };
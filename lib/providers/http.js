@@ -0,0 +1,38 @@
+const fs = require('fs').promises;
+
+const readOptional = (filePath) => (filePath ? fs.readFile(filePath, 'utf8') : undefined);
+
+// Trusting a self-signed cert or presenting a client cert needs its own
+// dispatcher; undici is only loaded when one is configured.
+const createDispatcher = async ({ certPath, clientCertPath, clientKeyPath } = {}) => {
+  if (!certPath && !clientCertPath) return undefined;
+  const { Agent } = require('undici');
+  const [ca, cert, key] = await Promise.all([certPath, clientCertPath, clientKeyPath].map(readOptional));
+  return new Agent({ connect: { ca, cert, key } });
+};
+
+// Errors carry the HTTP `status` and, when the server sent one, `retryAfter`
+// in seconds, so callers can tell rate limiting from other failures.
+const requestJson = async (
+  url,
+  { name, method = 'GET', body, headers = {}, certPath, clientCertPath, clientKeyPath } = {}
+) => {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    dispatcher: await createDispatcher({ certPath, clientCertPath, clientKeyPath })
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    const error = new Error(`${name} request failed with ${response.status}`);
+    error.status = response.status;
+    error.body = text;
+    const retryAfter = Number(response.headers.get('retry-after'));
+    if (retryAfter > 0) error.retryAfter = retryAfter;
+    throw error;
+  }
+  return text ? JSON.parse(text) : null;
+};
+
+module.exports = { createDispatcher, requestJson };
@@ -0,0 +1,128 @@
+const { defineProvider, isRateLimited, settleBatch } = require('./define');
+const { createGoogleProvider } = require('./google');
+const { createOllamaProvider } = require('./ollama');
+const { createOpenAiProvider } = require('./openai');
+const { createDeepLProvider } = require('./deepl');
+const { createDictionaryProvider } = require('./dictionary');
+
+// Each factory picks its own settings out of the shared config, so one config
+// object can describe a whole chain. `certPath` applies to every HTTPS provider
+// and `promptPath` to every model-based one.
+const PROVIDERS = new Map([
+  ['google', () => createGoogleProvider()],
+  [
+    'ollama',
+    (config) =>
+      createOllamaProvider({
+        endpoint: config.endpoint,
+        model: config.model,
+        certPath: config.certPath,
+        apiKey: config.ollamaApiKey,
+        clientCertPath: config.clientCertPath,
+        clientKeyPath: config.clientKeyPath,
+        promptPath: config.promptPath,
+        retries: config.promptRetries
+      })
+  ],
+  [
+    'openai',
+    (config) =>
+      createOpenAiProvider({
+        endpoint: config.openaiEndpoint,
+        model: config.openaiModel,
+        apiKey: config.openaiApiKey,
+        certPath: config.certPath,
+        promptPath: config.promptPath,
+        retries: config.promptRetries
+      })
+  ],
+  [
+    'deepl',
+    (config) =>
+      createDeepLProvider({ endpoint: config.deeplEndpoint, apiKey: config.deeplApiKey, certPath: config.certPath })
+  ],
+  ['dictionary', (config) => createDictionaryProvider({ path: config.dictionaryPath })]
+]);
+
+// `factory(config)` must return a provider built with `defineProvider`.
+const registerProvider = (name, factory) => {
+  PROVIDERS.set(name.toLowerCase(), factory);
+};
+
+const listProviders = () => Array.from(PROVIDERS.keys());
+
+// Empty settings mean "use the provider's default", so they are dropped
+// rather than passed on as empty strings.
+const isSet = (value) => value !== '' && value !== null && value !== undefined;
+
+const compact = (config) => Object.fromEntries(Object.entries(config).filter(([, value]) => isSet(value)));
+
+const parseProviderNames = (provider) =>
+  (Array.isArray(provider) ? provider : `${provider || 'google'}`.split(','))
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+const chainError = (errors) => {
+  const error = new Error(errors.map((item) => item.message).join('; '));
+  // One rate-limited provider is enough to make waiting worthwhile.
+  const limited = errors.filter(isRateLimited);
+  if (limited.length > 0) {
+    error.status = 429;
+    error.retryAfter = Math.max(0, ...limited.map((item) => item.retryAfter || 0)) || undefined;
+  }
+  return error;
+};
+
+// Tries each provider in order and returns the first non-empty translation.
+const createProviderChain = (providers) =>
+  defineProvider({
+    name: providers.map((provider) => provider.name).join(','),
+    // Each provider in the chain applies the glossary its own way.
+    capabilities: { offline: providers.every((provider) => provider.capabilities.offline), glossary: true },
+    translate: async (text, options) => {
+      const errors = [];
+      for (const provider of providers) {
+        try {
+          const translated = await provider.translate(text, options);
+          if (translated) return translated;
+          errors.push(new Error(`${provider.name}: Translation response was empty.`));
+        } catch (error) {
+          const wrapped = new Error(`${provider.name}: ${error.message}`);
+          wrapped.status = error.status;
+          wrapped.retryAfter = error.retryAfter;
+          errors.push(wrapped);
+        }
+      }
+      throw chainError(errors);
+    },
+    healthCheck: async () => {
+      const checks = await Promise.all(providers.map((provider) => provider.healthCheck()));
+      return {
+        ok: checks.some((check) => check.ok),
+        message: checks.map((check, index) => `${providers[index].name}: ${check.message}`).join(' '),
+        providers: checks.map((check, index) => ({ name: providers[index].name, ...check }))
+      };
+    }
+  });
+
+// `config.provider` is one provider name or a comma-separated fallback chain
+// such as `ollama,google`.
+const createProvider = (config = {}) => {
+  const settings = compact(config);
+  const providers = parseProviderNames(settings.provider).map((name) => {
+    const factory = PROVIDERS.get(name);
+    if (!factory) throw new Error(`Unknown translation provider: ${name}`);
+    return factory(settings);
+  });
+  return providers.length === 1 ? providers[0] : createProviderChain(providers);
+};
+
+module.exports = {
+  createProvider,
+  createProviderChain,
+  defineProvider,
+  isRateLimited,
+  listProviders,
+  registerProvider,
+  settleBatch
+};
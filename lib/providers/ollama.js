@@ -0,0 +1,85 @@
+const { createOllamaClient } = require('../ollama-client');
+const { requestJson } = require('./http');
+const { defineProvider } = require('./define');
+
+const DEFAULT_ENDPOINT = 'https://localhost:8443/translate';
+const DEFAULT_MODEL = 'shisa-v2.1-llama3.2-3b';
+// The proxy answers a batch once every text in it is done, so batches stay
+// small enough to finish well inside the client's response timeout.
+const PROXY_BATCH_SIZE = 10;
+
+const batchError = (result) => {
+  const error = new Error(result.message || 'Translation failed.');
+  error.status = result.status;
+  return error;
+};
+
+// `endpoint` is either the HTTPS proxy's `/translate` route or Ollama's own
+// `/api/generate`. The API key defaults to $OLLAMA_HTTPS_API_KEY.
+const createOllamaProvider = ({
+  endpoint = DEFAULT_ENDPOINT,
+  model = DEFAULT_MODEL,
+  certPath,
+  apiKey = process.env.OLLAMA_HTTPS_API_KEY,
+  clientCertPath,
+  clientKeyPath,
+  promptPath,
+  retries
+} = {}) => {
+  const client = createOllamaClient({
+    endpoint,
+    model,
+    certPath,
+    apiKey,
+    clientCertPath,
+    clientKeyPath,
+    promptPath,
+    retries
+  });
+  const tls = { certPath, clientCertPath, clientKeyPath };
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const url = new URL(endpoint);
+  const isProxy = url.pathname.endsWith('/translate');
+  const translate = (text, { target = 'en', glossary } = {}) => client(text, target, { glossary });
+  // Proxies from before `/translate/batch` answer 404; those get one request
+  // per text from then on.
+  let batchSupported = isProxy;
+
+  const translateBatch = async (texts, options = {}) => {
+    if (batchSupported) {
+      try {
+        const body = await requestJson(`${endpoint.replace(/\/+$/, '')}/batch`, {
+          name: 'Ollama proxy',
+          method: 'POST',
+          headers,
+          ...tls,
+          body: { texts, target: options.target || 'en', glossary: options.glossary }
+        });
+        return body.results.map((result) => (result.ok ? result.translated?.trim() || '' : batchError(result)));
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        batchSupported = false;
+      }
+    }
+    return Promise.all(texts.map((text) => translate(text, options).catch((error) => error)));
+  };
+
+  return defineProvider({
+    name: 'ollama',
+    capabilities: { batch: isProxy, maxBatchSize: PROXY_BATCH_SIZE, glossary: true },
+    translate,
+    translateBatch,
+    healthCheck: async () => {
+      if (isProxy) {
+        const body = await requestJson(new URL('health', url), { name: 'Ollama proxy', headers, ...tls });
+        return { ok: body?.ok !== false, message: `Proxy is up with ${body?.model || 'an unknown model'}.` };
+      }
+      const body = await requestJson(new URL('/api/tags', url), { name: 'Ollama', ...tls });
+      const names = (body?.models || []).map((item) => item.name);
+      const found = names.some((name) => name === model || name.startsWith(`${model}:`));
+      return { ok: found, message: found ? `${model} is available.` : `${model} is not pulled.` };
+    }
+  });
+};
+
+module.exports = { DEFAULT_ENDPOINT, DEFAULT_MODEL, createOllamaProvider };
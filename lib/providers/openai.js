@@ -0,0 +1,53 @@
+const { loadPromptTemplate, translateWithModel } = require('../llm-translation');
+const { requestJson } = require('./http');
+const { defineProvider } = require('./define');
+
+const DEFAULT_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Any server speaking the chat completions API: OpenAI itself, llama.cpp,
+// vLLM, LM Studio and the like.
+const createOpenAiProvider = ({
+  endpoint = DEFAULT_ENDPOINT,
+  model = DEFAULT_MODEL,
+  apiKey = process.env.OPENAI_API_KEY,
+  certPath,
+  promptPath,
+  retries = 1
+} = {}) => {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  let template = null;
+
+  const complete = async (prompt) => {
+    const body = await requestJson(endpoint, {
+      name: 'OpenAI-compatible',
+      method: 'POST',
+      headers,
+      certPath,
+      body: {
+        model,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }]
+      }
+    });
+    return body?.choices?.[0]?.message?.content || '';
+  };
+
+  return defineProvider({
+    name: 'openai',
+    capabilities: { glossary: true },
+    translate: async (text, { target = 'en', glossary } = {}) => {
+      template = template || loadPromptTemplate(promptPath);
+      return translateWithModel({ complete, text, target, glossary, retries, template: await template });
+    },
+    healthCheck: async () => {
+      const modelsUrl = endpoint.replace(/\/chat\/completions\/?$/, '/models');
+      const body = await requestJson(modelsUrl, { name: 'OpenAI-compatible', headers, certPath });
+      const ids = (body?.data || []).map((item) => item.id);
+      const found = ids.length === 0 || ids.includes(model);
+      return { ok: found, message: found ? `${model} is available.` : `${model} is not served.` };
+    }
+  });
+};
+
+module.exports = { DEFAULT_ENDPOINT, DEFAULT_MODEL, createOpenAiProvider };
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Only hashes are stored, so a leaked keys file does not leak the keys.
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Compares a secret in constant time. Hashing both sides first gives
+// `timingSafeEqual` the equal lengths it needs without leaking the real one.
+const secretMatches = (given, secret) =>
+  Boolean(given && secret) && crypto.timingSafeEqual(Buffer.from(hashKey(given)), Buffer.from(hashKey(secret)));
+
+const generateKey = () => `fx_${crypto.randomBytes(24).toString('base64url')}`;
+
+const readKeysFile = (filePath) => {
+  if (!fs.existsSync(filePath)) return { keys: [] };
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { ...data, keys: Array.isArray(data?.keys) ? data.keys : [] };
+};
+
+const writeKeysFile = (filePath, data) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+};
+
+// Adds a key named `name` and returns it; only its hash is written.
+const addKey = (filePath, { name, rateLimit = null, admin = false }) => {
+  const data = readKeysFile(filePath);
+  if (data.keys.some((entry) => entry.name === name)) throw new Error(`A key named ${name} already exists.`);
+  const key = generateKey();
+  data.keys.push({ name, hash: hashKey(key), rateLimit, admin, createdAt: new Date().toISOString() });
+  writeKeysFile(filePath, data);
+  return key;
+};
+
+const revokeKey = (filePath, name) => {
+  const data = readKeysFile(filePath);
+  const keys = data.keys.filter((entry) => entry.name !== name);
+  if (keys.length === data.keys.length) return false;
+  writeKeysFile(filePath, { ...data, keys });
+  return true;
+};
+
+const listKeys = (filePath) => readKeysFile(filePath).keys.map(({ hash: _hash, ...entry }) => entry);
+
+// The keys in `filePath`, reloaded whenever the file changes so keys can be
+// added or revoked without restarting the proxy. A file that fails to parse
+// keeps the previous keys.
+const createKeyring = (filePath, { onReload = () => {}, onError = () => {} } = {}) => {
+  let byHash = new Map();
+
+  const reload = () => {
+    try {
+      const { keys } = readKeysFile(filePath);
+      byHash = new Map(keys.filter((entry) => entry.hash && !entry.disabled).map((entry) => [entry.hash, entry]));
+      onReload(byHash.size);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  reload();
+  fs.watchFile(filePath, { interval: 2000 }, reload);
+
+  return {
+    authenticate: (key) => (key ? byHash.get(hashKey(key)) || null : null),
+    size: () => byHash.size,
+    close: () => fs.unwatchFile(filePath, reload)
+  };
+};
+
+// Token buckets holding up to `perMinute` texts per client. A request bigger
+// than the bucket is let through once the bucket is full, so large batches
+// are slowed down rather than refused forever. A bucket that has refilled is
+// the same as none, so those are dropped once a minute and clients that went
+// away do not pile up.
+const createRateLimiter = ({ now: clock = Date.now } = {}) => {
+  const buckets = new Map();
+  let sweptAt = clock();
+
+  const sweep = (now) => {
+    sweptAt = now;
+    buckets.forEach((bucket, client) => {
+      if (bucket.fullAt <= now) buckets.delete(client);
+    });
+  };
+
+  // Returns 0 when `count` texts may go ahead, otherwise the seconds to wait.
+  const take = (client, count, perMinute) => {
+    if (!perMinute) return 0;
+    const now = clock();
+    if (now - sweptAt >= 60000) sweep(now);
+    const bucket = buckets.get(client) || { tokens: perMinute, updatedAt: now };
+    bucket.tokens = Math.min(perMinute, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+    bucket.updatedAt = now;
+    buckets.set(client, bucket);
+    const needed = Math.min(count, perMinute);
+    const wait = bucket.tokens < needed ? Math.max(1, Math.ceil(((needed - bucket.tokens) * 60) / perMinute)) : 0;
+    if (!wait) bucket.tokens -= count;
+    // Batches bigger than the bucket leave it below zero.
+    bucket.fullAt = now + ((perMinute - bucket.tokens) / perMinute) * 60000;
+    return wait;
+  };
+
+  return { take, size: () => buckets.size };
+};
+
+// One JSON line per translated text: who asked, from where, and what came back.
+const createAuditLog = (filePath) => {
+  const stream = fs.createWriteStream(filePath, { flags: 'a', mode: 0o600 });
+  return {
+    record: (entry) => stream.write(`${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`),
+    close: () => new Promise((resolve) => stream.end(resolve))
+  };
+};
+
+module.exports = {
+  hashKey,
+  secretMatches,
+  addKey,
+  revokeKey,
+  listKeys,
+  createKeyring,
+  createRateLimiter,
+  createAuditLog
+};
@@ -0,0 +1,76 @@
+class QueueFullError extends Error {
+  constructor(retryAfter) {
+    super('Translation queue is full.');
+    this.name = 'QueueFullError';
+    this.status = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Runs at most `concurrency` tasks at once with up to `maxQueued` more
+// waiting; anything beyond that is rejected with a QueueFullError whose
+// `retryAfter` (seconds) estimates when the backlog clears. A task whose
+// `signal` aborts while it waits is dropped without running.
+const createRequestQueue = ({ concurrency = 1, maxQueued = 100, fallbackRetryAfter = 5 } = {}) => {
+  const waiting = [];
+  let active = 0;
+  let averageMs = 0;
+
+  const estimateRetryAfter = () => {
+    if (!averageMs) return fallbackRetryAfter;
+    return Math.max(1, Math.ceil(((waiting.length + active) * averageMs) / concurrency / 1000));
+  };
+
+  const hasRoom = (count = 1) => waiting.length + count <= maxQueued + Math.max(0, concurrency - active);
+
+  const assertRoom = (count = 1) => {
+    if (!hasRoom(count)) throw new QueueFullError(estimateRetryAfter());
+  };
+
+  const start = (job) => {
+    active += 1;
+    const startedAt = Date.now();
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        const elapsed = Date.now() - startedAt;
+        averageMs = averageMs ? averageMs * 0.8 + elapsed * 0.2 : elapsed;
+        active -= 1;
+        next();
+      });
+  };
+
+  const next = () => {
+    while (active < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      job.signal?.removeEventListener('abort', job.onAbort);
+      start(job);
+    }
+  };
+
+  const run = (task, { signal } = {}) =>
+    new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      assertRoom();
+      const job = { task, resolve, reject, signal };
+      job.onAbort = () => {
+        const index = waiting.indexOf(job);
+        if (index === -1) return;
+        waiting.splice(index, 1);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+      waiting.push(job);
+      next();
+    });
+
+  const stats = () => ({ active, waiting: waiting.length, concurrency, maxQueued, averageMs: Math.round(averageMs) });
+
+  return { run, assertRoom, hasRoom, stats };
+};
+
+module.exports = { QueueFullError, createRequestQueue };
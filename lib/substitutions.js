@@ -0,0 +1,432 @@
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomic-file');
+const { baseLanguage } = require('./languages');
+
+// Glossary files are either a flat `{ term: replacement }` object, where keys
+// starting with `//` are comments, or `{ normalize, rules }` with rules such as
+// `{ term, replacement, scope, comment }` or `{ pattern, flags, replacement }`.
+// `scope` limits a rule to target languages.
+const DEFAULT_NORMALIZE = { width: true, case: true };
+// Glossaries that arrive as plain objects (from a request or a provider
+// option) hold the exact text they were picked from.
+const EXACT = { width: false, case: false };
+
+// Normalizes one character at a time and remembers where each code unit came
+// from, so a match in the normalized text maps back onto the original. Width
+// folding decomposes (NFKD), so half-width ｶﾞ and ガ both become カ + U+3099.
+const normalizeText = (text, { width, case: fold }) => {
+  let normalized = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+  for (const char of text) {
+    let piece = width ? char.normalize('NFKD') : char;
+    if (fold) piece = piece.toLowerCase();
+    for (let i = 0; i < piece.length; i += 1) {
+      starts.push(index);
+      ends.push(index + char.length);
+    }
+    normalized += piece;
+    index += char.length;
+  }
+  return { text: normalized, starts, ends };
+};
+
+const normalizeKey = (text, normalize) => normalizeText(text, normalize).text;
+
+const labelOf = (rule) => (rule.pattern !== undefined ? `/${rule.pattern}/` : `"${rule.term}"`);
+
+const describe = (rule) => `rule ${rule.index + 1} (${labelOf(rule)})`;
+
+const parseScope = (scope) => {
+  if (scope === undefined || scope === null || scope === '') return null;
+  const list = Array.isArray(scope) ? scope : `${scope}`.split(',');
+  if (!list.every((code) => typeof code === 'string')) throw new Error('scope must list target languages');
+  const codes = list.map((code) => code.trim().toLowerCase()).filter(Boolean);
+  return codes.length > 0 ? codes : null;
+};
+
+const inScope = (rule, target) => {
+  if (!rule.scope || !target) return true;
+  const code = `${target}`.toLowerCase();
+  return rule.scope.includes(code) || rule.scope.includes(baseLanguage(code));
+};
+
+const scopesOverlap = (a, b) => !a.scope || !b.scope || a.scope.some((code) => b.scope.includes(code));
+
+// A scoped rule overrides an unscoped one for the same term, so only rules
+// that are both scoped, or both not, can clash.
+const scopesClash = (a, b) => (!a.scope && !b.scope) || (Boolean(a.scope && b.scope) && scopesOverlap(a, b));
+
+const compileRule = (rule, index, normalize) => {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error('must be an object');
+  const hasTerm = typeof rule.term === 'string' && rule.term !== '';
+  const hasPattern = typeof rule.pattern === 'string' && rule.pattern !== '';
+  if (hasTerm === hasPattern) throw new Error('needs either a term or a pattern');
+  if (typeof rule.replacement !== 'string') throw new Error('needs a replacement');
+  const compiled = {
+    index,
+    replacement: rule.replacement,
+    scope: parseScope(rule.scope),
+    comment: typeof rule.comment === 'string' ? rule.comment : undefined
+  };
+  if (hasTerm) return { ...compiled, term: rule.term, key: normalizeKey(rule.term, normalize) };
+  // Patterns match the normalized text too, so they are written for half-width
+  // characters; `d` maps groups back to the original.
+  const source = normalize.width ? rule.pattern.normalize('NFKD') : rule.pattern;
+  const userFlags = `${rule.flags || ''}`.replace(/[gdyi]/g, '');
+  const flags = `${userFlags}${normalize.case || /i/.test(rule.flags || '') ? 'i' : ''}`;
+  return {
+    ...compiled,
+    pattern: rule.pattern,
+    flags: rule.flags || undefined,
+    regex: new RegExp(source, `gd${flags}`)
+  };
+};
+
+// The rules of a glossary file's contents, as the editor shows them.
+const readRules = (data) => {
+  if (Array.isArray(data?.rules)) {
+    return { normalize: { ...DEFAULT_NORMALIZE, ...data.normalize }, rules: data.rules };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('must be an object of terms or { rules }');
+  }
+  const rules = Object.entries(data)
+    .filter(([term]) => term && !term.startsWith('//'))
+    .map(([term, replacement]) => ({ term, replacement }));
+  return { normalize: DEFAULT_NORMALIZE, rules };
+};
+
+// Finds the longest literal term starting at each position of `text`.
+const literalCandidates = (glossary, text, target, skip = () => false) => {
+  const candidates = [];
+  for (let start = 0; start < text.length; start += 1) {
+    for (const length of glossary.lengths) {
+      if (start + length > text.length) continue;
+      const rule = glossary.literals.get(text.slice(start, start + length))?.find(
+        (entry) => inScope(entry, target) && !skip(entry)
+      );
+      if (rule) {
+        candidates.push({ start, end: start + length, rule });
+        break;
+      }
+    }
+  }
+  return candidates;
+};
+
+// Checks that matter once glossaries grow past what anyone can read through:
+// terms that normalize to the same text, a term inside a longer one that
+// translates it differently, patterns that claim a term, and rules whose
+// replacements feed each other. Substitutions are applied in one pass, so a
+// replacement is never replaced again; a chain is a warning, a cycle an error.
+const checkRules = (glossary) => {
+  const problems = [];
+  const literalRules = glossary.rules.filter((rule) => rule.key !== undefined);
+  const add = (level, rules, message) => {
+    const sentence = `${message[0].toUpperCase()}${message.slice(1)}`;
+    problems.push({ level, rules: rules.map((rule) => rule.index), message: sentence });
+  };
+
+  glossary.literals.forEach((rules) => {
+    rules.forEach((rule, position) => {
+      rules.slice(position + 1).forEach((other) => {
+        if (!scopesClash(rule, other)) return;
+        if (rule.replacement === other.replacement) {
+          add('warning', [rule, other], `${describe(other)} repeats ${describe(rule)}.`);
+        } else {
+          add('error', [rule, other], `${describe(rule)} and ${describe(other)} match the same text but differ.`);
+        }
+      });
+    });
+  });
+
+  literalRules.forEach((rule) => {
+    const replacement = normalizeKey(rule.replacement, glossary.normalize);
+    literalCandidates(glossary, rule.key, null, (other) => other.key === rule.key).forEach(({ rule: inner }) => {
+      if (!scopesOverlap(rule, inner)) return;
+      if (replacement.includes(normalizeKey(inner.replacement, glossary.normalize))) return;
+      add(
+        'warning',
+        [rule, inner],
+        `${describe(rule)} contains ${describe(inner)} but translates it differently; the longer term wins.`
+      );
+    });
+  });
+
+  glossary.patterns.forEach((pattern) => {
+    const whole = new RegExp(`^(?:${pattern.regex.source})$`, pattern.regex.flags.replace(/[gd]/g, ''));
+    literalRules.forEach((rule) => {
+      if (!scopesOverlap(rule, pattern) || !whole.test(rule.key)) return;
+      const first = pattern.index < rule.index ? pattern : rule;
+      add('warning', [pattern, rule], `${describe(pattern)} also matches ${describe(rule)}; ${describe(first)} wins.`);
+    });
+  });
+
+  // An edge from each rule to the terms its replacement contains.
+  const edges = new Map();
+  glossary.rules.forEach((rule) => {
+    const replacement = normalizeKey(rule.replacement, glossary.normalize);
+    const targets = literalCandidates(glossary, replacement, null, (other) => other === rule)
+      .map((candidate) => candidate.rule)
+      .filter((other) => scopesOverlap(rule, other));
+    edges.set(rule, Array.from(new Set(targets)));
+  });
+  const state = new Map();
+  const stack = [];
+  const cyclic = new Set();
+  const visit = (rule) => {
+    state.set(rule, 'open');
+    stack.push(rule);
+    edges.get(rule).forEach((next) => {
+      if (state.get(next) === 'open') {
+        const cycle = stack.slice(stack.indexOf(next));
+        cycle.forEach((member) => cyclic.add(member));
+        add('error', cycle, `replacements form a cycle: ${[...cycle, next].map(describe).join(' → ')}.`);
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    });
+    stack.pop();
+    state.set(rule, 'done');
+  };
+  glossary.rules.forEach((rule) => {
+    if (!state.has(rule)) visit(rule);
+  });
+  edges.forEach((targets, rule) => {
+    targets
+      .filter((next) => !(cyclic.has(rule) && cyclic.has(next)))
+      .forEach((next) => {
+        add(
+          'warning',
+          [rule, next],
+          `The replacement of ${describe(rule)} contains ${describe(next)}, which is not replaced again.`
+        );
+      });
+  });
+  return problems;
+};
+
+// Compiles a glossary file's contents. Rules that cannot be used are left out
+// and reported with the other `problems` ({ level, rules, message }, where
+// `rules` are indexes into the file's rules).
+const compileGlossary = (data, { normalize } = {}) => {
+  const parsed = readRules(data);
+  const glossary = {
+    normalize: { ...(normalize || parsed.normalize) },
+    rules: [],
+    literals: new Map(),
+    patterns: [],
+    lengths: [],
+    problems: []
+  };
+  parsed.rules.forEach((rule, index) => {
+    try {
+      glossary.rules.push(compileRule(rule, index, glossary.normalize));
+    } catch (error) {
+      const label = typeof rule?.term === 'string' || typeof rule?.pattern === 'string' ? ` (${labelOf(rule)})` : '';
+      const message = `Rule ${index + 1}${label}: ${error.message.replace(/\.$/, '')}.`;
+      glossary.problems.push({ level: 'error', rules: [index], message });
+    }
+  });
+  glossary.rules.forEach((rule) => {
+    if (rule.regex) {
+      glossary.patterns.push(rule);
+    } else if (rule.key) {
+      glossary.literals.set(rule.key, [...(glossary.literals.get(rule.key) || []), rule]);
+    }
+  });
+  glossary.literals.forEach((rules) => rules.sort((a, b) => Boolean(b.scope) - Boolean(a.scope)));
+  glossary.lengths = Array.from(new Set(Array.from(glossary.literals.keys(), (key) => key.length))).sort(
+    (a, b) => b - a
+  );
+  return glossary;
+};
+
+const EMPTY = compileGlossary({});
+
+const exactGlossaries = new WeakMap();
+
+// Compiled glossaries pass through; plain objects are compiled once, exact.
+const asGlossary = (glossary) => {
+  if (!glossary) return EMPTY;
+  if (glossary.literals instanceof Map) return glossary;
+  if (!exactGlossaries.has(glossary)) exactGlossaries.set(glossary, compileGlossary(glossary, { normalize: EXACT }));
+  return exactGlossaries.get(glossary);
+};
+
+// Compiles and checks the rules, for callers that report the problems.
+const checkGlossary = (data) => {
+  const glossary = compileGlossary(data);
+  glossary.problems.push(...checkRules(glossary));
+  return glossary;
+};
+
+// Where `text` matches, left to right: the earliest match wins, then the
+// longest, then the rule listed first. Each is `{ start, end, text,
+// replacement }` in the original text.
+const findMatches = (text, glossary, { target } = {}) => {
+  const source = `${text}`;
+  const normalized = normalizeText(source, glossary.normalize);
+  const candidates = literalCandidates(glossary, normalized.text, target);
+  glossary.patterns
+    .filter((rule) => inScope(rule, target))
+    .forEach((rule) => {
+      for (const match of normalized.text.matchAll(rule.regex)) {
+        if (match[0]) candidates.push({ start: match.index, end: match.index + match[0].length, rule, match });
+      }
+    });
+  candidates.sort(
+    (a, b) => a.start - b.start || b.end - b.start - (a.end - a.start) || a.rule.index - b.rule.index
+  );
+
+  const original = (start, end) => source.slice(normalized.starts[start], normalized.ends[end - 1]);
+  // Groups come from the original text, so folding the case to match does not
+  // change what is kept; only the width is folded.
+  const expand = ({ rule, match }) =>
+    rule.replacement.replace(/\$(\d+|&)/g, (_token, group) => {
+      const indices = group === '&' ? match.indices[0] : match.indices[Number(group)];
+      if (!indices) return '';
+      const value = original(...indices);
+      return glossary.normalize.width ? value.normalize('NFKC') : value;
+    });
+
+  const matches = [];
+  let last = 0;
+  candidates.forEach((candidate) => {
+    if (candidate.start < last) return;
+    // A match may not split a decomposed character.
+    const { starts } = normalized;
+    if (candidate.start > 0 && starts[candidate.start] === starts[candidate.start - 1]) return;
+    if (candidate.end < starts.length && starts[candidate.end] === starts[candidate.end - 1]) return;
+    matches.push({
+      start: normalized.starts[candidate.start],
+      end: normalized.ends[candidate.end - 1],
+      text: original(candidate.start, candidate.end),
+      replacement: candidate.match ? expand(candidate) : candidate.rule.replacement
+    });
+    last = candidate.end;
+  });
+  return matches;
+};
+
+// `glossary` is a compiled glossary or a plain `{ term: replacement }` object.
+const applySubstitutions = (text, glossary, options) => {
+  const matches = findMatches(text, asGlossary(glossary), options);
+  if (matches.length === 0) return text;
+  let updated = '';
+  let last = 0;
+  matches.forEach((match) => {
+    updated += `${text.slice(last, match.start)}${match.replacement}`;
+    last = match.end;
+  });
+  return `${updated}${text.slice(last)}`;
+};
+
+// The text each rule matched in any of `texts` and what replaces it, or
+// undefined when nothing matched, so requests only carry the part of a large
+// glossary they need and patterns reach providers as plain terms.
+const pickSubstitutions = (texts, glossary, options) => {
+  const compiled = asGlossary(glossary);
+  const picked = texts.flatMap((text) => findMatches(text, compiled, options));
+  return picked.length > 0 ? Object.fromEntries(picked.map((match) => [match.text, match.replacement])) : undefined;
+};
+
+const readGlossaryFile = async (filePath) => JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+// Fails on errors, so a broken rule is noticed rather than silently ignored;
+// warnings are kept on the glossary's `problems`.
+const loadSubstitutions = async (filePath) => {
+  if (!filePath) return EMPTY;
+  const glossary = checkGlossary(await readGlossaryFile(filePath));
+  const errors = glossary.problems.filter((problem) => problem.level === 'error');
+  if (errors.length > 0) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    throw new Error(`${filePath}: ${errors[0].message}${more}`);
+  }
+  return glossary;
+};
+
+const isPlainRule = (rule) =>
+  typeof rule.term === 'string' && rule.pattern === undefined && !rule.scope && !rule.comment && !rule.flags;
+
+const sameNormalize = (normalize) =>
+  Object.keys(DEFAULT_NORMALIZE).every((key) => Boolean(normalize?.[key] ?? true) === DEFAULT_NORMALIZE[key]);
+
+// Keeps the flat format while the rules fit in it, so older tools can still
+// read the file.
+const writeGlossary = async (filePath, { normalize, rules }) => {
+  const data =
+    sameNormalize(normalize) && rules.every(isPlainRule)
+      ? Object.fromEntries(rules.map((rule) => [rule.term, rule.replacement]))
+      : { normalize: { ...DEFAULT_NORMALIZE, ...normalize }, rules };
+  await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+  return rules.length;
+};
+
+// A missing file starts out empty, so the first correction creates it. An
+// unscoped rule for the same term, as normalized, is updated in place rather
+// than clashing with the new one.
+const addSubstitution = async (filePath, term, replacement) => {
+  let data = {};
+  try {
+    data = await readGlossaryFile(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const { normalize, rules } = readRules(data);
+  const key = normalizeKey(term, normalize);
+  const existing = rules.find(
+    (rule) => typeof rule?.term === 'string' && !rule.scope && normalizeKey(rule.term, normalize) === key
+  );
+  if (Array.isArray(data.rules)) {
+    if (existing) {
+      existing.replacement = replacement;
+    } else {
+      data.rules.push({ term, replacement });
+    }
+  } else {
+    data[existing ? existing.term : term] = replacement;
+  }
+  await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+  return readRules(data).rules.length;
+};
+
+// The glossary at `filePath`, reloaded whenever the file changes. A file that
+// fails to load keeps the previous glossary.
+const watchSubstitutions = (filePath, { interval = 2000, onReload = () => {}, onError = () => {} } = {}) => {
+  let glossary = EMPTY;
+
+  const reload = async () => {
+    try {
+      glossary = await loadSubstitutions(filePath);
+      onReload(glossary);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  const ready = reload();
+  fs.watchFile(filePath, { interval }, reload);
+
+  return {
+    ready,
+    current: () => glossary,
+    close: () => fs.unwatchFile(filePath, reload)
+  };
+};
+
+module.exports = {
+  DEFAULT_NORMALIZE,
+  compileGlossary,
+  checkGlossary,
+  readRules,
+  readGlossaryFile,
+  applySubstitutions,
+  pickSubstitutions,
+  loadSubstitutions,
+  writeGlossary,
+  addSubstitution,
+  watchSubstitutions
+};
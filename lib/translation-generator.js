@@ -0,0 +1,549 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createProvider, isRateLimited, settleBatch } = require('./providers');
+const ollama = require('./providers/ollama');
+const { splitFileName, hashFile } = require('./filenames');
+const { DEFAULT_TARGET, DEFAULT_SOURCES, detectLanguage, parseLanguages } = require('./languages');
+const { loadNameRules, parseName, textsToTranslate, assembleName } = require('./name-parser');
+const { openStoreForPath, exportJson, hasTranslation } = require('./translation-store');
+const { pickSubstitutions, loadSubstitutions } = require('./substitutions');
+const { checkpointPathFor, saveCheckpoint, loadCheckpoint, removeCheckpoint } = require('./generator-checkpoint');
+
+const PROGRESS_INTERVAL_MS = 100;
+const MAX_RETRY_DELAY_MS = 60000;
+
+const DEFAULT_OPTIONS = {
+  provider: 'google',
+  endpoint: ollama.DEFAULT_ENDPOINT,
+  model: ollama.DEFAULT_MODEL,
+  certPath: null,
+  target: DEFAULT_TARGET,
+  sources: DEFAULT_SOURCES,
+  substitutionsPath: null,
+  nameRulesPath: null,
+  promptPath: null,
+  promptRetries: 1,
+  useHash: false,
+  batchSize: 100,
+  batchDelayMs: 1000,
+  rateLimitDelayMs: 5000,
+  maxAttempts: 3,
+  retryDelayMs: 2000,
+  checkpointIntervalMs: 5000,
+  resume: false,
+  retryFailed: false
+};
+
+class GeneratorCancelledError extends Error {
+  constructor() {
+    super('Translation job cancelled.');
+    this.name = 'GeneratorCancelledError';
+  }
+}
+
+const toNumber = (value, fallback, minimum) => {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) return fallback;
+  return Math.max(minimum, number);
+};
+
+const normalizeOptions = (options) => ({
+  ...DEFAULT_OPTIONS,
+  ...options,
+  provider: options.provider || DEFAULT_OPTIONS.provider,
+  endpoint: options.endpoint || DEFAULT_OPTIONS.endpoint,
+  model: options.model || DEFAULT_OPTIONS.model,
+  target: `${options.target || ''}`.trim().toLowerCase() || DEFAULT_OPTIONS.target,
+  sources: parseLanguages(options.sources),
+  useHash: Boolean(options.useHash),
+  promptRetries: toNumber(options.promptRetries, DEFAULT_OPTIONS.promptRetries, 0),
+  batchSize: toNumber(options.batchSize, DEFAULT_OPTIONS.batchSize, 1),
+  batchDelayMs: toNumber(options.batchDelayMs, DEFAULT_OPTIONS.batchDelayMs, 0),
+  rateLimitDelayMs: toNumber(options.rateLimitDelayMs, DEFAULT_OPTIONS.rateLimitDelayMs, 0),
+  maxAttempts: toNumber(options.maxAttempts, DEFAULT_OPTIONS.maxAttempts, 1),
+  retryDelayMs: toNumber(options.retryDelayMs, DEFAULT_OPTIONS.retryDelayMs, 0),
+  checkpointIntervalMs: toNumber(options.checkpointIntervalMs, DEFAULT_OPTIONS.checkpointIntervalMs, 0),
+  resume: Boolean(options.resume),
+  retryFailed: Boolean(options.retryFailed)
+});
+
+// Doubles with every failed attempt of the entry that failed most often.
+const retryDelay = (base, attempts) => Math.min(MAX_RETRY_DELAY_MS, base * 2 ** Math.max(0, attempts - 1));
+
+const exists = (filePath) =>
+  fs.access(filePath).then(
+    () => true,
+    () => false
+  );
+
+// `onDirectory` is called with each directory's entry count before it is
+// walked.
+const walkEntries = async (dir, onDirectory) => {
+  const results = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  await onDirectory(entries.length);
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      results.push({ filePath: fullPath, isDirectory: true });
+      results.push(...(await walkEntries(fullPath, onDirectory)));
+    } else if (entry.isFile()) {
+      results.push({ filePath: fullPath, isDirectory: false });
+    }
+  }
+  return results;
+};
+
+// One generator run over `input`, written to the DB at `output` as each entry
+// finishes. `onEvent` receives `log` ({ level, message }), throttled
+// `progress` (the counts and job state), `waiting` ({ reason, ms }) and
+// `result` ({ filePath, status, translated, error }) events. Pausing stops
+// new batches from starting; requests already sent are left to finish.
+//
+// Names are split into text and protected parts (tags, numbering, versions)
+// by the rules at `nameRulesPath`, and only the text in one of the `sources`
+// languages is translated into `target`. Names without any are recorded as
+// skipped. Either way the entry keeps the detected language and the fields
+// the rules found.
+//
+// The entries still waiting for the provider are checkpointed next to the DB
+// every `checkpointIntervalMs` and whenever the run stops early, so `resume`
+// continues a cancelled or crashed run without scanning again. Errors other
+// than rate limits are retried with backoff until an entry has failed
+// `maxAttempts` times; later runs leave it alone, and `retryFailed` translates
+// only those entries.
+const createTranslationJob = (options, { onEvent = () => {} } = {}) => {
+  const settings = normalizeOptions(options);
+  const counts = { scanned: 0, total: 0, translated: 0, failed: 0, reused: 0, skipped: 0, previouslyFailed: 0 };
+  const durations = { scanMs: 0, translateMs: 0, totalMs: 0 };
+  const failures = [];
+  // Entries that still need the provider, by path.
+  const open = new Map();
+  const resumeWaiters = [];
+  let state = 'idle';
+  let sleeper = null;
+  let lastReport = 0;
+  let checkpointPath = null;
+  let lastCheckpoint = 0;
+  let startedAt = null;
+  let sessionStart = 0;
+  let translatingSince = null;
+  let resumed = false;
+  let nameRules = null;
+
+  const log = (message, level = 'info') => onEvent({ type: 'log', level, message });
+
+  const reportProgress = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastReport < PROGRESS_INTERVAL_MS) return;
+    lastReport = now;
+    onEvent({ type: 'progress', state, ...counts });
+  };
+
+  const emitResult = (filePath, result) => {
+    onEvent({ type: 'result', filePath, ...result });
+    reportProgress();
+  };
+
+  const waitWhilePaused = async () => {
+    while (state === 'paused') {
+      await new Promise((resolve) => resumeWaiters.push(resolve));
+    }
+    if (state === 'cancelled') throw new GeneratorCancelledError();
+  };
+
+  // Ends early when the job is cancelled, and does not start once it is:
+  // `cancel` only wakes a sleep that is already running.
+  const sleep = (ms, reason) => {
+    if (state === 'cancelled') return Promise.resolve();
+    onEvent({ type: 'waiting', reason, ms });
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        sleeper = null;
+        resolve();
+      }, ms);
+      sleeper = { timer, resolve };
+    });
+  };
+
+  const wakeAll = () => {
+    resumeWaiters.splice(0).forEach((resolve) => resolve());
+    if (sleeper) {
+      clearTimeout(sleeper.timer);
+      sleeper.resolve();
+      sleeper = null;
+    }
+  };
+
+  const pause = () => {
+    if (state !== 'running') return false;
+    state = 'paused';
+    reportProgress(true);
+    return true;
+  };
+
+  const resume = () => {
+    if (state !== 'paused') return false;
+    state = 'running';
+    resumeWaiters.splice(0).forEach((resolve) => resolve());
+    reportProgress(true);
+    return true;
+  };
+
+  const cancel = () => {
+    if (state !== 'running' && state !== 'paused') return false;
+    state = 'cancelled';
+    wakeAll();
+    return true;
+  };
+
+  // `durations` holds finished phases, including those of the run that was
+  // resumed; this adds the ones still going.
+  const durationsSoFar = () => {
+    const now = Date.now();
+    return {
+      scanMs: durations.scanMs,
+      translateMs: durations.translateMs + (translatingSince ? now - translatingSince : 0),
+      totalMs: durations.totalMs + (now - sessionStart)
+    };
+  };
+
+  const writeCheckpoint = () => {
+    lastCheckpoint = Date.now();
+    return saveCheckpoint(checkpointPath, {
+      input: path.resolve(settings.input),
+      target: settings.target,
+      startedAt,
+      counts,
+      durations: durationsSoFar(),
+      failures,
+      remaining: Array.from(open.values())
+    });
+  };
+
+  const checkpointIfDue = async () => {
+    if (Date.now() - lastCheckpoint >= settings.checkpointIntervalMs) await writeCheckpoint();
+  };
+
+  // Sorts walked entries into done, skipped, reused from the name cache, and
+  // the ones that still need the provider.
+  const plan = async (store) => {
+    const walked = await walkEntries(settings.input, async (count) => {
+      counts.scanned += count;
+      reportProgress();
+      await waitWhilePaused();
+    });
+    const toTranslate = [];
+
+    for (const { filePath, isDirectory } of walked) {
+      const fileName = path.basename(filePath);
+      const { baseName, extension } = splitFileName(fileName, isDirectory);
+      const existing = store.get(filePath);
+
+      // Hand-corrected translations are never overwritten.
+      if (existing?.status === 'manual') {
+        continue;
+      }
+
+      if (existing && existing.file_name === fileName && existing.status === 'translated') {
+        if (settings.useHash && !isDirectory && !existing.content_hash) {
+          store.upsert({ file_path: filePath, content_hash: await hashFile(filePath) });
+        }
+        continue;
+      }
+
+      // Entries that used up their attempts wait for `retryFailed`.
+      const attempts = existing?.status === 'failed' && existing.file_name === fileName ? existing.attempts || 0 : 0;
+      if (attempts >= settings.maxAttempts) {
+        counts.previouslyFailed += 1;
+        continue;
+      }
+
+      const language = detectLanguage(baseName);
+      const parsed = parseName(baseName, nameRules);
+      if (textsToTranslate(parsed, settings).length === 0) {
+        store.upsert({
+          file_path: filePath,
+          file_name: fileName,
+          is_directory: isDirectory,
+          translated_name: null,
+          status: 'skipped',
+          error_message: null,
+          language,
+          name_fields: parsed.fields,
+          updated_at: new Date().toISOString()
+        });
+        counts.skipped += 1;
+        continue;
+      }
+
+      // Names translated anywhere else in the DB are reused instead of paying
+      // the provider again.
+      const contentHash = settings.useHash && !isDirectory ? await hashFile(filePath) : null;
+      const cached = store.findCached({ name: fileName, isDirectory, hash: contentHash });
+      if (cached) {
+        store.upsert({
+          file_path: filePath,
+          file_name: fileName,
+          is_directory: isDirectory,
+          translated_name: cached.translated_name,
+          status: 'translated',
+          error_message: null,
+          content_hash: contentHash,
+          language,
+          name_fields: parsed.fields,
+          updated_at: new Date().toISOString()
+        });
+        counts.reused += 1;
+        emitResult(filePath, { status: 'translated', translated: cached.translated_name });
+        continue;
+      }
+
+      toTranslate.push({ filePath, fileName, baseName, extension, isDirectory, contentHash, attempts, language });
+    }
+    return toTranslate;
+  };
+
+  // The failed entries under `input` that are still on disk, with their
+  // attempts reset. Paths are stored as walked, so `input` is used as given.
+  const planFailed = async (store) => {
+    const toTranslate = [];
+    for (const entry of Array.from(store.entriesWithStatus(['failed'], { under: settings.input }))) {
+      counts.scanned += 1;
+      reportProgress();
+      await waitWhilePaused();
+      if (!(await exists(entry.file_path))) continue;
+      const isDirectory = entry.is_directory;
+      const { baseName, extension } = splitFileName(entry.file_name, isDirectory);
+      toTranslate.push({
+        filePath: entry.file_path,
+        fileName: entry.file_name,
+        baseName,
+        extension,
+        isDirectory,
+        contentHash: settings.useHash && !isDirectory ? await hashFile(entry.file_path) : entry.content_hash,
+        attempts: 0,
+        language: entry.language || detectLanguage(baseName)
+      });
+    }
+    return toTranslate;
+  };
+
+  // Picks up the counts and queue of `saved`. Results written after the
+  // checkpoint are counted instead of translated again.
+  const planResumed = (store, saved) => {
+    if (path.resolve(saved.input) !== path.resolve(settings.input)) {
+      throw new Error(`The checkpoint is for ${saved.input}, not ${settings.input}.`);
+    }
+    if ((saved.target || DEFAULT_TARGET) !== settings.target) {
+      throw new Error(`The checkpoint is for target ${saved.target}, not ${settings.target}.`);
+    }
+    Object.assign(counts, saved.counts);
+    Object.assign(durations, saved.durations);
+    failures.push(...saved.failures);
+    startedAt = saved.startedAt;
+    return saved.remaining.filter((item) => {
+      const entry = store.get(item.filePath);
+      if (hasTranslation(entry)) {
+        counts.translated += 1;
+        return false;
+      }
+      if (entry?.status === 'failed' && entry.updated_at > saved.updatedAt) {
+        counts.failed += 1;
+        failures.push({ filePath: item.filePath, error: entry.error_message, attempts: entry.attempts });
+        return false;
+      }
+      return true;
+    });
+  };
+
+  const prepare = async (store) => {
+    const saved = await loadCheckpoint(checkpointPath);
+    if (settings.resume && saved) {
+      resumed = true;
+      const toTranslate = planResumed(store, saved);
+      log(`Resuming the run from ${saved.updatedAt}: ${toTranslate.length} entries left.`);
+      return toTranslate;
+    }
+    if (settings.resume) log('No checkpoint found, starting a new run.');
+    else if (saved) log('An earlier run was interrupted; starting over. Resume it to skip the scan.', 'warn');
+
+    const scanStart = Date.now();
+    const toTranslate = settings.retryFailed ? await planFailed(store) : await plan(store);
+    durations.scanMs += Date.now() - scanStart;
+    counts.total = toTranslate.length;
+    if (counts.reused > 0) {
+      log(`Reused ${counts.reused} cached translations.`);
+    }
+    if (counts.previouslyFailed > 0) {
+      log(`Left out ${counts.previouslyFailed} entries that already failed ${settings.maxAttempts} times.`);
+    }
+    return toTranslate;
+  };
+
+  // Records one settled result. Rate-limited items are left for a retry
+  // without using up an attempt; other errors are retried until the entry has
+  // failed `maxAttempts` times.
+  const saveResult = (store, item, { text, error, fields }) => {
+    if (error && isRateLimited(error)) return false;
+    item.attempts += 1;
+    if (error && item.attempts < settings.maxAttempts) return false;
+    open.delete(item.filePath);
+    if (error) {
+      store.upsert({
+        file_path: item.filePath,
+        file_name: item.fileName,
+        is_directory: item.isDirectory,
+        translated_name: null,
+        status: 'failed',
+        error_message: error.message,
+        attempts: item.attempts,
+        language: item.language,
+        name_fields: fields,
+        updated_at: new Date().toISOString()
+      });
+      counts.failed += 1;
+      failures.push({ filePath: item.filePath, error: error.message, attempts: item.attempts });
+      emitResult(item.filePath, { status: 'failed', translated: null, error: error.message });
+      return true;
+    }
+    const translatedName = `${text}${item.extension}`;
+    store.upsert({
+      file_path: item.filePath,
+      file_name: item.fileName,
+      is_directory: item.isDirectory,
+      translated_name: translatedName,
+      status: 'translated',
+      error_message: null,
+      content_hash: item.contentHash,
+      attempts: item.attempts,
+      language: item.language,
+      name_fields: fields,
+      updated_at: new Date().toISOString()
+    });
+    counts.translated += 1;
+    emitResult(item.filePath, { status: 'translated', translated: translatedName });
+    return true;
+  };
+
+  // Sends the text parts of every item's name in one batch and puts each name
+  // back together. An item fails with the first error among its parts.
+  const translateNames = async (provider, items, substitutions) => {
+    const names = items.map((item) => {
+      const parsed = parseName(item.baseName, nameRules);
+      return { parsed, texts: textsToTranslate(parsed, settings) };
+    });
+    const texts = names.flatMap((name) => name.texts);
+    const glossary = pickSubstitutions(texts, substitutions, { target: settings.target });
+    const results = await settleBatch(provider, texts, { target: settings.target, glossary });
+    let offset = 0;
+    return names.map(({ parsed, texts: parts }) => {
+      const settled = results.slice(offset, (offset += parts.length));
+      const failed = settled.find((result) => result.error);
+      if (failed) return { error: failed.error, fields: parsed.fields };
+      const translations = settled.map((result) => result.text);
+      return { text: assembleName(parsed, translations, settings), fields: parsed.fields };
+    });
+  };
+
+  const translateAll = async (store, toTranslate, substitutions) => {
+    const provider = createProvider(settings);
+    const { batchSize, batchDelayMs, rateLimitDelayMs, retryDelayMs } = settings;
+
+    for (let i = 0; i < toTranslate.length; i += batchSize) {
+      let pending = toTranslate.slice(i, i + batchSize);
+      while (pending.length > 0) {
+        await waitWhilePaused();
+        pending.forEach((item) => emitResult(item.filePath, { status: 'pending', translated: null }));
+        const results = await translateNames(provider, pending, substitutions);
+        const retryAfter = Math.max(0, ...results.map((result) => result.error?.retryAfter || 0));
+        const rateLimited = results.some((result) => result.error && isRateLimited(result.error));
+        pending = pending.filter((item, index) => !saveResult(store, item, results[index]));
+        await checkpointIfDue();
+        if (pending.length === 0) break;
+        await waitWhilePaused();
+        if (rateLimited) {
+          log('Rate limit hit. Waiting before retry...', 'warn');
+          await sleep(Math.max(rateLimitDelayMs, retryAfter * 1000), 'rate-limit');
+        } else {
+          const ms = retryDelay(retryDelayMs, Math.max(...pending.map((item) => item.attempts)));
+          log(`${pending.length} translations failed. Retrying in ${Math.ceil(ms / 1000)}s...`, 'warn');
+          await sleep(ms, 'retry');
+        }
+      }
+
+      if (i + batchSize < toTranslate.length && batchDelayMs > 0) {
+        await waitWhilePaused();
+        await sleep(batchDelayMs, 'batch-delay');
+      }
+    }
+  };
+
+  // Resolves with the final counts, `state` (`finished` or `cancelled`), the
+  // SQLite path that was written, and what a run report needs: durations in
+  // ms and every entry that failed.
+  const run = async () => {
+    if (state !== 'idle') throw new Error('The translation job has already started.');
+    if (!settings.input || !settings.output) throw new Error('An input directory and an output DB are required.');
+    state = 'running';
+    startedAt = new Date().toISOString();
+    sessionStart = Date.now();
+    reportProgress(true);
+
+    let store = null;
+    let storePath = null;
+    try {
+      const substitutions = await loadSubstitutions(settings.substitutionsPath);
+      const [warning] = substitutions.problems;
+      if (warning) log(`${substitutions.problems.length} glossary warnings, starting with: ${warning.message}`, 'warn');
+      nameRules = await loadNameRules(settings.nameRulesPath);
+      ({ store, storePath } = await openStoreForPath(settings.output, { target: settings.target }));
+      checkpointPath = checkpointPathFor(storePath, settings.target);
+      const toTranslate = await prepare(store);
+      toTranslate.forEach((item) => open.set(item.filePath, item));
+      reportProgress(true);
+      if (toTranslate.length > 0) {
+        await writeCheckpoint();
+        translatingSince = Date.now();
+        try {
+          await translateAll(store, toTranslate, substitutions);
+        } finally {
+          durations.translateMs += Date.now() - translatingSince;
+          translatingSince = null;
+        }
+      }
+      state = 'finished';
+    } catch (error) {
+      if (!(error instanceof GeneratorCancelledError)) {
+        state = 'failed';
+        throw error;
+      }
+    } finally {
+      if (store) {
+        if (state === 'finished') await removeCheckpoint(checkpointPath);
+        else if (open.size > 0) await writeCheckpoint();
+        if (storePath !== settings.output) await exportJson(store, settings.output);
+        store.close();
+      }
+      Object.assign(durations, durationsSoFar());
+      reportProgress(true);
+    }
+    return {
+      state,
+      storePath,
+      input: settings.input,
+      provider: settings.provider,
+      target: settings.target,
+      resumed,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      durations,
+      ...counts,
+      failures
+    };
+  };
+
+  return { run, pause, resume, cancel, getState: () => state, settings };
+};
+
+module.exports = { DEFAULT_OPTIONS, GeneratorCancelledError, createTranslationJob };
@@ -0,0 +1,167 @@
+const Database = require('better-sqlite3');
+const { normalizeNameKey } = require('./filenames');
+
+// `context` identifies the prompt and glossary terms a translation was made
+// with (see promptContext), so changing either misses instead of reusing it.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS memory (
+    model TEXT NOT NULL,
+    target TEXT NOT NULL,
+    context TEXT NOT NULL DEFAULT '',
+    text_key TEXT NOT NULL,
+    text TEXT NOT NULL,
+    translated TEXT NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    used_at TEXT NOT NULL,
+    PRIMARY KEY (model, target, context, text_key)
+  );
+`;
+
+// Memories from before `context` existed are rebuilt with an empty context,
+// since the primary key changes.
+const migrate = (db) => {
+  const columns = new Set(db.pragma('table_info(memory)').map((column) => column.name));
+  if (columns.size === 0 || columns.has('context')) return;
+  db.transaction(() => {
+    db.exec('ALTER TABLE memory RENAME TO memory_without_context');
+    db.exec(SCHEMA);
+    db.exec(
+      `INSERT INTO memory (model, target, text_key, text, translated, hits, created_at, used_at)
+       SELECT model, target, text_key, text, translated, hits, created_at, used_at FROM memory_without_context`
+    );
+    db.exec('DROP TABLE memory_without_context');
+  })();
+};
+
+const fromRow = (row) =>
+  row && {
+    model: row.model,
+    target: row.target,
+    context: row.context,
+    text: row.text,
+    translated: row.translated,
+    hits: row.hits,
+    createdAt: row.created_at,
+    usedAt: row.used_at
+  };
+
+// Translations the HTTPS proxy already got from the model, keyed by model,
+// target language and the normalized text that was sent, so the same name
+// from another client or another folder never reaches the model twice.
+const openTranslationMemory = (filePath) => {
+  const db = new Database(filePath);
+  if (filePath !== ':memory:') db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  migrate(db);
+  db.exec(SCHEMA);
+
+  const key = 'model = @model AND target = @target AND context = @context AND text_key = @textKey';
+  const selectOne = db.prepare(`SELECT * FROM memory WHERE ${key}`);
+  const touch = db.prepare(`UPDATE memory SET hits = hits + 1, used_at = @usedAt WHERE ${key}`);
+  const upsert = db.prepare(
+    `INSERT INTO memory (model, target, context, text_key, text, translated, hits, created_at, used_at)
+     VALUES (@model, @target, @context, @textKey, @text, @translated, @hits, @createdAt, @usedAt)
+     ON CONFLICT (model, target, context, text_key)
+     DO UPDATE SET translated = excluded.translated, used_at = excluded.used_at`
+  );
+  const filter = `(@model IS NULL OR model = @model) AND (@target IS NULL OR target = @target)
+    AND (@textKey IS NULL OR text_key = @textKey)
+    AND (@query IS NULL OR instr(text_key, @query) > 0 OR instr(lower(translated), @query) > 0)`;
+  const selectPage = db.prepare(
+    `SELECT * FROM memory WHERE ${filter} ORDER BY used_at DESC LIMIT @limit OFFSET @offset`
+  );
+  const countMatching = db.prepare(`SELECT COUNT(*) AS count FROM memory WHERE ${filter}`);
+  const deleteMatching = db.prepare(`DELETE FROM memory WHERE ${filter}`);
+  const selectAll = db.prepare('SELECT * FROM memory ORDER BY model, target, text_key');
+  const countAll = db.prepare('SELECT COUNT(*) AS count FROM memory');
+
+  // Hits and misses since the memory was opened; the per-entry `hits` column
+  // keeps the long-term count.
+  const counters = { hits: 0, misses: 0 };
+
+  const toFilter = ({ model = null, target = null, text = null, query = null } = {}) => ({
+    model,
+    target,
+    textKey: text ? normalizeNameKey(text) : null,
+    query: query ? normalizeNameKey(query) : null
+  });
+
+  const keyOf = ({ model, target, context = '', text }) => ({
+    model,
+    target,
+    context,
+    textKey: normalizeNameKey(text)
+  });
+
+  const has = (entry) => Boolean(selectOne.get(keyOf(entry)));
+
+  const lookup = (entry) => {
+    const params = keyOf(entry);
+    const row = selectOne.get(params);
+    if (!row) {
+      counters.misses += 1;
+      return null;
+    }
+    counters.hits += 1;
+    touch.run({ ...params, usedAt: new Date().toISOString() });
+    return row.translated;
+  };
+
+  const remember = ({ model, target, context, text, translated, hits = 0, createdAt, usedAt }) => {
+    const now = new Date().toISOString();
+    upsert.run({
+      ...keyOf({ model, target, context, text }),
+      text,
+      translated,
+      hits,
+      createdAt: createdAt || now,
+      usedAt: usedAt || now
+    });
+  };
+
+  const importEntries = db.transaction((entries) => {
+    let count = 0;
+    for (const entry of entries) {
+      if (!entry?.model || !entry.target || !entry.text || !entry.translated) continue;
+      remember(entry);
+      count += 1;
+    }
+    return count;
+  });
+
+  const list = ({ limit = 100, offset = 0, ...options } = {}) => {
+    const params = toFilter(options);
+    return {
+      total: countMatching.get(params).count,
+      entries: selectPage.all({ ...params, limit, offset }).map(fromRow)
+    };
+  };
+
+  const stats = () => {
+    const lookups = counters.hits + counters.misses;
+    return {
+      entries: countAll.get().count,
+      hits: counters.hits,
+      misses: counters.misses,
+      hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : 0
+    };
+  };
+
+  return {
+    has,
+    lookup,
+    remember,
+    importEntries,
+    list,
+    // Removes the entries matching every given field; no fields removes all.
+    invalidate: (options) => deleteMatching.run(toFilter(options)).changes,
+    *entries() {
+      for (const row of selectAll.iterate()) yield fromRow(row);
+    },
+    stats,
+    close: () => db.close()
+  };
+};
+
+module.exports = { openTranslationMemory };
@@ -0,0 +1,60 @@
+const { splitFileName } = require('./filenames');
+const { languageName, untranslatedLanguage } = require('./languages');
+const { parseName } = require('./name-parser');
+const { MAX_LENGTH_RATIO, LENGTH_SLACK } = require('./llm-translation');
+
+// Tags and numbering are kept as they are, so only the translated text is
+// checked for the source language.
+const translatedText = (name) =>
+  parseName(name)
+    .segments.filter((segment) => segment.translate)
+    .map((segment) => segment.text)
+    .join(' ');
+
+// Why an entry belongs in the review queue, or null when it looks fine.
+// Hand-corrected (`manual`) entries are never flagged.
+const reviewReason = (entry) => {
+  if (entry.status === 'failed') return entry.error_message || 'Translation failed.';
+  if (entry.status === 'pending') return 'Translation never finished.';
+  if (entry.status !== 'translated' || !entry.translated_name) return null;
+
+  const isDirectory = Boolean(entry.is_directory);
+  const original = splitFileName(entry.original_name || entry.file_name, isDirectory).baseName;
+  const translated = splitFileName(entry.translated_name, isDirectory).baseName;
+  if (/[\r\n]/.test(translated)) return 'Translation spans several lines.';
+  const untranslated = untranslatedLanguage(translatedText(translated), entry.target);
+  if (untranslated) return `Translation still contains ${languageName(untranslated)}.`;
+  if (translated.trim() === original.trim()) return 'Translation is identical to the original.';
+  if (translated.length > original.length * MAX_LENGTH_RATIO + LENGTH_SLACK) {
+    return 'Translation is much longer than the original.';
+  }
+  return null;
+};
+
+const REVIEW_LIMIT = 1000;
+
+// The entries of the store's target under `under` (or anywhere) that need a
+// look, at most `limit` of them; `truncated` says whether more were left out.
+const reviewQueue = (store, { under = null, limit = REVIEW_LIMIT } = {}) => {
+  const items = [];
+  let truncated = false;
+  for (const entry of store.entriesWithStatus(['failed', 'pending', 'translated'], { under })) {
+    const reason = reviewReason(entry);
+    if (!reason) continue;
+    if (items.length >= limit) {
+      truncated = true;
+      break;
+    }
+    items.push({
+      filePath: entry.file_path,
+      name: entry.file_name,
+      isDirectory: Boolean(entry.is_directory),
+      status: entry.status,
+      translated: entry.translated_name,
+      reason
+    });
+  }
+  return { items, truncated };
+};
+
+module.exports = { reviewReason, reviewQueue };
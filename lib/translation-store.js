@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { splitFileName, nameCacheKey } = require('./filenames');
+const { writeFileAtomic } = require('./atomic-file');
+const { DEFAULT_TARGET } = require('./languages');
+
+const COLUMNS = [
+  'file_path',
+  'target',
+  'file_name',
+  'is_directory',
+  'translated_name',
+  'status',
+  'error_message',
+  'updated_at',
+  'original_name',
+  'content_hash',
+  'name_key',
+  'attempts',
+  'language',
+  'name_fields'
+];
+
+// One row per path and target language, so translations into several
+// languages live side by side. `language` is the detected language of the
+// name itself and `name_fields` the JSON of what the name parser found in it.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS translations (
+    file_path TEXT NOT NULL,
+    target TEXT NOT NULL DEFAULT '${DEFAULT_TARGET}',
+    file_name TEXT NOT NULL,
+    is_directory INTEGER NOT NULL DEFAULT 0,
+    translated_name TEXT,
+    status TEXT,
+    error_message TEXT,
+    updated_at TEXT,
+    original_name TEXT,
+    content_hash TEXT,
+    name_key TEXT,
+    attempts INTEGER,
+    language TEXT,
+    name_fields TEXT,
+    PRIMARY KEY (file_path, target)
+  );
+`;
+
+const INDEXES = `
+  CREATE INDEX IF NOT EXISTS translations_file_name ON translations (file_name);
+  CREATE INDEX IF NOT EXISTS translations_original_name ON translations (original_name);
+  CREATE INDEX IF NOT EXISTS translations_status ON translations (status);
+  CREATE INDEX IF NOT EXISTS translations_name_key ON translations (name_key);
+  CREATE INDEX IF NOT EXISTS translations_content_hash ON translations (content_hash);
+`;
+
+// `manual` entries were corrected by hand and count as translated everywhere.
+const TRANSLATED_STATUSES = ['translated', 'manual'];
+
+const hasTranslation = (entry) => Boolean(entry?.translated_name) && TRANSLATED_STATUSES.includes(entry.status);
+
+const separatorOf = (prefix) => (prefix.includes('\\') && !prefix.includes('/') ? '\\' : '/');
+
+const trimSeparator = (prefix) => (prefix.length > 1 ? prefix.replace(/[\\/]+$/, '') : prefix);
+
+// The name key is derived, so it stays out of the entries callers see and
+// export.
+const fromRow = (row) => {
+  if (!row) return row;
+  const { name_key: _nameKey, ...entry } = row;
+  return {
+    ...entry,
+    is_directory: Boolean(entry.is_directory),
+    name_fields: entry.name_fields ? JSON.parse(entry.name_fields) : null
+  };
+};
+
+const toRow = (entry, target) => {
+  const row = {};
+  COLUMNS.forEach((column) => {
+    row[column] = entry[column] === undefined ? null : entry[column];
+  });
+  row.target = entry.target || target;
+  row.file_name = row.file_name || path.basename(entry.file_path);
+  row.is_directory = entry.is_directory ? 1 : 0;
+  if (row.name_fields && typeof row.name_fields !== 'string') row.name_fields = JSON.stringify(row.name_fields);
+  row.name_key = nameCacheKey(row.original_name || row.file_name, row.is_directory);
+  return row;
+};
+
+const ADDED_COLUMNS = [
+  ['content_hash', 'TEXT'],
+  ['name_key', 'TEXT'],
+  ['attempts', 'INTEGER'],
+  ['language', 'TEXT'],
+  ['name_fields', 'TEXT']
+];
+
+const addMissingColumns = (db) => {
+  const columns = new Set(db.pragma('table_info(translations)').map((column) => column.name));
+  ADDED_COLUMNS.forEach(([column, type]) => {
+    if (!columns.has(column)) db.exec(`ALTER TABLE translations ADD COLUMN ${column} ${type}`);
+  });
+  return columns;
+};
+
+// DBs created before the name cache, attempt counts, language detection or
+// name parsing lack their columns; existing rows get their name key filled in
+// once. DBs from before target languages only held English and are rebuilt
+// with it, since the primary key changes. Name keys from before version 1
+// include the extension and are computed again.
+const NAME_KEY_VERSION = 1;
+
+const migrate = (db) => {
+  const columns = addMissingColumns(db);
+  if (!columns.has('target')) {
+    const copied = COLUMNS.filter((column) => column !== 'target').join(', ');
+    db.transaction(() => {
+      db.exec('ALTER TABLE translations RENAME TO translations_without_target');
+      db.exec(SCHEMA);
+      db.exec(`INSERT INTO translations (${copied}) SELECT ${copied} FROM translations_without_target`);
+      db.exec('DROP TABLE translations_without_target');
+    })();
+  }
+  db.exec(INDEXES);
+  db.function('name_cache_key', { deterministic: true }, (name, isDirectory) =>
+    nameCacheKey(name, Boolean(isDirectory))
+  );
+  db.transaction(() => {
+    const outdated = db.pragma('user_version', { simple: true }) < NAME_KEY_VERSION;
+    db.exec(
+      `UPDATE translations SET name_key = name_cache_key(COALESCE(original_name, file_name), is_directory)
+       ${outdated ? '' : 'WHERE name_key IS NULL'}`
+    );
+    db.pragma(`user_version = ${NAME_KEY_VERSION}`);
+  })();
+};
+
+// WAL lets the app keep reading while the generator writes from another
+// process; the busy timeout covers the short window where both write.
+//
+// The store reads and writes translations into `target`; `withTarget` gives
+// another view of the same DB. Path operations (`remove`, `getAll`,
+// `listUnder`, `relocate`) cover every target, since a moved file moves in all
+// of them.
+const openTranslationStore = (filePath, { target = DEFAULT_TARGET } = {}) => {
+  const db = new Database(filePath);
+  if (filePath !== ':memory:') db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(SCHEMA);
+  migrate(db);
+
+  const selectOne = db.prepare('SELECT * FROM translations WHERE file_path = @path AND target = @target');
+  const insertOrReplace = db.prepare(
+    `INSERT OR REPLACE INTO translations (${COLUMNS.join(', ')})
+     VALUES (${COLUMNS.map((column) => `@${column}`).join(', ')})`
+  );
+  const deleteOne = db.prepare('DELETE FROM translations WHERE file_path = ?');
+  const selectPath = db.prepare('SELECT * FROM translations WHERE file_path = ? ORDER BY target');
+  const selectUnder = db.prepare(
+    'SELECT * FROM translations WHERE file_path = @path OR (file_path >= @lower AND file_path < @upper)'
+  );
+  const selectAll = db.prepare('SELECT * FROM translations WHERE @target IS NULL OR target = @target');
+  const countAll = db.prepare('SELECT COUNT(*) AS count FROM translations WHERE @target IS NULL OR target = @target');
+  const selectCached = db.prepare(
+    `SELECT * FROM translations
+     WHERE name_key = @nameKey AND is_directory = @isDirectory AND target = @target
+       AND (@hash IS NULL OR content_hash = @hash)
+       AND status IN ('translated', 'manual') AND translated_name IS NOT NULL
+     ORDER BY status = 'manual' DESC, updated_at DESC LIMIT 1`
+  );
+  const selectWithStatus = db.prepare(
+    `SELECT * FROM translations
+     WHERE target = @target AND status IN (SELECT value FROM json_each(@statuses))
+       AND (@path IS NULL OR file_path = @path OR (file_path >= @lower AND file_path < @upper))`
+  );
+  const selectTargets = db.prepare(
+    `SELECT target, COUNT(*) AS count FROM translations
+     WHERE status IN ('translated', 'manual') GROUP BY target ORDER BY target`
+  );
+  const movePath = db.prepare('UPDATE OR REPLACE translations SET file_path = ? WHERE file_path = ?');
+
+  // Rows for `directory` itself and everything beneath it. The upper bound is
+  // the separator's next code point, so the range stays on the primary key.
+  const rangeUnder = (directory, separator) => ({
+    path: directory,
+    lower: `${directory}${separator}`,
+    upper: `${directory}${String.fromCharCode(separator.charCodeAt(0) + 1)}`
+  });
+
+  const listUnder = (directory, separator = path.sep) =>
+    selectUnder.all(rangeUnder(directory, separator)).map(fromRow);
+
+  // Rewrites every path under `fromPrefix` to sit under `toPrefix`, converting
+  // separators when a library moves between Windows and POSIX mounts.
+  const relocate = db.transaction((fromPath, toPath) => {
+    const fromPrefix = trimSeparator(fromPath);
+    const toPrefix = trimSeparator(toPath);
+    const fromSeparator = separatorOf(fromPrefix);
+    const toSeparator = separatorOf(toPrefix);
+    const paths = new Set(listUnder(fromPrefix, fromSeparator).map((entry) => entry.file_path));
+    paths.forEach((entryPath) => {
+      const rest = entryPath.slice(fromPrefix.length).split(fromSeparator).join(toSeparator);
+      movePath.run(`${toPrefix}${rest}`, entryPath);
+    });
+    return paths.size;
+  });
+
+  const createView = (viewTarget) => {
+    const get = (entryPath, entryTarget = viewTarget) =>
+      fromRow(selectOne.get({ path: entryPath, target: entryTarget }));
+
+    const put = (entry) => {
+      insertOrReplace.run(toRow(entry, viewTarget));
+      return entry;
+    };
+
+    const upsert = (payload) => put({ ...get(payload.file_path, payload.target || viewTarget), ...payload });
+
+    // The newest translated file or folder with the same normalized base name,
+    // wherever it lives on disk, preferring hand corrections. Passing a
+    // content hash also requires the same file contents, for names that
+    // translate differently per series. Its `translated_name` carries the
+    // extension of `name` rather than its own.
+    const findCached = ({ name, isDirectory = false, hash = null }) => {
+      const nameKey = nameCacheKey(name, isDirectory);
+      const cached = fromRow(selectCached.get({ nameKey, isDirectory: isDirectory ? 1 : 0, target: viewTarget, hash }));
+      if (!cached) return null;
+      const { extension } = splitFileName(cached.original_name || cached.file_name, cached.is_directory);
+      const translatedBase =
+        extension && cached.translated_name.endsWith(extension)
+          ? cached.translated_name.slice(0, -extension.length)
+          : cached.translated_name;
+      return { ...cached, translated_name: `${translatedBase}${splitFileName(name, isDirectory).extension}` };
+    };
+
+    // Entries without a `target` of their own go into this view's.
+    const importEntries = db.transaction((entries) => {
+      let count = 0;
+      for (const entry of entries) {
+        if (!entry?.file_path) continue;
+        put(entry);
+        count += 1;
+      }
+      return count;
+    });
+
+    return {
+      target: viewTarget,
+      withTarget: (nextTarget) => createView(nextTarget || DEFAULT_TARGET),
+      get,
+      put,
+      upsert,
+      remove: (entryPath) => deleteOne.run(entryPath).changes > 0,
+      // The entries of `entryPath` in every target language.
+      getAll: (entryPath) => selectPath.all(entryPath).map(fromRow),
+      listUnder,
+      findCached,
+      relocate,
+      // Every entry, or only those of `target`.
+      *entries({ target: entryTarget = null } = {}) {
+        for (const row of selectAll.iterate({ target: entryTarget })) yield fromRow(row);
+      },
+      // Entries of this view's target with one of `statuses`, optionally
+      // limited to `under` and its descendants.
+      *entriesWithStatus(statuses, { under = null, separator = path.sep } = {}) {
+        const range = under ? rangeUnder(under, separator) : { path: null, lower: null, upper: null };
+        const rows = selectWithStatus.iterate({ statuses: JSON.stringify(statuses), target: viewTarget, ...range });
+        for (const row of rows) yield fromRow(row);
+      },
+      count: ({ target: entryTarget = null } = {}) => countAll.get({ target: entryTarget }).count,
+      // The target languages that have translations, with how many.
+      targets: () => selectTargets.all(),
+      transaction: (fn) => db.transaction(fn)(),
+      importEntries,
+      close: () => db.close()
+    };
+  };
+
+  return createView(target);
+};
+
+const readJsonEntries = async (filePath) => {
+  const data = JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+  return Array.isArray(data) ? data : Array.isArray(data?.entries) ? data.entries : [];
+};
+
+const importJson = async (store, filePath) => store.importEntries(await readJsonEntries(filePath));
+
+// Writes the entries of the store's target, so the file has one row per path
+// like the JSON databases it replaces.
+const exportJson = async (store, filePath) => {
+  const output = {
+    generatedAt: new Date().toISOString(),
+    entries: Array.from(store.entries({ target: store.target }))
+  };
+  await writeFileAtomic(filePath, JSON.stringify(output, null, 2));
+  return output.entries.length;
+};
+
+const isJsonPath = (filePath) => path.extname(filePath).toLowerCase() === '.json';
+
+const storePathFor = (filePath) =>
+  isJsonPath(filePath) ? `${filePath.slice(0, -path.extname(filePath).length)}.sqlite` : filePath;
+
+// Older setups point at a `{ generatedAt, entries }` JSON file. Those open the
+// `.sqlite` store next to it, importing the JSON the first time. `options`
+// go to `openTranslationStore`.
+const openStoreForPath = async (filePath, options) => {
+  const storePath = storePathFor(filePath);
+  const isNew = !fs.existsSync(storePath);
+  const store = openTranslationStore(storePath, options);
+  let imported = 0;
+  if (isNew && isJsonPath(filePath) && fs.existsSync(filePath)) {
+    try {
+      imported = await importJson(store, filePath);
+    } catch (error) {
+      store.close();
+      await fs.promises.rm(storePath, { force: true });
+      throw error;
+    }
+  }
+  return { store, storePath, imported };
+};
+
+module.exports = {
+  TRANSLATED_STATUSES,
+  hasTranslation,
+  openTranslationStore,
+  openStoreForPath,
+  storePathFor,
+  importJson,
+  exportJson
+};
@@ -0,0 +1,130 @@
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const END_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const END_SIZE = 22;
+// The end record sits at the very end, after a comment of up to 64 KB.
+const MAX_END_SEARCH = END_SIZE + 0xffff;
+const UTF8_FLAG = 0x800;
+const ENCRYPTED_FLAG = 0x1;
+// Entries are read into memory whole; anything larger is not a page image.
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+// Far more than 65535 entries with ordinary names take up.
+const MAX_DIRECTORY_SIZE = 16 * 1024 * 1024;
+
+// Archives made on Japanese Windows store names in Shift_JIS without the
+// UTF-8 flag; names that are not valid Shift_JIS are read byte for byte.
+const shiftJis = new TextDecoder('shift_jis', { fatal: true });
+
+const decodeName = (bytes, flags) => {
+  if (flags & UTF8_FLAG) return bytes.toString('utf8');
+  try {
+    return shiftJis.decode(bytes);
+  } catch (error) {
+    return bytes.toString('latin1');
+  }
+};
+
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+// The end record and where it starts in the file.
+const findEnd = async (handle, size) => {
+  const length = Math.min(size, MAX_END_SEARCH);
+  const tail = await readAt(handle, size - length, length);
+  for (let offset = tail.length - END_SIZE; offset >= 0; offset -= 1) {
+    if (tail.readUInt32LE(offset) === END_SIGNATURE) {
+      return { end: tail.subarray(offset), position: size - length + offset };
+    }
+  }
+  throw new Error('Not a ZIP archive.');
+};
+
+const parseCentralDirectory = (directory, count) => {
+  const entries = [];
+  let offset = 0;
+  for (let index = 0; index < count; index += 1) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('The ZIP central directory is damaged.');
+    }
+    const flags = directory.readUInt16LE(offset + 8);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const name = decodeName(directory.subarray(offset + 46, offset + 46 + nameLength), flags);
+    entries.push({
+      name,
+      method: directory.readUInt16LE(offset + 10),
+      encrypted: Boolean(flags & ENCRYPTED_FLAG),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localOffset: directory.readUInt32LE(offset + 42),
+      isDirectory: name.endsWith('/')
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// Lists the entries of the ZIP (or CBZ) archive at `filePath` from its
+// central directory, without reading their contents. ZIP64 archives, over
+// 4 GB or 65535 entries, are not read.
+const listZipEntries = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const { end, position } = await findEnd(handle, size);
+    const count = end.readUInt16LE(10);
+    const directorySize = end.readUInt32LE(12);
+    const directoryOffset = end.readUInt32LE(16);
+    if (count === 0xffff || directoryOffset === 0xffffffff) throw new Error('ZIP64 archives are not supported.');
+    // The directory ends where the end record starts; sizes that reach past
+    // it come from a forged or truncated archive.
+    if (directoryOffset + directorySize > position || directorySize > MAX_DIRECTORY_SIZE) {
+      throw new Error('The ZIP central directory is damaged.');
+    }
+    const directory = await readAt(handle, directoryOffset, directorySize);
+    return parseCentralDirectory(directory, count);
+  } finally {
+    await handle.close();
+  }
+};
+
+// The contents of one entry from `listZipEntries`. Only stored and deflated
+// entries without encryption, of at most `maxSize` bytes, can be read.
+const readZipEntry = async (filePath, entry, { maxSize = MAX_ENTRY_SIZE } = {}) => {
+  if (entry.encrypted) throw new Error(`${entry.name} is encrypted.`);
+  if (entry.size > maxSize || entry.compressedSize > maxSize) throw new Error(`${entry.name} is too large.`);
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`${entry.name} uses compression method ${entry.method}, which is not supported.`);
+  }
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const header = await readAt(handle, entry.localOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+      throw new Error(`The ZIP header of ${entry.name} is damaged.`);
+    }
+    // The local name and extra field can differ in length from the central
+    // directory's copies.
+    const dataOffset = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const data = await readAt(handle, dataOffset, entry.compressedSize);
+    if (entry.method === 0) return data;
+    // A forged size must not inflate into more than the entry claims to hold.
+    return await inflateRaw(data, { maxOutputLength: Math.max(entry.size, 1) }).catch((error) => {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`${entry.name} is larger than its recorded size.`);
+      throw error;
+    });
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = { listZipEntries, readZipEntry };
@@ -1,12 +1,14 @@
 #!/usr/bin/env node
 const fs = require('fs').promises;
 const path = require('path');
+const { parseArgs } = require('util');
 const selfsigned = require('selfsigned');
+const { createClientCert } = require('../lib/client-cert');
 
 const outputDir = process.env.CERT_DIR || path.join(__dirname, '..', 'certs');
 const commonName = process.env.CERT_COMMON_NAME || 'localhost';
 
-const run = async () => {
+const generateServerCert = async () => {
   await fs.mkdir(outputDir, { recursive: true });
 
   const attrs = [{ name: 'commonName', value: commonName }];
@@ -26,6 +28,38 @@ const run = async () => {
   console.log(`Self-signed key written to ${keyPath}`);
 };
 
+// Client certs are signed by the server's cert, so the proxy verifies them
+// with OLLAMA_HTTPS_CLIENT_CA pointing at that same cert.pem.
+const generateClientCert = async (name) => {
+  const [caCert, caKey] = await Promise.all([
+    fs.readFile(path.join(outputDir, 'cert.pem'), 'utf8'),
+    fs.readFile(path.join(outputDir, 'key.pem'), 'utf8')
+  ]);
+  const clientDir = path.join(outputDir, 'clients');
+  await fs.mkdir(clientDir, { recursive: true });
+
+  const { cert, key } = createClientCert({ caCert, caKey, commonName: name });
+  const certPath = path.join(clientDir, `${name}.pem`);
+  const keyPath = path.join(clientDir, `${name}-key.pem`);
+  await fs.writeFile(certPath, cert, 'utf8');
+  await fs.writeFile(keyPath, key, { encoding: 'utf8', mode: 0o600 });
+
+  console.log(`Client cert for ${name} written to ${certPath}`);
+  console.log(`Client key for ${name} written to ${keyPath}`);
+};
+
+const run = async () => {
+  const { values } = parseArgs({ options: { client: { type: 'string' } } });
+  if (values.client) {
+    if (!/^[\w.-]+$/.test(values.client)) {
+      throw new Error('Client names may only use letters, digits, ".", "_" and "-".');
+    }
+    await generateClientCert(values.client);
+    return;
+  }
+  await generateServerCert();
+};
+
 run().catch((error) => {
   console.error('Failed to generate certs:', error);
   process.exit(1);
@@ -1,291 +1,183 @@
 #!/usr/bin/env node
-const fs = require('fs').promises;
-const path = require('path');
-
-const isJapanese = (value) => /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9faf]/.test(value);
-
-const loadGoogleTranslateClient = async () => {
-  const module = await import('@vitalets/google-translate-api');
-  const candidate = module.default || module;
-  return candidate.translate || candidate;
-};
-
-const buildOllamaPrompt = (text, target) =>
-  `Translate the following filename into ${target}. ` +
-  `Respond with only the translated filename and no extra text.\n\n` +
-  `${text}`;
-
-const applySubstitutions = (text, substitutions) => {
-  if (!substitutions || Object.keys(substitutions).length === 0) return text;
-  let updated = text;
-  const orderedKeys = Object.keys(substitutions).sort((a, b) => b.length - a.length);
-  orderedKeys.forEach((key) => {
-    const value = substitutions[key];
-    if (!key) return;
-    updated = updated.split(key).join(value);
-  });
-  return updated;
-};
-
-const loadSubstitutions = async (filePath) => {
-  if (!filePath) return {};
-  const raw = await fs.readFile(filePath, 'utf8');
-  const parsed = JSON.parse(raw);
-  return parsed && typeof parsed === 'object' ? parsed : {};
-};
-
-const createOllamaClient = ({ endpoint, model, certPath }) => {
-  if (!endpoint) {
-    throw new Error('Ollama endpoint is required.');
-  }
-
-  return async (text, target) => {
-    const url = new URL(endpoint);
-    const isHttps = url.protocol === 'https:';
-    let dispatcher;
-
-    if (isHttps && certPath) {
-      const { Agent } = require('undici');
-      dispatcher = new Agent({
-        connect: {
-          ca: await fs.readFile(certPath, 'utf8')
-        }
-      });
-    }
-
-    const isProxyEndpoint = url.pathname.endsWith('/translate');
-    const payload = isProxyEndpoint
-      ? { text, target }
-      : {
-          model,
-          prompt: buildOllamaPrompt(text, target),
-          stream: false
-        };
-
-    const response = await fetch(url.toString(), {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-      dispatcher
-    });
-
-    if (!response.ok) {
-      const body = await response.text();
-      const error = new Error(`Ollama request failed with ${response.status}`);
-      error.status = response.status;
-      error.body = body;
-      throw error;
-    }
-
-    const data = await response.json();
-    if (isProxyEndpoint) {
-      return data.translated?.trim() || '';
-    }
-    return data.response?.trim() || '';
-  };
-};
-
-const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const parseArgs = (argv) => {
-  const args = {};
-  for (let i = 2; i < argv.length; i += 1) {
-    const token = argv[i];
-    if (!token.startsWith('--')) continue;
-    const key = token.slice(2);
-    const value = argv[i + 1];
-    args[key] = value;
-    i += 1;
-  }
-  return args;
+const { parseArgs } = require('util');
+const { DEFAULT_OPTIONS, createTranslationJob } = require('../lib/translation-generator');
+const { createProvider, listProviders } = require('../lib/providers');
+const { writeReport } = require('../lib/generator-report');
+
+const ARGUMENTS = {
+  input: { type: 'string' },
+  output: { type: 'string' },
+  provider: { type: 'string' },
+  'ollama-endpoint': { type: 'string' },
+  'ollama-model': { type: 'string' },
+  'ollama-cert': { type: 'string' },
+  'ollama-key': { type: 'string' },
+  'client-cert': { type: 'string' },
+  'client-key': { type: 'string' },
+  'openai-endpoint': { type: 'string' },
+  'openai-model': { type: 'string' },
+  'openai-key': { type: 'string' },
+  'deepl-endpoint': { type: 'string' },
+  'deepl-key': { type: 'string' },
+  dictionary: { type: 'string' },
+  check: { type: 'boolean' },
+  target: { type: 'string' },
+  sources: { type: 'string' },
+  substitutions: { type: 'string' },
+  'name-rules': { type: 'string' },
+  prompt: { type: 'string' },
+  'prompt-retries': { type: 'string' },
+  hash: { type: 'boolean' },
+  'batch-size': { type: 'string' },
+  'batch-delay': { type: 'string' },
+  'rate-limit-delay': { type: 'string' },
+  'max-attempts': { type: 'string' },
+  'retry-delay': { type: 'string' },
+  resume: { type: 'boolean' },
+  'retry-failed': { type: 'boolean' },
+  report: { type: 'string' },
+  help: { type: 'boolean' }
 };
 
 const usage = () => {
   console.log(`Usage: node scripts/generate-translations.js --input <dir> --output <file> [options]
 
+The output is a SQLite translation DB that is written as each entry finishes.
+A .json output uses the .sqlite DB next to it (importing the JSON on first use)
+and is re-exported in the { generatedAt, entries } format when the run ends.
+The entries still to translate are checkpointed next to the DB, so an interrupted
+run can be continued with --resume.
+
 Options:
-  --provider <google|ollama> Translate provider (default: google)
-  --ollama-endpoint <url>    Ollama HTTPS endpoint (default: https://localhost:8443/translate)
-  --ollama-model <name>      Ollama model (default: shisa-v2.1-llama3.2-3b)
-  --ollama-cert <path>       Path to CA cert to trust self-signed Ollama HTTPS
-  --substitutions <path>     JSON map of replacements applied before translation
-  --batch-size <n>         Number of files per translation batch (default: 100)
-  --batch-delay <ms>       Delay between batches in ms (default: 1000)
-  --rate-limit-delay <ms>  Delay after 429 errors in ms (default: 5000)
+  --provider <names>         ${listProviders().join(', ')} (default: ${DEFAULT_OPTIONS.provider})
+                             A comma-separated list such as ollama,google falls back in order
+  --check                    Check that the providers are reachable and exit
+  --ollama-endpoint <url>    Ollama HTTPS endpoint (default: ${DEFAULT_OPTIONS.endpoint})
+  --ollama-model <name>      Ollama model (default: ${DEFAULT_OPTIONS.model})
+  --ollama-cert <path>       Path to CA cert to trust self-signed HTTPS (used by every provider)
+  --ollama-key <key>         API key for the HTTPS proxy (default: $OLLAMA_HTTPS_API_KEY)
+  --client-cert <path>       Client certificate for proxies that require one
+  --client-key <path>        Private key for --client-cert
+  --openai-endpoint <url>    OpenAI-compatible chat completions URL
+  --openai-model <name>      Model for the OpenAI-compatible provider
+  --openai-key <key>         API key (default: $OPENAI_API_KEY)
+  --deepl-endpoint <url>     DeepL translate URL (default: the free API)
+  --deepl-key <key>          API key (default: $DEEPL_API_KEY)
+  --dictionary <path>        JSON dictionary for the offline dictionary provider
+  --target <lang>            Language to translate into (default: ${DEFAULT_OPTIONS.target})
+  --sources <langs>          Detected languages to translate, from ja, zh, ko, mixed and romaji
+                             (default: ${DEFAULT_OPTIONS.sources.join(',')})
+  --substitutions <path>     JSON glossary of terms and their translations
+  --name-rules <path>        JSON rules for the tags and numbering kept out of translation
+  --prompt <path>            JSON prompt template for the ollama and openai providers
+  --prompt-retries <n>       Stricter retries after unusable model output (default: ${DEFAULT_OPTIONS.promptRetries})
+  --hash                     Only reuse cached translations of files with identical contents
+  --batch-size <n>           Number of entries per translation batch (default: ${DEFAULT_OPTIONS.batchSize})
+  --batch-delay <ms>         Delay between batches in ms (default: ${DEFAULT_OPTIONS.batchDelayMs})
+  --rate-limit-delay <ms>    Delay after 429 errors in ms (default: ${DEFAULT_OPTIONS.rateLimitDelayMs})
+  --max-attempts <n>         Tries per entry before it is recorded as failed (default: ${DEFAULT_OPTIONS.maxAttempts})
+  --retry-delay <ms>         Delay before retrying failures, doubling per try (default: ${DEFAULT_OPTIONS.retryDelayMs})
+  --resume                   Continue the interrupted run for this output instead of scanning again
+  --retry-failed             Only translate entries that failed in earlier runs
+  --report <path>            Write a run report: Markdown for .md, JSON otherwise
 `);
 };
 
-const walkFiles = async (dir) => {
-  const results = [];
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      results.push(...(await walkFiles(fullPath)));
-    } else if (entry.isFile()) {
-      results.push(fullPath);
-    }
-  }
-  return results;
-};
-
-const loadExistingDb = async (filePath) => {
+const readArgs = () => {
   try {
-    const raw = await fs.readFile(filePath, 'utf-8');
-    const parsed = JSON.parse(raw);
-    const entries = Array.isArray(parsed)
-      ? parsed
-      : Array.isArray(parsed?.entries)
-        ? parsed.entries
-        : [];
-    return { entries };
+    return parseArgs({ options: ARGUMENTS }).values;
   } catch (error) {
-    return { entries: [] };
+    console.error(error.message);
+    return null;
   }
 };
 
-const updateEntry = (entryMap, filePath, payload) => {
-  const existing = entryMap.get(filePath) || {};
-  entryMap.set(filePath, { ...existing, ...payload });
+const providerConfig = (args) => ({
+  provider: args.provider,
+  endpoint: args['ollama-endpoint'],
+  model: args['ollama-model'],
+  certPath: args['ollama-cert'],
+  ollamaApiKey: args['ollama-key'],
+  clientCertPath: args['client-cert'],
+  clientKeyPath: args['client-key'],
+  openaiEndpoint: args['openai-endpoint'],
+  openaiModel: args['openai-model'],
+  openaiApiKey: args['openai-key'],
+  deeplEndpoint: args['deepl-endpoint'],
+  deeplApiKey: args['deepl-key'],
+  dictionaryPath: args.dictionary,
+  promptPath: args.prompt,
+  promptRetries: args['prompt-retries'] === undefined ? undefined : Number(args['prompt-retries'])
+});
+
+const check = async (args) => {
+  const result = await createProvider(providerConfig(args)).healthCheck();
+  (result.providers || [{ name: args.provider || DEFAULT_OPTIONS.provider, ...result }]).forEach((item) => {
+    console.log(`${item.ok ? 'ok  ' : 'FAIL'} ${item.name}: ${item.message}`);
+  });
+  process.exit(result.ok ? 0 : 1);
 };
 
 const run = async () => {
-  const args = parseArgs(process.argv);
-  const inputDir = args.input;
-  const outputFile = args.output;
-  if (!inputDir || !outputFile) {
+  const args = readArgs();
+  if (args?.check) {
+    await check(args);
+    return;
+  }
+  if (!args || args.help || !args.input || !args.output) {
     usage();
-    process.exit(1);
+    process.exit(args?.help ? 0 : 1);
   }
 
-  const batchSize = Math.max(1, Number(args['batch-size'] || 100));
-  const batchDelayMs = Math.max(0, Number(args['batch-delay'] || 1000));
-  const rateLimitDelayMs = Math.max(0, Number(args['rate-limit-delay'] || 5000));
-  const provider = (args.provider || 'google').toLowerCase();
-  const ollamaEndpoint = args['ollama-endpoint'] || 'https://localhost:8443/translate';
-  const ollamaModel = args['ollama-model'] || 'shisa-v2.1-llama3.2-3b';
-  const ollamaCert = args['ollama-cert'];
-  const substitutionsPath = args.substitutions;
-  const substitutions = await loadSubstitutions(substitutionsPath);
-
-  const { entries: existingEntries } = await loadExistingDb(outputFile);
-  const entryMap = new Map();
-  existingEntries.forEach((entry) => {
-    if (entry?.file_path) {
-      entryMap.set(entry.file_path, entry);
+  const job = createTranslationJob(
+    {
+      ...providerConfig(args),
+      input: args.input,
+      output: args.output,
+      target: args.target,
+      sources: args.sources,
+      substitutionsPath: args.substitutions,
+      nameRulesPath: args['name-rules'],
+      useHash: args.hash,
+      batchSize: args['batch-size'],
+      batchDelayMs: args['batch-delay'],
+      rateLimitDelayMs: args['rate-limit-delay'],
+      maxAttempts: args['max-attempts'],
+      retryDelayMs: args['retry-delay'],
+      resume: args.resume,
+      retryFailed: args['retry-failed']
+    },
+    {
+      onEvent: (event) => {
+        if (event.type !== 'log') return;
+        if (event.level === 'warn') console.warn(event.message);
+        else console.log(event.message);
+      }
     }
+  );
+  process.once('SIGINT', () => {
+    console.warn('Stopping after the current batch...');
+    job.cancel();
   });
 
-  const files = await walkFiles(inputDir);
-  const toTranslate = [];
-
-  for (const filePath of files) {
-    const fileName = path.basename(filePath);
-    const extension = path.extname(fileName);
-    const baseName = extension ? fileName.slice(0, -extension.length) : fileName;
-    const existing = entryMap.get(filePath);
-
-    if (existing && existing.file_name === fileName && existing.status === 'translated') {
-      continue;
-    }
-
-    if (!isJapanese(baseName)) {
-      updateEntry(entryMap, filePath, {
-        file_path: filePath,
-        file_name: fileName,
-        translated_name: null,
-        status: 'skipped',
-        error_message: null,
-        updated_at: new Date().toISOString()
-      });
-      continue;
-    }
-
-    toTranslate.push({ filePath, fileName, baseName, extension });
+  const summary = await job.run();
+  if (args.report) {
+    await writeReport(args.report, summary);
   }
-
-  if (toTranslate.length === 0) {
-    const output = {
-      generatedAt: new Date().toISOString(),
-      entries: Array.from(entryMap.values())
-    };
-    await fs.writeFile(outputFile, JSON.stringify(output, null, 2));
-    console.log('No files needed translation. Database updated.');
-    return;
+  if (summary.failed > 0) {
+    console.warn(`${summary.failed} entries failed; --retry-failed tries them again.`);
   }
-
-  const translate =
-    provider === 'ollama'
-      ? await createOllamaClient({
-          endpoint: ollamaEndpoint,
-          model: ollamaModel,
-          certPath: ollamaCert
-        })
-      : await loadGoogleTranslateClient();
-
-  for (let i = 0; i < toTranslate.length; i += batchSize) {
-    const batch = toTranslate.slice(i, i + batchSize);
-    let pending = batch;
-    while (pending.length > 0) {
-      const results = await Promise.all(
-        pending.map(async (item) => {
-          try {
-            const normalizedBaseName = applySubstitutions(item.baseName, substitutions);
-            const translatedText =
-              provider === 'ollama'
-                ? await translate(normalizedBaseName, 'en')
-                : (await translate(normalizedBaseName, { to: 'en' })).text;
-            updateEntry(entryMap, item.filePath, {
-              file_path: item.filePath,
-              file_name: item.fileName,
-              translated_name: `${translatedText}${item.extension}`,
-              status: 'translated',
-              error_message: null,
-              updated_at: new Date().toISOString()
-            });
-            return { ok: true };
-          } catch (error) {
-            const statusCode = error?.response?.status || error?.status || error?.code;
-            const isRateLimited = statusCode === 429 || `${statusCode}` === '429';
-            if (isRateLimited) {
-              return { ok: false, rateLimited: true, item };
-            }
-            updateEntry(entryMap, item.filePath, {
-              file_path: item.filePath,
-              file_name: item.fileName,
-              translated_name: null,
-              status: 'failed',
-              error_message: error.message,
-              updated_at: new Date().toISOString()
-            });
-            return { ok: false };
-          }
-        })
-      );
-
-      const rateLimitedItems = results
-        .filter((result) => result.rateLimited)
-        .map((result) => result.item);
-      if (rateLimitedItems.length > 0) {
-        console.warn('Rate limit hit. Waiting before retry...');
-        await wait(rateLimitDelayMs);
-        pending = rateLimitedItems;
-      } else {
-        pending = [];
-      }
-    }
-
-    if (i + batchSize < toTranslate.length && batchDelayMs > 0) {
-      await wait(batchDelayMs);
-    }
+  if (summary.state === 'cancelled') {
+    console.log(`Cancelled. ${summary.translated} entries translated so far are saved in ${args.output}`);
+    console.log('Run the same command with --resume to continue.');
+  } else if (summary.total === 0) {
+    console.log('No files or directories needed translation. Database updated.');
+  } else {
+    console.log(`Translation database saved to ${args.output}`);
   }
-
-  const output = {
-    generatedAt: new Date().toISOString(),
-    entries: Array.from(entryMap.values())
-  };
-  await fs.writeFile(outputFile, JSON.stringify(output, null, 2));
-  console.log(`Translation database saved to ${outputFile}`);
 };
 
-run();
+run().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
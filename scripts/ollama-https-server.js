@@ -3,20 +3,54 @@ const fs = require('fs').promises;
 const path = require('path');
 const https = require('https');
 const express = require('express');
+const { createRequestQueue } = require('../lib/request-queue');
+const { openTranslationMemory } = require('../lib/translation-memory');
+const { createAuditLog, createKeyring, createRateLimiter, secretMatches } = require('../lib/proxy-auth');
+const { loadPromptTemplate, promptContext, translateWithModel } = require('../lib/llm-translation');
+const { DEFAULT_TARGET } = require('../lib/languages');
+const { applySubstitutions, pickSubstitutions, watchSubstitutions } = require('../lib/substitutions');
 
-const PORT = Number(process.env.OLLAMA_HTTPS_PORT || 8443);
-const CERT_DIR = process.env.CERT_DIR || path.join(__dirname, '..', 'certs');
-const CERT_PATH = process.env.CERT_PATH || path.join(CERT_DIR, 'cert.pem');
-const KEY_PATH = process.env.KEY_PATH || path.join(CERT_DIR, 'key.pem');
-const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'shisa-v2.1-llama3.2-3b';
-const OLLAMA_SUBSTITUTIONS_PATH = process.env.OLLAMA_SUBSTITUTIONS_PATH;
+// For settings where 0 is meaningful, so `||` cannot supply the default.
+const numberOr = (value, fallback) => {
+  const number = value === undefined || value === '' ? NaN : Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// Read when the server starts rather than when the module loads, so tests
+// (and anything else embedding the server) can set the environment first.
+const readConfig = (env = process.env) => {
+  const certDir = env.CERT_DIR || path.join(__dirname, '..', 'certs');
+  return {
+    port: Number(env.OLLAMA_HTTPS_PORT || 8443),
+    certPath: env.CERT_PATH || path.join(certDir, 'cert.pem'),
+    keyPath: env.KEY_PATH || path.join(certDir, 'key.pem'),
+    ollamaUrl: env.OLLAMA_URL || 'http://localhost:11434',
+    model: env.OLLAMA_MODEL || 'shisa-v2.1-llama3.2-3b',
+    defaultTarget: env.OLLAMA_HTTPS_DEFAULT_TARGET || DEFAULT_TARGET,
+    substitutionsPath: env.OLLAMA_SUBSTITUTIONS_PATH,
+    promptPath: env.OLLAMA_PROMPT_PATH,
+    glossaryMode: env.OLLAMA_HTTPS_GLOSSARY_MODE === 'replace' ? 'replace' : 'inject',
+    promptRetries: Math.max(0, numberOr(env.OLLAMA_HTTPS_PROMPT_RETRIES, 1)),
+    logLevel: (env.OLLAMA_HTTPS_LOG_LEVEL || 'info').toLowerCase(),
+    concurrency: Math.max(1, Number(env.OLLAMA_HTTPS_CONCURRENCY) || 1),
+    maxQueued: Math.max(0, numberOr(env.OLLAMA_HTTPS_MAX_QUEUE, 200)),
+    maxBatch: Math.max(1, Number(env.OLLAMA_HTTPS_MAX_BATCH) || 100),
+    timeoutMs: Math.max(1, Number(env.OLLAMA_HTTPS_TIMEOUT_MS) || 60000),
+    retryAfter: Math.max(1, Number(env.OLLAMA_HTTPS_RETRY_AFTER) || 5),
+    memoryPath: env.OLLAMA_HTTPS_MEMORY_PATH ?? path.join(__dirname, '..', 'translation-memory.sqlite'),
+    adminToken: env.OLLAMA_HTTPS_ADMIN_TOKEN,
+    keysPath: env.OLLAMA_HTTPS_KEYS_PATH,
+    clientCaPath: env.OLLAMA_HTTPS_CLIENT_CA,
+    rateLimit: Math.max(0, Number(env.OLLAMA_HTTPS_RATE_LIMIT) || 0),
+    auditPath: env.OLLAMA_HTTPS_AUDIT_LOG
+  };
+};
 
-const LOG_LEVEL = (process.env.OLLAMA_HTTPS_LOG_LEVEL || 'info').toLowerCase();
+let logLevel = 'info';
 
 const shouldLog = (level) => {
   const order = { error: 0, warn: 1, info: 2, debug: 3 };
-  return (order[level] ?? 2) <= (order[LOG_LEVEL] ?? 2);
+  return (order[level] ?? 2) <= (order[logLevel] ?? 2);
 };
 
 const log = (level, message, payload) => {
@@ -28,51 +62,20 @@ const log = (level, message, payload) => {
   }
 };
 
-const applySubstitutions = (text, substitutions) => {
-  if (!substitutions || Object.keys(substitutions).length === 0) return text;
-  let updated = text;
-  const orderedKeys = Object.keys(substitutions).sort((a, b) => b.length - a.length);
-  orderedKeys.forEach((key) => {
-    const value = substitutions[key];
-    if (!key) return;
-    updated = updated.split(key).join(value);
-  });
-  return updated;
-};
-
-const loadSubstitutions = async (filePath) => {
-  if (!filePath) return {};
-  try {
-    const raw = await fs.readFile(filePath, 'utf8');
-    const parsed = JSON.parse(raw);
-    return parsed && typeof parsed === 'object' ? parsed : {};
-  } catch (error) {
-    log('warn', 'Failed to load substitutions', { message: error.message, path: filePath });
-    return {};
-  }
-};
-
-const buildPrompt = (text, target) =>
-  `Translate the following filename into ${target}. ` +
-  `Respond with only the translated filename and no extra text.\n\n` +
-  `${text}`;
-
-const callOllama = async ({ text, target, substitutions }) => {
-  const normalizedText = applySubstitutions(text, substitutions);
-  console.info('Ollama translation request', {
-    model: OLLAMA_MODEL,
-    target,
-    text: normalizedText
-  });
+// Returns the model's raw answer; cleaning and validation happen in
+// translateWithModel.
+const callOllama = async ({ config, prompt, signal }) => {
+  log('debug', 'Ollama prompt', { model: config.model, prompt });
   const payload = {
-    model: OLLAMA_MODEL,
-    prompt: buildPrompt(normalizedText, target),
+    model: config.model,
+    prompt,
     stream: false
   };
-  const response = await fetch(`${OLLAMA_URL}/api/generate`, {
+  const response = await fetch(`${config.ollamaUrl}/api/generate`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
+    body: JSON.stringify(payload),
+    signal
   });
 
   const body = await response.text();
@@ -93,66 +96,365 @@ const callOllama = async ({ text, target, substitutions }) => {
     parseError.body = body;
     throw parseError;
   }
-  const translated = data.response?.trim() || '';
-  console.info('Ollama translation response', {
-    model: OLLAMA_MODEL,
-    target,
-    text: normalizedText,
-    translated
+  const answer = data.response || '';
+  log('debug', 'Ollama answer', { model: config.model, answer });
+  return answer;
+};
+
+// Aborts when the client goes away before the response is sent, so queued
+// texts are dropped and in-flight Ollama calls are cancelled.
+const requestSignal = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new Error('Client closed the request.'));
+  });
+  return controller.signal;
+};
+
+const sendError = (res, error) => {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  return res.status(error.status || 500).json({
+    ok: false,
+    message: error.message,
+    status: error.status,
+    body: error.body
+  });
+};
+
+const logFailure = (error) => {
+  log(error.status === 429 ? 'warn' : 'error', 'Translation failed', {
+    message: error.message,
+    status: error.status,
+    body: error.body,
+    requestBody: error.requestBody
+  });
+};
+
+const isText = (value) => typeof value === 'string' && value.length > 0;
+
+// Clients may send `{ term: translation }` for the names in the request; it
+// adds to (and overrides) the server's own substitutions.
+const isGlossary = (value) =>
+  value === undefined ||
+  (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isText));
+
+const isLoopback = (address = '') => ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address);
+
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1].trim() : req.get('x-api-key') || null;
+};
+
+// Who is calling, for rate limits and the audit log: the API key's name, else
+// the verified client certificate's common name, else the remote address.
+// Returns null when a keys file is configured and no valid key was sent.
+const identifyClient = (req, keyring) => {
+  const peer = req.socket.getPeerCertificate?.();
+  const certName = req.socket.authorized && peer?.subject?.CN ? peer.subject.CN : null;
+  if (keyring) {
+    const key = keyring.authenticate(bearerToken(req));
+    if (!key) return null;
+    return { id: `key:${key.name}`, name: key.name, admin: Boolean(key.admin), rateLimit: key.rateLimit, certName };
+  }
+  if (certName) return { id: `cert:${certName}`, name: certName, admin: false, rateLimit: null, certName };
+  return { id: `address:${req.socket.remoteAddress}`, name: null, admin: false, rateLimit: null, certName };
+};
+
+const requireClient = (keyring) => (req, res, next) => {
+  req.client = identifyClient(req, keyring);
+  if (req.client) return next();
+  log('warn', 'Rejected request without a valid API key', { path: req.path, address: req.socket.remoteAddress });
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ ok: false, message: 'A valid API key is required.' });
+};
+
+// Admin routes change what every client gets back. They take the admin
+// token or an admin API key; with neither configured they are limited to this
+// machine.
+const requireAdmin = (config, keyring) => (req, res, next) => {
+  const token = bearerToken(req);
+  const allowed =
+    secretMatches(token, config.adminToken) ||
+    Boolean(keyring?.authenticate(token)?.admin) ||
+    (!config.adminToken && !keyring && isLoopback(req.socket.remoteAddress));
+  if (allowed) return next();
+  log('warn', 'Rejected admin request', { path: req.path, address: req.socket.remoteAddress });
+  return res.status(403).json({ ok: false, message: 'Admin access denied.' });
+};
+
+const openKeyring = (keysPath) => {
+  if (!keysPath) return null;
+  return createKeyring(keysPath, {
+    onReload: (count) => log('info', 'Loaded API keys', { count, path: keysPath }),
+    onError: (error) => log('error', 'Failed to load API keys', { message: error.message, path: keysPath })
+  });
+};
+
+// Edits to the glossary apply to the next request; a file that fails to load
+// keeps the previous rules.
+const openGlossary = async (substitutionsPath) => {
+  if (!substitutionsPath) return null;
+  const glossary = watchSubstitutions(substitutionsPath, {
+    onReload: ({ rules, problems }) => {
+      log('info', 'Loaded substitutions', { count: rules.length, warnings: problems.length, path: substitutionsPath });
+    },
+    onError: (error) => log('warn', 'Failed to load substitutions', { message: error.message, path: substitutionsPath })
+  });
+  await glossary.ready;
+  return glossary;
+};
+
+const openMemory = (memoryPath) => {
+  if (!memoryPath || memoryPath === 'off') return null;
+  const memory = openTranslationMemory(memoryPath);
+  log('info', 'Opened translation memory', { path: memoryPath, entries: memory.stats().entries });
+  return memory;
+};
+
+// Admin filters come from the query string; empty values mean "any".
+const memoryFilter = (query, config) => ({
+  model: query.model || (query.allModels ? null : config.model),
+  target: query.target || null,
+  text: query.text || null,
+  query: query.q || null
+});
+
+// Inspect, export, import and invalidate the translation memory. Mounted
+// ahead of the global JSON parser so imports get a larger body limit.
+const createMemoryRouter = (memory, config, keyring) => {
+  const admin = express.Router();
+  admin.use(requireAdmin(config, keyring));
+
+  // `?model=` defaults to the served model; `?allModels=1` lists every model.
+  admin.get('/', (req, res) => {
+    const limit = Math.min(1000, Math.max(0, Number(req.query.limit) || 100));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    res.json({ ok: true, ...memory.list({ ...memoryFilter(req.query, config), limit, offset }) });
+  });
+
+  admin.get('/export', (_req, res) => {
+    res.set('Content-Disposition', 'attachment; filename="translation-memory.json"');
+    res.json({ generatedAt: new Date().toISOString(), entries: Array.from(memory.entries()) });
+  });
+
+  admin.post('/import', express.json({ limit: '50mb' }), (req, res) => {
+    const entries = Array.isArray(req.body) ? req.body : req.body?.entries;
+    if (!Array.isArray(entries)) {
+      return res.status(400).json({ ok: false, message: 'entries must be an array' });
+    }
+    const imported = memory.importEntries(entries);
+    log('info', 'Imported translation memory', { imported });
+    return res.json({ ok: true, imported });
+  });
+
+  // Without any filter this would empty the memory, so that needs `?all=1`.
+  admin.delete('/', (req, res) => {
+    const filter = memoryFilter(req.query, config);
+    const hasFilter = req.query.model || req.query.target || filter.text || filter.query;
+    if (!hasFilter && !req.query.all) {
+      return res.status(400).json({ ok: false, message: 'Pass a model, target, text or q filter, or all=1.' });
+    }
+    const removed = memory.invalidate(req.query.all ? {} : filter);
+    log('info', 'Invalidated translation memory', { ...filter, removed });
+    return res.json({ ok: true, removed });
   });
-  return translated;
+
+  return admin;
 };
 
-const startServer = async () => {
+const startServer = async (overrides = {}) => {
+  const config = { ...readConfig(), ...overrides };
+  logLevel = config.logLevel;
   const [cert, key] = await Promise.all([
-    fs.readFile(CERT_PATH, 'utf8'),
-    fs.readFile(KEY_PATH, 'utf8')
+    fs.readFile(config.certPath, 'utf8'),
+    fs.readFile(config.keyPath, 'utf8')
   ]);
 
+  const clientCa = config.clientCaPath ? await fs.readFile(config.clientCaPath, 'utf8') : null;
+
+  const memory = openMemory(config.memoryPath);
+  const keyring = openKeyring(config.keysPath);
+  const audit = config.auditPath ? createAuditLog(config.auditPath) : null;
+  const rateLimiter = createRateLimiter();
   const app = express();
+  if (memory) app.use('/admin/memory', createMemoryRouter(memory, config, keyring));
   app.use(express.json({ limit: '1mb' }));
 
-  const substitutions = await loadSubstitutions(OLLAMA_SUBSTITUTIONS_PATH);
-  if (Object.keys(substitutions).length > 0) {
-    log('info', 'Loaded substitutions', { count: Object.keys(substitutions).length });
-  }
+  const substitutions = await openGlossary(config.substitutionsPath);
+  const template = await loadPromptTemplate(config.promptPath);
+
+  const queue = createRequestQueue({
+    concurrency: config.concurrency,
+    maxQueued: config.maxQueued,
+    fallbackRetryAfter: config.retryAfter
+  });
+
+  // One call to Ollama, failing with 504 after `timeoutMs`.
+  const complete = async (prompt, signal) => {
+    const timeout = AbortSignal.timeout(config.timeoutMs);
+    try {
+      return await callOllama({ config, prompt, signal: AbortSignal.any([signal, timeout]) });
+    } catch (error) {
+      if (!timeout.aborted) throw error;
+      const timeoutError = new Error(`Ollama did not answer within ${config.timeoutMs} ms.`);
+      timeoutError.status = 504;
+      throw timeoutError;
+    }
+  };
+
+  // What gets sent for `text`: in `inject` mode the matching glossary terms go
+  // into the prompt, in `replace` mode they are replaced in the text first.
+  // `context` keys the memory, so a changed prompt or term misses it.
+  const prepare = (text, target, requestGlossary) => {
+    const glossary = { ...pickSubstitutions([text], substitutions?.current(), { target }), ...requestGlossary };
+    const replace = config.glossaryMode === 'replace';
+    const source = replace ? applySubstitutions(text, glossary) : text;
+    const promptGlossary = replace ? {} : glossary;
+    const context = promptContext({ template, text: source, glossary: promptGlossary });
+    return { key: { model: config.model, target, context, text: source }, source, glossary: promptGlossary };
+  };
+
+  // Queues one text; every attempt, including retries after a rejected
+  // answer, gets its own timeout once the text leaves the queue, so a long
+  // backlog does not time out texts that never reached Ollama. Remembered
+  // translations are answered without queueing.
+  const translate = async (text, target, signal, requestGlossary) => {
+    const { key, source, glossary } = prepare(text, target, requestGlossary);
+    const remembered = memory?.lookup(key);
+    if (remembered) {
+      log('debug', 'Translation memory hit', { target, text: source });
+      return { translated: remembered, cached: true };
+    }
+    const translated = await queue.run(
+      () =>
+        translateWithModel({
+          text: source,
+          target,
+          glossary,
+          template,
+          retries: config.promptRetries,
+          complete: (prompt) => complete(prompt, signal)
+        }),
+      { signal }
+    );
+    log('info', 'Ollama translation', { model: config.model, target, text: source, translated });
+    memory?.remember({ ...key, translated });
+    return { translated, cached: false };
+  };
+
+  // Only texts that miss the memory need room in the queue.
+  const uncachedCount = (texts, target, requestGlossary) =>
+    texts.filter((text) => !memory?.has(prepare(text, target, requestGlossary).key)).length;
 
   app.get('/health', (_req, res) => {
-    res.json({ ok: true, model: OLLAMA_MODEL });
+    res.json({ ok: true, model: config.model, queue: queue.stats(), memory: memory ? memory.stats() : null });
   });
 
+  // Charges `count` texts against the client's per-minute limit, answering
+  // 429 when it is used up.
+  const rateLimited = (req, res, count) => {
+    const retryAfter = rateLimiter.take(req.client.id, count, req.client.rateLimit ?? config.rateLimit);
+    if (!retryAfter) return false;
+    log('warn', 'Client rate limited', { client: req.client.id, count, retryAfter });
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ ok: false, message: 'Rate limit exceeded.', status: 429 });
+    return true;
+  };
+
+  const record = (req, target, text, outcome) =>
+    audit?.record({
+      client: req.client.id,
+      cert: req.client.certName || undefined,
+      address: req.socket.remoteAddress,
+      route: req.path,
+      target,
+      text,
+      ...outcome
+    });
+
+  app.use('/translate', requireClient(keyring));
+
   app.post('/translate', async (req, res) => {
-    const { text, target = 'en' } = req.body || {};
-    if (!text || typeof text !== 'string') {
+    const { text, target = config.defaultTarget, glossary } = req.body || {};
+    if (!isText(text)) {
       log('warn', 'Translation request missing text');
       return res.status(400).json({ ok: false, message: 'text is required' });
     }
+    if (!isGlossary(glossary)) {
+      return res.status(400).json({ ok: false, message: 'glossary must map terms to translations' });
+    }
+    if (rateLimited(req, res, 1)) return undefined;
 
     try {
-      const translated = await callOllama({ text, target, substitutions });
-      log('info', 'Translation success', { target, length: translated.length });
-      return res.json({ ok: true, translated });
+      const { translated, cached } = await translate(text, target, requestSignal(res), glossary);
+      log('info', 'Translation success', { target, length: translated.length, cached });
+      record(req, target, text, { translated, cached });
+      return res.json({ ok: true, translated, cached });
     } catch (error) {
-      log('error', 'Translation failed', {
-        message: error.message,
-        status: error.status,
-        body: error.body,
-        requestBody: error.requestBody
-      });
-      return res.status(error.status || 500).json({
-        ok: false,
-        message: error.message,
-        status: error.status,
-        body: error.body
-      });
+      logFailure(error);
+      record(req, target, text, { error: error.message, status: error.status || 500 });
+      return sendError(res, error);
     }
   });
 
-  const server = https.createServer({ key, cert }, app);
+  // Every text is queued on its own, so a batch shares Ollama fairly with
+  // single requests. A batch that does not fit in the queue is rejected whole;
+  // otherwise each text succeeds or fails separately.
+  app.post('/translate/batch', async (req, res) => {
+    const { texts, target = config.defaultTarget, glossary } = req.body || {};
+    if (!Array.isArray(texts) || texts.length === 0 || !texts.every(isText)) {
+      log('warn', 'Batch request without texts');
+      return res.status(400).json({ ok: false, message: 'texts must be a non-empty array of strings' });
+    }
+    if (!isGlossary(glossary)) {
+      return res.status(400).json({ ok: false, message: 'glossary must map terms to translations' });
+    }
+    if (texts.length > config.maxBatch) {
+      return res.status(413).json({ ok: false, message: `At most ${config.maxBatch} texts per batch.` });
+    }
+    if (rateLimited(req, res, texts.length)) return undefined;
+
+    try {
+      queue.assertRoom(uncachedCount(texts, target, glossary));
+    } catch (error) {
+      logFailure(error);
+      return sendError(res, error);
+    }
+
+    const signal = requestSignal(res);
+    const results = await Promise.all(
+      texts.map((text) =>
+        translate(text, target, signal, glossary).then(
+          ({ translated, cached }) => {
+            record(req, target, text, { translated, cached });
+            return { ok: true, translated, cached };
+          },
+          (error) => {
+            logFailure(error);
+            record(req, target, text, { error: error.message, status: error.status || 500 });
+            return { ok: false, message: error.message, status: error.status || 500 };
+          }
+        )
+      )
+    );
+    log('info', 'Batch translated', { target, count: texts.length });
+    return res.json({ ok: true, results });
+  });
+
+  // Client certificates signed by `clientCa` are required on top of TLS;
+  // connections without one never reach the routes.
+  const clientCertOptions = clientCa ? { ca: clientCa, requestCert: true, rejectUnauthorized: true } : {};
+  const server = https.createServer({ key, cert, ...clientCertOptions }, app);
+  server.on('close', () => {
+    memory?.close();
+    keyring?.close();
+    audit?.close();
+    substitutions?.close();
+  });
   await new Promise((resolve) => {
-    server.listen(PORT, () => {
+    server.listen(config.port, () => {
       const address = server.address();
-      const port = typeof address === 'object' && address ? address.port : PORT;
+      const port = typeof address === 'object' && address ? address.port : config.port;
       log('info', `Ollama HTTPS translation server listening on https://localhost:${port}`);
       resolve();
     });
@@ -168,4 +470,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { startServer };
+module.exports = { readConfig, startServer };
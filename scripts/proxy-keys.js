@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+const path = require('path');
+const { parseArgs } = require('util');
+const { addKey, revokeKey, listKeys } = require('../lib/proxy-auth');
+
+const ARGUMENTS = {
+  file: { type: 'string' },
+  'rate-limit': { type: 'string' },
+  admin: { type: 'boolean' },
+  help: { type: 'boolean' }
+};
+
+const usage = () => {
+  console.log(`Usage: node scripts/proxy-keys.js <command> [name] [options]
+
+Manages the API keys the Ollama HTTPS proxy accepts when OLLAMA_HTTPS_KEYS_PATH
+points at the keys file. The proxy picks up changes without a restart.
+
+Commands:
+  add <name>            Create a key and print it; only its hash is stored
+  revoke <name>         Remove a key
+  list                  List key names and settings
+
+Options:
+  --file <path>         Keys file (default: $OLLAMA_HTTPS_KEYS_PATH or proxy-keys.json)
+  --rate-limit <n>      Texts per minute for this key (default: OLLAMA_HTTPS_RATE_LIMIT)
+  --admin               Allow this key to use the /admin routes
+`);
+};
+
+const run = () => {
+  const { values: args, positionals } = parseArgs({ options: ARGUMENTS, allowPositionals: true });
+  const [command, name] = positionals;
+  const filePath = args.file || process.env.OLLAMA_HTTPS_KEYS_PATH || path.join(__dirname, '..', 'proxy-keys.json');
+
+  if (command === 'list' && !args.help) {
+    listKeys(filePath).forEach((entry) => {
+      const limit = entry.rateLimit ? `${entry.rateLimit}/min` : 'default limit';
+      console.log(`${entry.name}\t${limit}${entry.admin ? '\tadmin' : ''}${entry.disabled ? '\tdisabled' : ''}`);
+    });
+    return;
+  }
+  if (args.help || !name || !['add', 'revoke'].includes(command)) {
+    usage();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  if (command === 'add') {
+    const rateLimit = args['rate-limit'] ? Number(args['rate-limit']) : null;
+    const key = addKey(filePath, { name, rateLimit, admin: Boolean(args.admin) });
+    console.log(`Key for ${name} (shown once, store it now):`);
+    console.log(key);
+    return;
+  }
+  if (!revokeKey(filePath, name)) {
+    console.error(`No key named ${name}.`);
+    process.exit(1);
+  }
+  console.log(`Revoked the key for ${name}.`);
+};
+
+try {
+  run();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
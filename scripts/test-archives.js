@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { listZipEntries, readZipEntry } = require('../lib/zip-reader');
+const { archivePages, createThumbnailCache } = require('../src/thumbnails');
+const { expect, withTempDir } = require('./test-helpers');
+
+// A ZIP of `files` ({ name, data, deflate, utf8, size }), where `name` may be
+// a Buffer to store it without the UTF-8 flag and `size` forges the size
+// recorded for the uncompressed data.
+const buildZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({ name, data, deflate = false, utf8 = true, size = data.length }) => {
+    const nameBytes = Buffer.isBuffer(name) ? name : Buffer.from(name);
+    const stored = deflate ? zlib.deflateRawSync(data) : data;
+    const flags = utf8 ? 0x800 : 0;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, stored);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + stored.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+// Stands in for Electron's nativeImage: buffers starting with `IMG` decode
+// to a 1000x1500 image.
+const createFakeNativeImage = () => {
+  const decoded = [];
+  const fakeImage = (width, height, source) => ({
+    isEmpty: () => width === 0,
+    getSize: () => ({ width, height }),
+    resize: (options) => {
+      const scale = options.width ? options.width / width : options.height / height;
+      return fakeImage(Math.round(width * scale), Math.round(height * scale), source);
+    },
+    toJPEG: () => Buffer.from(`JPEG ${width}x${height} ${source}`)
+  });
+  return {
+    decoded,
+    createFromBuffer: (data) => {
+      const text = data.toString();
+      decoded.push(text);
+      return text.startsWith('IMG') ? fakeImage(1000, 1500, text) : fakeImage(0, 0, text);
+    },
+    createThumbnailFromPath: async () => fakeImage(0, 0, '')
+  };
+};
+
+const testArchives = async () => {
+  await withTempDir('archives', async (dir) => {
+    const archivePath = path.join(dir, 'book.cbz');
+    // 表紙 in Shift_JIS; its second byte is a backslash.
+    const shiftJisName = Buffer.concat([Buffer.from([0x95, 0x5c, 0x8e, 0x86]), Buffer.from('/page10.jpg')]);
+    await fs.writeFile(
+      archivePath,
+      buildZip([
+        { name: 'notes.txt', data: Buffer.from('notes') },
+        { name: shiftJisName, data: Buffer.from('IMG page 10'), deflate: true, utf8: false },
+        { name: '表紙/page2.jpg', data: Buffer.from('IMG page 2'), deflate: true },
+        { name: '__MACOSX/表紙/._page1.jpg', data: Buffer.from('resource fork') },
+        { name: 'bomb.bin', data: Buffer.alloc(100000), deflate: true, size: 10 }
+      ])
+    );
+    const entries = await listZipEntries(archivePath);
+    expect(entries[1].name === '表紙/page10.jpg', 'Shift_JIS names should be decoded', entries[1].name);
+    const pages = archivePages(entries);
+    expect(
+      pages.map((page) => page.name).join() === '表紙/page2.jpg,表紙/page10.jpg',
+      'Pages should be images in natural order',
+      pages.map((page) => page.name)
+    );
+    expect((await readZipEntry(archivePath, pages[1])).toString() === 'IMG page 10', 'Entries should inflate', null);
+    const large = await readZipEntry(archivePath, pages[1], { maxSize: 5 }).catch((caught) => caught);
+    expect(/too large/.test(large?.message), 'Entries over the size cap should be rejected', large?.message);
+    const bomb = await readZipEntry(archivePath, entries[4]).catch((caught) => caught);
+    expect(/recorded size/.test(bomb?.message), 'Entries should not inflate past their recorded size', bomb?.message);
+    const error = await listZipEntries(path.join(__dirname, '..', 'package.json')).catch((caught) => caught);
+    expect(error?.message === 'Not a ZIP archive.', 'Other files should be rejected', error?.message);
+
+    // A directory that reaches past the end record, from a forged size or
+    // offset or a file cut off at the start.
+    const zip = buildZip([{ name: 'page1.jpg', data: Buffer.from('IMG page 1') }]);
+    const forge = (field, value) => {
+      const forged = Buffer.from(zip);
+      forged.writeUInt32LE(value, zip.length - 22 + field);
+      return forged;
+    };
+    const forgedPath = path.join(dir, 'forged.cbz');
+    for (const data of [forge(12, 1024 * 1024), forge(16, zip.length), zip.subarray(10)]) {
+      await fs.writeFile(forgedPath, data);
+      const damaged = await listZipEntries(forgedPath).catch((caught) => caught);
+      expect(/directory is damaged/.test(damaged?.message), 'Forged directories should be rejected', damaged?.message);
+    }
+
+    const nativeImage = createFakeNativeImage();
+    const cacheDir = path.join(dir, 'thumbnails');
+    const thumbnails = createThumbnailCache({ directory: cacheDir, nativeImage, platform: 'linux' });
+    const cover = await thumbnails.get(archivePath);
+    expect(cover.ok && cover.url.startsWith('file:'), 'Archives should get a thumbnail', cover);
+    const [cached] = await fs.readdir(cacheDir);
+    const jpeg = await fs.readFile(path.join(cacheDir, cached), 'utf8');
+    expect(jpeg === 'JPEG 171x256 IMG page 2', 'The first page should be scaled to fit', jpeg);
+    await thumbnails.get(archivePath);
+    const again = await createThumbnailCache({ directory: cacheDir, nativeImage, platform: 'linux' }).get(archivePath);
+    expect(again.url === cover.url && nativeImage.decoded.length === 1, 'Thumbnails should come from the cache', again);
+
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(archivePath, later, later);
+    expect((await thumbnails.get(archivePath)).url !== cover.url, 'Changed files should get a new thumbnail', null);
+
+    const webpPath = path.join(dir, 'scan.webp');
+    await fs.writeFile(webpPath, 'RIFF');
+    const webp = await thumbnails.get(webpPath);
+    expect(!webp.ok && /cannot be decoded/.test(webp.message), 'Undecodable images should fail', webp);
+    const text = await thumbnails.get(path.join(dir, 'notes.txt'));
+    expect(!text.ok, 'Other files should have no thumbnail', text);
+
+    expect((await thumbnails.prune({ maxBytes: 30 })) === 1, 'Pruning should keep the newest thumbnail', null);
+    expect((await fs.readdir(cacheDir)).length === 1, 'One thumbnail should be left', null);
+  });
+};
+
+const run = async () => {
+  await testArchives();
+  console.log('Archive and thumbnail tests passed.');
+};
+
+run().catch((error) => {
+  console.error('Archive and thumbnail tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const { createFileOperations } = require('../src/file-operations');
+const { expect, withTempDir } = require('./test-helpers');
+
+const readText = (filePath) => fs.readFile(filePath, 'utf8');
+
+// A source and destination folder that both hold `a.txt` and `folder/b.txt`.
+const setUp = async (dir) => {
+  const source = path.join(dir, 'source');
+  const destination = path.join(dir, 'destination');
+  for (const [root, label] of [
+    [source, 'new'],
+    [destination, 'old']
+  ]) {
+    await fs.mkdir(path.join(root, 'folder'), { recursive: true });
+    await fs.writeFile(path.join(root, 'a.txt'), `${label} a`);
+    await fs.writeFile(path.join(root, 'folder', 'b.txt'), `${label} b`);
+  }
+  return { source, destination };
+};
+
+// File operations that answer every conflict with `choice`; `onConflict`
+// runs first and gets the operations, for cancelling mid-job.
+const createOperations = (choice, { onConflict } = {}) => {
+  const trashed = [];
+  const operations = createFileOperations({
+    onProgress: () => {},
+    resolveConflict: async (conflict) => {
+      onConflict?.(operations, conflict);
+      return { choice };
+    },
+    onMoved: () => {},
+    onCopied: () => {},
+    trashItem: async (filePath) => {
+      trashed.push(filePath);
+      await fs.rm(filePath, { recursive: true, force: true });
+    }
+  });
+  return { operations, trashed };
+};
+
+const leftovers = async (directory) => (await fs.readdir(directory)).filter((name) => name.endsWith('.partial'));
+
+const testOverwrite = async (dir) => {
+  const { source, destination } = await setUp(dir);
+  const { operations, trashed } = createOperations('overwrite');
+  const sources = [path.join(source, 'a.txt'), path.join(source, 'folder')];
+  const { results } = await operations.copy({ jobId: 'overwrite', sources, destination });
+  expect(results.every((result) => result.ok), 'Overwriting copies should succeed', results);
+  expect((await readText(path.join(destination, 'a.txt'))) === 'new a', 'Files should be replaced', null);
+  expect((await readText(path.join(destination, 'folder', 'b.txt'))) === 'new b', 'Folders should be replaced', null);
+  expect(trashed.length === 2, 'Replaced items should go to the trash', trashed);
+  const partials = await leftovers(destination);
+  expect(partials.length === 0, 'Nothing should be left behind', partials);
+
+  await fs.writeFile(path.join(dir, 'moved.txt'), 'moved');
+  await fs.writeFile(path.join(destination, 'moved.txt'), 'old moved');
+  const moved = await operations.move({ jobId: 'move', sources: [path.join(dir, 'moved.txt')], destination });
+  expect(moved.results[0].ok, 'Overwriting moves should succeed', moved.results);
+  expect((await readText(path.join(destination, 'moved.txt'))) === 'moved', 'Moves should replace the target', null);
+};
+
+const testSkipAndKeepBoth = async (dir) => {
+  const { source, destination } = await setUp(dir);
+  const skipped = await createOperations('skip').operations.copy({
+    jobId: 'skip',
+    sources: [path.join(source, 'a.txt')],
+    destination
+  });
+  expect(skipped.results[0].skipped, 'Skipped items should be reported', skipped.results);
+  expect((await readText(path.join(destination, 'a.txt'))) === 'old a', 'Skipping should keep the target', null);
+
+  const kept = await createOperations('keepBoth').operations.copy({
+    jobId: 'keep',
+    sources: [path.join(source, 'a.txt'), path.join(source, 'folder')],
+    destination
+  });
+  expect(
+    kept.results.map((result) => path.basename(result.target)).join() === 'a (2).txt,folder (2)',
+    'Keeping both should pick free names',
+    kept.results
+  );
+  expect((await readText(path.join(destination, 'a.txt'))) === 'old a', 'Keeping both should keep the target', null);
+  expect((await readText(path.join(destination, 'a (2).txt'))) === 'new a', 'The copy should sit beside it', null);
+};
+
+// Cancelling while an overwriting copy runs leaves the old target as it was.
+const testCancelledOverwrite = async (dir) => {
+  const { source, destination } = await setUp(dir);
+  await fs.writeFile(path.join(source, 'folder', 'large.bin'), Buffer.alloc(4 * 1024 * 1024));
+  const { operations, trashed } = createOperations('overwrite', {
+    onConflict: (ops, conflict) => setImmediate(() => ops.cancel(conflict.jobId))
+  });
+  const { results, cancelled } = await operations.copy({
+    jobId: 'cancel',
+    sources: [path.join(source, 'folder')],
+    destination
+  });
+  expect(cancelled && results[0].cancelled, 'The copy should be cancelled', results);
+  expect(trashed.length === 0, 'Nothing should be trashed', trashed);
+  expect((await readText(path.join(destination, 'folder', 'b.txt'))) === 'old b', 'The target should be intact', null);
+  expect((await fs.readdir(path.join(destination, 'folder'))).length === 1, 'No new files should be in it', null);
+  const partials = await leftovers(destination);
+  expect(partials.length === 0, 'The partial copy should be removed', partials);
+};
+
+const testRenameAndCreate = async (dir) => {
+  const { destination } = await setUp(dir);
+  const { operations } = createOperations('skip');
+  const renamed = await operations.renameEntry(path.join(destination, 'a.txt'), 'c.txt');
+  expect(renamed === path.join(destination, 'c.txt'), 'Renames should return the new path', renamed);
+  expect((await readText(renamed)) === 'old a', 'The renamed file should keep its content', null);
+  const error = await operations.renameEntry(renamed, 'folder').catch((caught) => caught);
+  expect(error?.message === 'folder already exists.', 'Renaming onto an existing name should fail', error?.message);
+  await fs.writeFile(path.join(destination, 'C.txt'), 'other c');
+  const caseError = await operations.renameEntry(renamed, 'C.txt').catch((caught) => caught);
+  const caseMessage = caseError?.message;
+  expect(caseMessage === 'C.txt already exists.', 'Names that differ in case can be other files', caseMessage);
+  expect((await readText(path.join(destination, 'C.txt'))) === 'other c', 'The other file should be kept', null);
+  const created = await operations.createFolder(destination, 'new');
+  expect((await fs.stat(created)).isDirectory(), 'New folders should be created', created);
+};
+
+const run = async () => {
+  await withTempDir('file-operations', testOverwrite);
+  await withTempDir('file-operations', testSkipAndKeepBoth);
+  await withTempDir('file-operations', testCancelledOverwrite);
+  await withTempDir('file-operations', testRenameAndCreate);
+  console.log('File operation tests passed.');
+};
+
+run().catch((error) => {
+  console.error('File operation tests failed:', error);
+  process.exit(1);
+});
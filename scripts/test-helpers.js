@@ -0,0 +1,22 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Shared by the scripts/test-*.js suites.
+
+const expect = (condition, message, actual) => {
+  if (!condition) throw new Error(`${message}: ${JSON.stringify(actual)}`);
+};
+
+// Runs `test` with a fresh `fileexp-<name>-` folder in the temp directory,
+// which is removed afterwards whether or not the test passed.
+const withTempDir = async (name, test) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), `fileexp-${name}-`));
+  try {
+    return await test(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+module.exports = { expect, withTempDir };
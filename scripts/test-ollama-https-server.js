@@ -5,7 +5,10 @@ const os = require('os');
 const path = require('path');
 const selfsigned = require('selfsigned');
 const { Agent } = require('undici');
-const { startServer } = require('./ollama-https-server');
+const { readConfig, startServer } = require('./ollama-https-server');
+const { addKey, createRateLimiter } = require('../lib/proxy-auth');
+const { createClientCert } = require('../lib/client-cert');
+const { createOllamaProvider } = require('../lib/providers/ollama');
 
 const withMockOllama = async (handler) =>
   new Promise((resolve, reject) => {
@@ -27,19 +30,392 @@ const makeCerts = async () => {
   return { dir, certPath, keyPath };
 };
 
-const postTranslate = async ({ port, ca, text }) => {
-  const dispatcher = new Agent({ connect: { ca } });
-  const response = await fetch(`https://localhost:${port}/translate`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ text, target: 'en' }),
+const requestJson = async ({ port, ca, route, method = 'GET', payload, headers = {}, clientCert = {} }) => {
+  const dispatcher = new Agent({ connect: { ca, ...clientCert } });
+  const response = await fetch(`https://localhost:${port}${route}`, {
+    method,
+    headers: payload ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: payload ? JSON.stringify(payload) : undefined,
     dispatcher
   });
   const body = await response.json();
-  return { status: response.status, body };
+  return { status: response.status, headers: response.headers, body };
+};
+
+const postJson = (options) => requestJson({ ...options, method: 'POST' });
+
+const postTranslate = ({ port, ca, text, ...options }) =>
+  postJson({ ...options, port, ca, route: '/translate', payload: { text, target: 'en' } });
+
+const postBatch = ({ port, ca, texts, ...options }) =>
+  postJson({ ...options, port, ca, route: '/translate/batch', payload: { texts, target: 'en' } });
+
+const serverPort = (server) => {
+  const address = server.address();
+  return typeof address === 'object' && address ? address.port : 0;
+};
+
+// A mock Ollama that answers each prompt after `delayMs` and records the
+// highest number of requests it had in flight at once.
+const withSlowOllama = async (delayMs) => {
+  const stats = { inFlight: 0, maxInFlight: 0, requests: 0 };
+  const server = await withMockOllama((req, res) => {
+    stats.requests += 1;
+    stats.inFlight += 1;
+    stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+    const timer = setTimeout(() => {
+      stats.inFlight -= 1;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ response: 'Slow name' }));
+    }, delayMs);
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        clearTimeout(timer);
+        stats.inFlight -= 1;
+      }
+    });
+  });
+  return { server, stats };
+};
+
+const closeServer = (server) => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+};
+
+const testBatchAndQueue = async (ca) => {
+  const { server: slowServer, stats } = await withSlowOllama(100);
+  process.env.OLLAMA_URL = `http://localhost:${slowServer.address().port}`;
+  process.env.OLLAMA_HTTPS_CONCURRENCY = '2';
+  process.env.OLLAMA_HTTPS_MAX_QUEUE = '3';
+  const httpsServer = await startServer();
+  const port = serverPort(httpsServer);
+
+  const batch = await postBatch({ port, ca, texts: ['一', '二', '三', '四'] });
+  if (batch.status !== 200 || !batch.body.results.every((result) => result.translated === 'Slow name')) {
+    throw new Error(`Unexpected batch response: ${JSON.stringify(batch.body)}`);
+  }
+  if (stats.maxInFlight > 2) {
+    throw new Error(`Concurrency limit ignored: ${stats.maxInFlight} requests in flight`);
+  }
+
+  // 2 running + 3 queued fit; the sixth text does not.
+  const overflow = await postBatch({ port, ca, texts: ['1', '2', '3', '4', '5', '6'] });
+  if (overflow.status !== 429 || !(Number(overflow.headers.get('retry-after')) > 0)) {
+    throw new Error(`Expected 429 with Retry-After, got ${overflow.status}: ${JSON.stringify(overflow.body)}`);
+  }
+
+  const invalid = await postBatch({ port, ca, texts: [] });
+  if (invalid.status !== 400) {
+    throw new Error(`Expected 400 for an empty batch, got ${invalid.status}`);
+  }
+
+  await closeServer(httpsServer);
+  await closeServer(slowServer);
+  delete process.env.OLLAMA_HTTPS_CONCURRENCY;
+  delete process.env.OLLAMA_HTTPS_MAX_QUEUE;
+};
+
+const testTimeout = async (ca) => {
+  const { server: slowServer } = await withSlowOllama(2000);
+  process.env.OLLAMA_URL = `http://localhost:${slowServer.address().port}`;
+  process.env.OLLAMA_HTTPS_TIMEOUT_MS = '100';
+  const httpsServer = await startServer();
+
+  const response = await postTranslate({ port: serverPort(httpsServer), ca, text: '日本語' });
+  if (response.status !== 504 || response.body.ok !== false) {
+    throw new Error(`Expected 504 on timeout, got ${response.status}: ${JSON.stringify(response.body)}`);
+  }
+
+  await closeServer(httpsServer);
+  await closeServer(slowServer);
+  delete process.env.OLLAMA_HTTPS_TIMEOUT_MS;
+};
+
+const testMemory = async (ca) => {
+  const { server: slowServer, stats } = await withSlowOllama(10);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fileexp-memory-'));
+  process.env.OLLAMA_URL = `http://localhost:${slowServer.address().port}`;
+  process.env.OLLAMA_HTTPS_MEMORY_PATH = path.join(dir, 'memory.sqlite');
+
+  let httpsServer = await startServer();
+  let port = serverPort(httpsServer);
+  const first = await postTranslate({ port, ca, text: '日本語' });
+  const second = await postTranslate({ port, ca, text: ' 日本語 ' });
+  if (first.body.cached !== false || second.body.cached !== true || second.body.translated !== 'Slow name') {
+    throw new Error(`Expected the second request from memory: ${JSON.stringify([first.body, second.body])}`);
+  }
+  const batch = await postBatch({ port, ca, texts: ['日本語', '英語'] });
+  const cachedFlags = batch.body.results.map((result) => result.cached).join(',');
+  if (cachedFlags !== 'true,false' || stats.requests !== 2) {
+    throw new Error(`Unexpected batch memory use: ${JSON.stringify(batch.body)}, ${stats.requests} model calls`);
+  }
+  await closeServer(httpsServer);
+
+  // The memory survives a restart.
+  httpsServer = await startServer();
+  port = serverPort(httpsServer);
+  const restarted = await postTranslate({ port, ca, text: '英語' });
+  if (!restarted.body.cached || stats.requests !== 2) {
+    throw new Error(`Memory was not persisted: ${JSON.stringify(restarted.body)}`);
+  }
+  const health = await requestJson({ port, ca, route: '/health' });
+  if (health.body.memory.entries !== 2 || health.body.memory.hitRate !== 1) {
+    throw new Error(`Unexpected memory stats: ${JSON.stringify(health.body.memory)}`);
+  }
+
+  const listed = await requestJson({ port, ca, route: `/admin/memory?q=${encodeURIComponent('英')}` });
+  if (listed.body.total !== 1 || listed.body.entries[0].text !== '英語') {
+    throw new Error(`Unexpected memory listing: ${JSON.stringify(listed.body)}`);
+  }
+  const exported = await requestJson({ port, ca, route: '/admin/memory/export' });
+  const refused = await requestJson({ port, ca, route: '/admin/memory', method: 'DELETE' });
+  const cleared = await requestJson({ port, ca, route: '/admin/memory?all=1', method: 'DELETE' });
+  if (refused.status !== 400 || cleared.body.removed !== 2) {
+    throw new Error(`Unexpected invalidation: ${JSON.stringify([refused.body, cleared.body])}`);
+  }
+  const imported = await postJson({ port, ca, route: '/admin/memory/import', payload: exported.body });
+  const textRoute = `/admin/memory?text=${encodeURIComponent('日本語')}`;
+  const removed = await requestJson({ port, ca, route: textRoute, method: 'DELETE' });
+  if (imported.body.imported !== 2 || removed.body.removed !== 1) {
+    throw new Error(`Unexpected import or removal: ${JSON.stringify([imported.body, removed.body])}`);
+  }
+
+  await closeServer(httpsServer);
+  await closeServer(slowServer);
+  await fs.rm(dir, { recursive: true, force: true });
+  process.env.OLLAMA_HTTPS_MEMORY_PATH = ':memory:';
+};
+
+// The mock answers in Japanese for 壊, which no retry fixes.
+const testPrompt = async (ca) => {
+  const prompts = [];
+  const ollama = await withMockOllama((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const { prompt } = JSON.parse(body);
+      prompts.push(prompt);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ response: prompt.includes('壊') ? '"壊れた"' : 'Translation: "Japanese"' }));
+    });
+  });
+  process.env.OLLAMA_URL = `http://localhost:${ollama.address().port}`;
+  process.env.OLLAMA_HTTPS_DEFAULT_TARGET = 'ja';
+  const httpsServer = await startServer();
+  const port = serverPort(httpsServer);
+
+  const translate = (text, glossary) =>
+    postJson({ port, ca, route: '/translate', payload: { text, target: 'en', glossary } });
+  const first = await translate('日本語', { 日本: 'Japan' });
+  if (first.body.translated !== 'Japanese' || !prompts[0].includes('日本 = Japan')) {
+    throw new Error(`Expected the glossary in the prompt: ${JSON.stringify([first.body, prompts[0]])}`);
+  }
+  // A different glossary term means a different prompt, so the memory is not used.
+  const changed = await translate('日本語', { 日本: 'Nippon' });
+  if (changed.body.cached !== false || prompts.length !== 2) {
+    throw new Error(`A changed glossary should bypass the memory: ${JSON.stringify(changed.body)}`);
+  }
+
+  const rejected = await translate('壊');
+  if (rejected.status !== 422 || prompts.length !== 4 || !prompts[3].includes('still contains Japanese')) {
+    throw new Error(`Expected 422 after a strict retry, got ${rejected.status}: ${JSON.stringify(rejected.body)}`);
+  }
+  // Without a target the default applies, and Japanese is fine in Japanese.
+  const untargeted = await postJson({ port, ca, route: '/translate', payload: { text: '壊' } });
+  if (untargeted.body.translated !== '壊れた' || !prompts[4].includes('into ja')) {
+    throw new Error(`Expected the default target to be used: ${JSON.stringify([untargeted.body, prompts[4]])}`);
+  }
+  const invalid = await translate('日本語', ['Japan']);
+  if (invalid.status !== 400) {
+    throw new Error(`Expected 400 for an invalid glossary, got ${invalid.status}`);
+  }
+
+  await closeServer(httpsServer);
+  await closeServer(ollama);
+  delete process.env.OLLAMA_HTTPS_DEFAULT_TARGET;
+};
+
+// The proxy checks the glossary file every 2 seconds.
+const waitFor = async (check, timeoutMs = 8000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) return false;
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  return true;
+};
+
+const testGlossary = async (ca) => {
+  const prompts = [];
+  const ollama = await withMockOllama((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      prompts.push(JSON.parse(body).prompt);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ response: 'Glossary name' }));
+    });
+  });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fileexp-glossary-'));
+  const glossaryPath = path.join(dir, 'substitutions.json');
+  await fs.writeFile(
+    glossaryPath,
+    JSON.stringify({
+      rules: [
+        { term: '日本', replacement: 'Japan', comment: 'The country' },
+        { term: '日本', replacement: 'Japon', scope: 'fr' },
+        { pattern: '第(\\d+)巻', replacement: 'Vol. $1' }
+      ]
+    })
+  );
+  process.env.OLLAMA_URL = `http://localhost:${ollama.address().port}`;
+  process.env.OLLAMA_SUBSTITUTIONS_PATH = glossaryPath;
+  const httpsServer = await startServer();
+  const port = serverPort(httpsServer);
+  const translate = (text, target = 'en') => postJson({ port, ca, route: '/translate', payload: { text, target } });
+
+  await translate('日本語 第３巻');
+  if (!prompts[0].includes('日本 = Japan') || !prompts[0].includes('第３巻 = Vol. 3')) {
+    throw new Error(`Expected the glossary rules in the prompt: ${prompts[0]}`);
+  }
+  await translate('日本語', 'fr');
+  if (!prompts[1].includes('日本 = Japon')) {
+    throw new Error(`Expected the rule scoped to French: ${prompts[1]}`);
+  }
+
+  await fs.writeFile(glossaryPath, JSON.stringify({ 日本: 'Nippon' }));
+  const reloaded = await waitFor(async () => {
+    await translate('日本語');
+    return prompts[prompts.length - 1].includes('日本 = Nippon');
+  });
+  if (!reloaded) throw new Error(`The glossary was not reloaded: ${prompts[prompts.length - 1]}`);
+
+  // A broken file keeps the rules that last loaded.
+  await fs.writeFile(glossaryPath, '{');
+  await new Promise((resolve) => setTimeout(resolve, 2500));
+  await translate('日本酒');
+  if (!prompts[prompts.length - 1].includes('日本 = Nippon')) {
+    throw new Error(`A broken glossary should keep the previous one: ${prompts[prompts.length - 1]}`);
+  }
+
+  await closeServer(httpsServer);
+  await closeServer(ollama);
+  await fs.rm(dir, { recursive: true, force: true });
+  delete process.env.OLLAMA_SUBSTITUTIONS_PATH;
+};
+
+const testAuth = async (ca, { certPath, keyPath }) => {
+  const { server: slowServer } = await withSlowOllama(10);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fileexp-auth-'));
+  const keysPath = path.join(dir, 'keys.json');
+  const auditPath = path.join(dir, 'audit.log');
+  const aliceKey = addKey(keysPath, { name: 'alice', rateLimit: 3 });
+  const adminKey = addKey(keysPath, { name: 'ops', admin: true });
+  process.env.OLLAMA_URL = `http://localhost:${slowServer.address().port}`;
+  process.env.OLLAMA_HTTPS_KEYS_PATH = keysPath;
+  process.env.OLLAMA_HTTPS_AUDIT_LOG = auditPath;
+  process.env.OLLAMA_HTTPS_ADMIN_TOKEN = 'admin-secret';
+
+  let httpsServer = await startServer();
+  let port = serverPort(httpsServer);
+  const anonymous = await postTranslate({ port, ca, text: '日本語' });
+  const wrongKey = await postTranslate({ port, ca, text: '日本語', headers: { Authorization: 'Bearer nope' } });
+  if (anonymous.status !== 401 || wrongKey.status !== 401) {
+    throw new Error(`Expected 401 without a valid key, got ${anonymous.status} and ${wrongKey.status}`);
+  }
+
+  const alice = createOllamaProvider({ endpoint: `https://localhost:${port}/translate`, certPath, apiKey: aliceKey });
+  const translated = await alice.translateBatch(['一', '二']);
+  if (translated.join('|') !== 'Slow name|Slow name') {
+    throw new Error(`Unexpected translations with a key: ${JSON.stringify(translated)}`);
+  }
+  // Alice's limit is 3 texts a minute and 2 are used.
+  const aliceHeaders = { Authorization: `Bearer ${aliceKey}` };
+  const limited = await postBatch({ port, ca, texts: ['三', '四'], headers: aliceHeaders });
+  if (limited.status !== 429 || !(Number(limited.headers.get('retry-after')) > 0)) {
+    throw new Error(`Expected a per-key rate limit, got ${limited.status}: ${JSON.stringify(limited.body)}`);
+  }
+
+  const aliceAdmin = await requestJson({ port, ca, route: '/admin/memory', headers: { 'X-API-Key': aliceKey } });
+  const opsAdmin = await requestJson({ port, ca, route: '/admin/memory', headers: { 'X-API-Key': adminKey } });
+  if (aliceAdmin.status !== 403 || opsAdmin.status !== 200) {
+    throw new Error(`Unexpected admin access: ${aliceAdmin.status} for alice, ${opsAdmin.status} for ops`);
+  }
+  const withToken = (token) =>
+    requestJson({ port, ca, route: '/admin/memory', headers: { Authorization: `Bearer ${token}` } });
+  const [rightToken, wrongToken] = await Promise.all([withToken('admin-secret'), withToken('admin-secreT')]);
+  if (rightToken.status !== 200 || wrongToken.status !== 403) {
+    throw new Error(`Unexpected admin token access: ${rightToken.status} and ${wrongToken.status}`);
+  }
+  delete process.env.OLLAMA_HTTPS_ADMIN_TOKEN;
+  await closeServer(httpsServer);
+
+  const audit = (await fs.readFile(auditPath, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+  if (audit.length !== 2 || !audit.every((line) => line.client === 'key:alice' && line.translated === 'Slow name')) {
+    throw new Error(`Unexpected audit log: ${JSON.stringify(audit)}`);
+  }
+
+  // Client certificates signed by the server cert.
+  delete process.env.OLLAMA_HTTPS_KEYS_PATH;
+  process.env.OLLAMA_HTTPS_CLIENT_CA = certPath;
+  httpsServer = await startServer();
+  port = serverPort(httpsServer);
+  const [caCert, caKey] = await Promise.all([fs.readFile(certPath, 'utf8'), fs.readFile(keyPath, 'utf8')]);
+  const clientCert = createClientCert({ caCert, caKey, commonName: 'bob', days: 1 });
+  const withCert = await postTranslate({ port, ca, text: '日本語', clientCert });
+  const withoutCert = await postTranslate({ port, ca, text: '日本語' }).catch((error) => error);
+  if (!withCert.body.ok || !(withoutCert instanceof Error)) {
+    throw new Error(`Expected only the client cert to connect: ${JSON.stringify(withCert.body)}`);
+  }
+  await closeServer(httpsServer);
+  const lastLine = JSON.parse((await fs.readFile(auditPath, 'utf8')).trim().split('\n').pop());
+  if (lastLine.client !== 'cert:bob') {
+    throw new Error(`Expected the cert name in the audit log: ${JSON.stringify(lastLine)}`);
+  }
+
+  await closeServer(slowServer);
+  await fs.rm(dir, { recursive: true, force: true });
+  delete process.env.OLLAMA_HTTPS_CLIENT_CA;
+  delete process.env.OLLAMA_HTTPS_AUDIT_LOG;
+};
+
+// Buckets are dropped once they have refilled, so clients that stop sending
+// do not stay in memory.
+const testRateLimiterEviction = () => {
+  let now = 0;
+  const limiter = createRateLimiter({ now: () => now });
+  now = 10000;
+  limiter.take('a', 1, 60);
+  limiter.take('b', 60, 60);
+  now = 40000;
+  const waited = limiter.take('b', 60, 60);
+  if (waited !== 30 || limiter.size() !== 2) {
+    throw new Error(`Expected b to wait 30s with two buckets, got ${waited}s and ${limiter.size()}`);
+  }
+  now = 60000;
+  limiter.take('c', 1, 60);
+  if (limiter.size() !== 2) throw new Error(`Expected only a to be dropped, got ${limiter.size()} buckets`);
+  now = 121000;
+  limiter.take('c', 1, 60);
+  if (limiter.size() !== 1) throw new Error(`Expected refilled buckets to be dropped, got ${limiter.size()}`);
+};
+
+const testConfig = () => {
+  const queues = ['abc', '', '0', '5'].map((value) => readConfig({ OLLAMA_HTTPS_MAX_QUEUE: value }).maxQueued);
+  if (queues.join() !== '200,200,0,5' || readConfig({}).maxQueued !== 200) {
+    throw new Error(`Unexpected queue limits: ${queues.join()}`);
+  }
+  const retries = ['x', '0'].map((value) => readConfig({ OLLAMA_HTTPS_PROMPT_RETRIES: value }).promptRetries);
+  if (retries.join() !== '1,0') throw new Error(`Unexpected prompt retries: ${retries.join()}`);
 };
 
 const run = async () => {
+  testConfig();
   const { certPath, keyPath } = await makeCerts();
   const ca = await fs.readFile(certPath, 'utf8');
 
@@ -60,6 +436,7 @@ const run = async () => {
   process.env.CERT_PATH = certPath;
   process.env.KEY_PATH = keyPath;
   process.env.OLLAMA_HTTPS_LOG_LEVEL = 'error';
+  process.env.OLLAMA_HTTPS_MEMORY_PATH = ':memory:';
 
   const httpsServer = await startServer();
   const address = httpsServer.address();
@@ -109,6 +486,14 @@ const run = async () => {
   await new Promise((resolve) => httpsServerFail.close(resolve));
   await new Promise((resolve) => failureServer.close(resolve));
 
+  await testBatchAndQueue(ca);
+  await testTimeout(ca);
+  await testMemory(ca);
+  await testPrompt(ca);
+  await testGlossary(ca);
+  await testAuth(ca, { certPath, keyPath });
+  testRateLimiterEviction();
+
   console.log('Ollama HTTPS server tests passed.');
 };
 
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const { sanitizeFileName, planRenames, createRenamer } = require('../src/renamer');
+const { expect, withTempDir } = require('./test-helpers');
+
+const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+const testSanitize = () => {
+  expect(sanitizeFileName('a/b', 'linux') === 'a_b', 'Slashes should be replaced', sanitizeFileName('a/b', 'linux'));
+  const windows = ['a:b?.txt', 'CON.txt', 'Title. ', '..'].map((name) => sanitizeFileName(name, 'win32'));
+  expect(windows.join('|') === 'a_b_.txt|_CON.txt|Title|', 'Windows names should be made valid', windows);
+};
+
+// Several entries translating to one name, next to a file that already has
+// it, get numbered suffixes in plan order.
+const testCollisions = async (dir) => {
+  const names = ['一.txt', '二.txt', '三', '四.txt', '五.txt', 'Done.txt'];
+  await Promise.all(names.map((name) => fs.writeFile(path.join(dir, name), name)));
+  await fs.writeFile(path.join(dir, 'Title.txt'), 'taken');
+  await fs.mkdir(path.join(dir, 'フォルダ'));
+  await fs.mkdir(path.join(dir, 'Vol.1'));
+  const translations = {
+    '一.txt': 'Title.txt',
+    '二.txt': 'Title.txt',
+    フォルダ: 'Vol.1',
+    '四.txt': 'Why/Not.txt',
+    'Done.txt': 'Done.txt'
+  };
+  const items = [...names, 'フォルダ'].map((name) => ({
+    filePath: path.join(dir, name),
+    isDirectory: name === 'フォルダ'
+  }));
+  const plan = await planRenames(items, {
+    getTranslatedName: (filePath) => translations[path.basename(filePath)] || null,
+    platform: 'linux'
+  });
+  const summary = plan.map((item) => `${item.oldName}>${item.newName}:${item.action}`);
+  expect(
+    summary.join() ===
+      [
+        '一.txt>Title (2).txt:rename',
+        '二.txt>Title (3).txt:rename',
+        '三>null:skip',
+        '四.txt>Why_Not.txt:rename',
+        '五.txt>null:skip',
+        'Done.txt>Done.txt:skip',
+        'フォルダ>Vol.1 (2):rename'
+      ].join(),
+    'Unexpected rename plan',
+    summary
+  );
+  expect(plan[0].reason === 'Name collision, suffix added', 'Collisions should be explained', plan[0]);
+  expect(plan[3].reason === 'Illegal characters replaced', 'Replacements should be explained', plan[3]);
+  expect(plan[5].reason === 'Already renamed', 'Renamed entries should be skipped', plan[5]);
+
+  const caseOnly = await planRenames([{ filePath: path.join(dir, 'Title.txt'), isDirectory: false }], {
+    getTranslatedName: () => 'TITLE.txt',
+    platform: 'linux'
+  });
+  expect(caseOnly[0].newName === 'TITLE.txt', 'A case-only rename should not collide with itself', caseOnly);
+};
+
+// On case-sensitive file systems a name that differs only in case can
+// belong to another file, which must not be overwritten.
+const testCaseCollisions = async (dir) => {
+  const source = path.join(dir, 'bar.txt');
+  const other = path.join(dir, 'BAR.txt');
+  await fs.writeFile(source, 'bar');
+  await fs.writeFile(other, 'other');
+  const plan = await planRenames([{ filePath: source, isDirectory: false }], {
+    getTranslatedName: () => 'BAR.txt',
+    platform: 'linux'
+  });
+  expect(plan[0].newName === 'BAR (2).txt', 'Another file with the name should collide', plan);
+
+  const renamer = createRenamer({ journalPath: path.join(dir, 'rename-journal.json'), onRenamed: () => {} });
+  const [result] = await renamer.applyRenamePlan([{ action: 'rename', from: source, to: other }]);
+  expect(!result.ok && result.message === 'Target already exists.', 'Renaming onto it should fail', result);
+  expect((await fs.readFile(other, 'utf8')) === 'other', 'The other file should be kept', null);
+};
+
+const testApplyAndUndo = async (dir) => {
+  const journalPath = path.join(dir, 'journal', 'rename-journal.json');
+  const renamed = [];
+  const renamer = createRenamer({ journalPath, onRenamed: (from, to) => renamed.push([from, to]) });
+  const original = path.join(dir, '一.txt');
+  const other = path.join(dir, '二.txt');
+  await fs.writeFile(original, 'one');
+  await fs.writeFile(other, 'two');
+  await fs.writeFile(path.join(dir, 'Taken.txt'), 'taken');
+
+  const results = await renamer.applyRenamePlan([
+    { action: 'rename', from: original, to: path.join(dir, 'One.txt') },
+    { action: 'rename', from: other, to: path.join(dir, 'Taken.txt') },
+    { action: 'skip', from: path.join(dir, 'Taken.txt') }
+  ]);
+  expect(results.map((result) => result.ok).join() === 'true,false', 'Taken targets should fail', results);
+  expect(results[1].message === 'Target already exists.', 'Failures should say why', results[1]);
+  expect(renamed.length === 1 && (await exists(path.join(dir, 'One.txt'))), 'The rename should happen', renamed);
+  const [batch] = await renamer.getJournal();
+  expect(batch?.operations.length === 1, 'Only done renames should be journaled', batch);
+
+  // A new file in the old place blocks the undo, which stays in the journal.
+  await fs.writeFile(original, 'new');
+  const blocked = await renamer.undoLastBatch();
+  expect(!blocked.results[0].ok, 'Undo should not overwrite files', blocked.results);
+  expect((await renamer.getJournal()).length === 1, 'Failed undos should be kept for a retry', null);
+
+  await fs.rm(original);
+  const undone = await renamer.undoLastBatch();
+  expect(undone.results[0].ok && (await fs.readFile(original, 'utf8')) === 'one', 'Undo should restore names', null);
+  expect(renamed.pop().join() === [path.join(dir, 'One.txt'), original].join(), 'Undo should report renames', null);
+  expect((await renamer.getJournal()).length === 0, 'The journal should be empty', null);
+  expect((await renamer.undoLastBatch()) === null, 'Nothing should be left to undo', null);
+};
+
+const run = async () => {
+  testSanitize();
+  await withTempDir('renamer', testCollisions);
+  await withTempDir('renamer', testCaseCollisions);
+  await withTempDir('renamer', testApplyAndUndo);
+  console.log('Renamer tests passed.');
+};
+
+run().catch((error) => {
+  console.error('Renamer tests failed:', error);
+  process.exit(1);
+});
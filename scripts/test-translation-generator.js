@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const { registerProvider, defineProvider } = require('../lib/providers');
+const { createTranslationJob } = require('../lib/translation-generator');
+const { checkpointPathFor, loadCheckpoint } = require('../lib/generator-checkpoint');
+const { openTranslationStore } = require('../lib/translation-store');
+const { writeReport } = require('../lib/generator-report');
+const { expect, withTempDir } = require('./test-helpers');
+
+const NAMES = ['一.txt', '二.txt', '三.txt', '四.txt'];
+
+// The mock provider hands every text to `handler`, which the tests swap out;
+// `job` is the run in progress, so a handler can cancel it mid-request.
+const mock = { handler: async (text) => `EN ${text}`, job: null, texts: [] };
+
+registerProvider('mock', () =>
+  defineProvider({
+    name: 'mock',
+    translate: (text) => {
+      mock.texts.push(text);
+      return mock.handler(text);
+    }
+  })
+);
+
+const runJob = (options) => {
+  mock.texts = [];
+  mock.job = createTranslationJob({
+    provider: 'mock',
+    batchSize: 1,
+    batchDelayMs: 0,
+    retryDelayMs: 0,
+    checkpointIntervalMs: 0,
+    ...options
+  });
+  return mock.job.run();
+};
+
+const readEntries = (storePath) => {
+  const store = openTranslationStore(storePath);
+  try {
+    return Array.from(store.entries());
+  } finally {
+    store.close();
+  }
+};
+
+const rateLimitError = (retryAfter) => Object.assign(new Error('Too many requests'), { status: 429, retryAfter });
+
+const testCancelAndResume = async (input, output) => {
+  mock.handler = async (text) => {
+    if (mock.texts.length === 2) mock.job.cancel();
+    return `EN ${text}`;
+  };
+  const cancelled = await runJob({ input, output });
+  expect(cancelled.state === 'cancelled', 'The run should be cancelled', cancelled.state);
+  expect(cancelled.translated === 2, 'The request in flight should finish', cancelled);
+  const checkpoint = await loadCheckpoint(checkpointPathFor(output));
+  expect(checkpoint?.remaining.length === 2, 'The checkpoint should hold the rest', checkpoint);
+  expect(checkpoint.counts.translated === 2, 'The checkpoint should hold the counts', checkpoint?.counts);
+
+  mock.handler = async (text) => `EN ${text}`;
+  const resumed = await runJob({ input, output, resume: true });
+  expect(resumed.state === 'finished' && resumed.resumed, 'The resumed run should finish', resumed);
+  expect(mock.texts.length === 2, 'Only the remaining entries should be translated', mock.texts);
+  expect(resumed.translated === 4 && resumed.scanned === cancelled.scanned, 'Counts should carry over', resumed);
+  expect((await loadCheckpoint(checkpointPathFor(output))) === null, 'The checkpoint should be removed', null);
+  const entries = readEntries(output);
+  expect(
+    entries.length === 4 && entries.every((entry) => entry.status === 'translated'),
+    'Every entry should be translated',
+    entries
+  );
+};
+
+// Cancelling during a rate-limited request must not wait out Retry-After.
+const testCancelDuringRateLimit = async (input, output) => {
+  mock.handler = async () => {
+    mock.job.cancel();
+    throw rateLimitError(8);
+  };
+  const startedAt = Date.now();
+  const result = await runJob({ input, output, rateLimitDelayMs: 0 });
+  const elapsed = Date.now() - startedAt;
+  expect(result.state === 'cancelled', 'The run should be cancelled', result.state);
+  expect(elapsed < 2000, 'Cancelling should not wait for Retry-After', elapsed);
+  const checkpoint = await loadCheckpoint(checkpointPathFor(output));
+  expect(checkpoint?.remaining.length === 4, 'Rate-limited entries should stay in the checkpoint', checkpoint);
+};
+
+const testMaxAttempts = async (input, output, dir) => {
+  mock.handler = async (text) => {
+    if (text === '四') throw new Error('Provider exploded');
+    return `EN ${text}`;
+  };
+  const first = await runJob({ input, output, maxAttempts: 2 });
+  expect(first.translated === 3 && first.failed === 1, 'One entry should fail', first);
+  expect(mock.texts.filter((text) => text === '四').length === 2, 'Failures should be retried', mock.texts);
+  const failed = readEntries(output).find((entry) => entry.status === 'failed');
+  expect(failed?.attempts === 2 && failed.error_message === 'Provider exploded', 'Attempts should be stored', failed);
+
+  const markdownPath = path.join(dir, 'run.md');
+  const jsonPath = path.join(dir, 'run.json');
+  await writeReport(markdownPath, first);
+  await writeReport(jsonPath, first);
+  const markdown = await fs.readFile(markdownPath, 'utf8');
+  const expectedLines = [
+    '# Translation run report',
+    '- State: finished',
+    '| Translated | 3 |',
+    '| Failed | 1 |',
+    '## Failures (1)',
+    `| ${path.join(input, '四.txt')} | 2 | Provider exploded |`
+  ];
+  const missing = expectedLines.filter((line) => !markdown.includes(line));
+  expect(missing.length === 0, 'The Markdown report should hold the run', missing);
+  const json = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+  expect(
+    json.failed === 1 && json.failures[0].filePath === path.join(input, '四.txt') && json.durations.totalMs >= 0,
+    'The JSON report should hold the run',
+    json
+  );
+
+  const second = await runJob({ input, output, maxAttempts: 2 });
+  expect(second.previouslyFailed === 1 && mock.texts.length === 0, 'Used-up entries should be left out', second);
+
+  mock.handler = async (text) => `EN ${text}`;
+  const retried = await runJob({ input, output, maxAttempts: 2, retryFailed: true });
+  expect(retried.translated === 1 && mock.texts.join() === '四', 'Only failed entries should be retried', mock.texts);
+  const entry = readEntries(output).find((item) => item.file_name === '四.txt');
+  expect(entry.status === 'translated' && entry.translated_name === 'EN 四.txt', 'The retry should be saved', entry);
+};
+
+const withLibrary = (test) =>
+  withTempDir('generator', async (dir) => {
+    const input = path.join(dir, 'library');
+    await fs.mkdir(input);
+    await Promise.all(NAMES.map((name) => fs.writeFile(path.join(input, name), name)));
+    await test(input, path.join(dir, 'translations.sqlite'), dir);
+  });
+
+const run = async () => {
+  await withLibrary(testCancelAndResume);
+  await withLibrary(testCancelDuringRateLimit);
+  await withLibrary(testMaxAttempts);
+  console.log('Translation generator tests passed.');
+};
+
+run().catch((error) => {
+  console.error('Translation generator tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const { detectLanguage, registerDetector, shouldTranslate } = require('../lib/languages');
+const { loadNameRules, parseName, textsToTranslate, assembleName } = require('../lib/name-parser');
+const {
+  checkGlossary,
+  applySubstitutions,
+  pickSubstitutions,
+  loadSubstitutions,
+  writeGlossary,
+  addSubstitution
+} = require('../lib/substitutions');
+const { expect, withTempDir } = require('./test-helpers');
+
+const testLanguages = () => {
+  const cases = {
+    '進撃の巨人 第1巻': 'ja',
+    東京大学: 'ja',
+    '这个时代的书': 'zh',
+    '请问这是什么': 'zh',
+    '나 혼자만 레벨업': 'ko',
+    'カカオ 웹툰': 'mixed',
+    'Kimi no Na wa': 'romaji',
+    'Shingeki no Kyojin': 'romaji',
+    'The Name of the Wind': 'other',
+    'Report 2024': 'other'
+  };
+  Object.entries(cases).forEach(([text, language]) => {
+    expect(detectLanguage(text) === language, `${text} should be ${language}`, detectLanguage(text));
+  });
+  expect(shouldTranslate('zh') && !shouldTranslate('romaji'), 'Romaji is only translated when asked', null);
+  expect(!shouldTranslate('zh', { target: 'zh-Hant' }), 'Names already in the target are skipped', null);
+  expect(shouldTranslate('romaji', { sources: ['romaji'] }), 'Sources choose what is translated', null);
+
+  registerDetector('ru', (text) => /[\u0400-\u04ff]/.test(text));
+  const russian = detectLanguage('Война и мир');
+  expect(russian === 'ru', 'Registered detectors should be used', russian);
+};
+
+const testNameParser = async () => {
+  const parsed = parseName('(C102) [サークル (作者)] 先生の秘密 (ブルーアーカイブ) [DL版]');
+  const fields = JSON.stringify(parsed.fields);
+  expect(
+    fields === JSON.stringify({ event: 'C102', circle: 'サークル (作者)', tags: 'DL版' }),
+    'Unexpected name fields',
+    parsed.fields
+  );
+  const texts = textsToTranslate(parsed);
+  expect(texts.join('|') === '先生の秘密 (ブルーアーカイブ)', 'Only the title should be translated', texts);
+  const assembled = assembleName(parsed, ["Teacher's Secret (Blue Archive)"]);
+  expect(
+    assembled === "(C102) [サークル (作者)] Teacher's Secret (Blue Archive) [DL版]",
+    'Tags should be kept around the translation',
+    assembled
+  );
+  const volume = parseName('進撃の巨人第３巻');
+  const numbered = assembleName(volume, ['Attack on Titan']);
+  expect(volume.fields.volume === '3' && numbered === 'Attack on Titan Vol. 3', 'Volumes are rewritten', numbered);
+  expect(textsToTranslate(parseName('[DL版] (C102)')).length === 0, 'Names of tags alone need nothing', null);
+
+  await withTempDir('name-rules', async (dir) => {
+    const rulesPath = path.join(dir, 'name-rules.json');
+    await fs.writeFile(
+      rulesPath,
+      JSON.stringify([
+        { field: 'series', pattern: '«([^»]+)»', translate: true },
+        { field: 'volume', pattern: '上巻', replacement: 'Vol. 1' }
+      ])
+    );
+    const custom = parseName('«進撃の巨人» 上巻 [DL版]', await loadNameRules(rulesPath));
+    const customName = assembleName(custom, textsToTranslate(custom).map(() => 'Attack on Titan'));
+    expect(customName === '«Attack on Titan» Vol. 1 [DL版]', 'Custom rules should apply first', customName);
+    expect(custom.fields.series === '進撃の巨人' && custom.fields.tags === 'DL版', 'Unexpected fields', custom.fields);
+
+    await fs.writeFile(rulesPath, JSON.stringify({ rules: [{ field: 'tags', pattern: '[' }], defaults: false }));
+    const error = await loadNameRules(rulesPath).catch((caught) => caught);
+    expect(/rule 1 \(tags\)/.test(error?.message), 'Invalid rules should name the rule', error?.message);
+  });
+};
+
+const testGlossary = async () => {
+  const glossary = checkGlossary({
+    rules: [
+      { term: 'ブルーアーカイブ', replacement: 'Blue Archive' },
+      { term: 'ＤＬ版', replacement: 'digital', comment: 'Download editions' },
+      { term: 'ガチャ', replacement: 'gacha' },
+      { term: 'ガチャ', replacement: 'gachapón', scope: 'es' },
+      { pattern: '第(\\d+)巻', replacement: 'Vol. $1' }
+    ]
+  });
+  expect(glossary.problems.length === 0, 'Unexpected glossary problems', glossary.problems);
+  const applied = applySubstitutions('ﾌﾞﾙｰｱｰｶｲﾌﾞ 第３巻 dl版', glossary);
+  expect(applied === 'Blue Archive Vol. 3 digital', 'Width and case should not matter', applied);
+  const scoped = applySubstitutions('ｶﾞﾁｬ', glossary, { target: 'es-MX' });
+  expect(scoped === 'gachapón', 'Scoped rules should win for their language', scoped);
+  const picked = pickSubstitutions(['ガチャ 第2巻'], glossary, { target: 'en' });
+  expect(
+    JSON.stringify(picked) === JSON.stringify({ ガチャ: 'gacha', 第2巻: 'Vol. 2' }),
+    'Picked terms should be the text they matched',
+    picked
+  );
+  // Replacements are never replaced again.
+  expect(applySubstitutions('AB', { A: 'B', B: 'C' }) === 'BC', 'Substitutions apply in one pass', null);
+
+  const { problems } = checkGlossary({
+    rules: [
+      { term: 'ブルー', replacement: 'Bleu' },
+      { term: 'ブルーアーカイブ', replacement: 'Blue Archive' },
+      { term: 'ＤＬ', replacement: 'download' },
+      { term: 'dl', replacement: 'DL' },
+      { term: '先生', replacement: 'Sensei' },
+      { term: 'sensei', replacement: '先生' },
+      { pattern: '[', replacement: '' }
+    ]
+  });
+  // An invalid pattern, two spellings of one term, a term inside a longer one
+  // translated differently, a cycle, and a replacement containing a term.
+  const found = problems.map((problem) => `${problem.level} ${problem.rules.join(',')}`).sort();
+  const expected = ['error 2,3', 'error 4,5', 'error 6', 'warning 1,0', 'warning 3,2'];
+  expect(JSON.stringify(found) === JSON.stringify(expected), 'Unexpected glossary problems', problems);
+
+  await withTempDir('glossary', async (dir) => {
+    const glossaryPath = path.join(dir, 'substitutions.json');
+    await writeGlossary(glossaryPath, { rules: [{ term: '日本', replacement: 'Japan' }] });
+    const flat = JSON.parse(await fs.readFile(glossaryPath, 'utf8'));
+    expect(flat.日本 === 'Japan', 'Plain rules should keep the flat format', flat);
+    await addSubstitution(glossaryPath, '英語', 'English');
+    await addSubstitution(glossaryPath, '日本', 'Nippon');
+    const added = JSON.parse(await fs.readFile(glossaryPath, 'utf8'));
+    expect(added.日本 === 'Nippon' && added.英語 === 'English', 'Terms should be added or updated', added);
+    await writeGlossary(glossaryPath, {
+      normalize: { case: false },
+      rules: [{ term: '日本', replacement: 'Japan', scope: ['en'] }]
+    });
+    await addSubstitution(glossaryPath, '日本', 'Nippon');
+    const rich = JSON.parse(await fs.readFile(glossaryPath, 'utf8'));
+    expect(rich.rules.length === 2 && rich.normalize.case === false, 'Rules should be added to the list', rich);
+    expect((await loadSubstitutions(glossaryPath)).rules.length === 2, 'The rules should load', null);
+
+    await fs.writeFile(glossaryPath, JSON.stringify({ A: 'B', B: 'A' }));
+    const error = await loadSubstitutions(glossaryPath).catch((caught) => caught);
+    expect(/form a cycle/.test(error?.message), 'Loading should fail on errors', error?.message);
+  });
+};
+
+const run = async () => {
+  testLanguages();
+  await testNameParser();
+  await testGlossary();
+  console.log('Translation library tests passed.');
+};
+
+run().catch((error) => {
+  console.error('Translation library tests failed:', error);
+  process.exit(1);
+});
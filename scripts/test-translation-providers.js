@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { createProvider, settleBatch } = require('../lib/providers');
+const { expect, withTempDir } = require('./test-helpers');
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  });
+
+const sendJson = (res, status, payload, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+};
+
+// `routes` maps "METHOD /path" to `(body, req) => [status, payload, headers]`.
+const withMockServer = (routes) =>
+  new Promise((resolve, reject) => {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+      const body = await readBody(req);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const route = routes[`${req.method} ${req.url}`];
+      if (!route) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+      sendJson(res, ...route(body, req));
+    });
+    server.listen(0, () => {
+      const base = `http://localhost:${server.address().port}`;
+      resolve({ base, requests, close: () => new Promise((done) => server.close(done)) });
+    });
+    server.on('error', reject);
+  });
+
+const testOllama = async () => {
+  const server = await withMockServer({
+    'POST /translate': (body) => [200, { ok: true, translated: `EN ${body.text}` }],
+    'GET /health': () => [200, { ok: true, model: 'mock-model' }],
+    'POST /api/generate': (body) => [200, { response: `native ${body.model}` }],
+    'GET /api/tags': () => [200, { models: [{ name: 'mock-model:latest' }] }]
+  });
+  try {
+    const proxy = createProvider({ provider: 'ollama', endpoint: `${server.base}/translate` });
+    const translated = await proxy.translate('日本語');
+    expect(translated === 'EN 日本語', 'Unexpected proxy translation', translated);
+    const health = await proxy.healthCheck();
+    expect(health.ok && health.message.includes('mock-model'), 'Unexpected proxy health', health);
+    // The mock has no /translate/batch, like proxies from before it existed.
+    const batch = await settleBatch(proxy, ['一', '二']);
+    expect(batch.map((result) => result.text).join('|') === 'EN 一|EN 二', 'Batch should fall back', batch);
+
+    const native = createProvider({ provider: 'ollama', endpoint: `${server.base}/api/generate`, model: 'mock-model' });
+    expect((await native.translate('日本語')) === 'native mock-model', 'Unexpected native translation', null);
+    const nativeHealth = await native.healthCheck();
+    expect(nativeHealth.ok, 'Unexpected native health', nativeHealth);
+
+    const glossary = { 日本: 'Japan' };
+    await proxy.translate('日本語', { glossary });
+    const proxied = server.requests.filter((request) => request.url === '/translate').pop();
+    expect(proxied.body.glossary?.日本 === 'Japan', 'The proxy should receive the glossary', proxied.body);
+  } finally {
+    await server.close();
+  }
+};
+
+// A model that answers in Japanese first and only gets it right when asked
+// again with the strict prompt.
+const testOllamaRetry = async () => {
+  const server = await withMockServer({
+    'POST /api/generate': (body) => [200, { response: body.prompt.includes('rejected') ? 'Japanese' : '日本語' }]
+  });
+  try {
+    const provider = createProvider({ provider: 'ollama', endpoint: `${server.base}/api/generate`, model: 'm' });
+    const translated = await provider.translate('日本語', { glossary: { 日本: 'Japan', 英語: 'English' } });
+    expect(translated === 'Japanese', 'Unexpected retried translation', translated);
+    expect(server.requests.length === 2, 'A rejected answer should be retried once', server.requests.length);
+    const [first, retry] = server.requests.map((request) => request.body.prompt);
+    expect(first.includes('日本 = Japan') && !first.includes('英語'), 'Only matching terms belong in the prompt', first);
+    expect(retry.includes('still contains Japanese'), 'The retry should say why', retry);
+
+    const stubborn = createProvider({
+      provider: 'ollama',
+      endpoint: `${server.base}/api/generate`,
+      model: 'm',
+      promptRetries: 0
+    });
+    const error = await stubborn.translate('日本語').catch((failure) => failure);
+    expect(error.status === 422, 'Rejected output should fail with 422', error.message);
+    const intoJapanese = await stubborn.translate('日本語', { target: 'ja' });
+    expect(intoJapanese === '日本語', 'Japanese output is fine for a Japanese target', intoJapanese);
+  } finally {
+    await server.close();
+  }
+};
+
+const testOpenAi = async () => {
+  const server = await withMockServer({
+    'POST /v1/chat/completions': (body) => [
+      200,
+      {
+        choices: [{ message: { content: `Sure! Here is the translation:\n"${body.model} title"\nNote: literal.` } }]
+      }
+    ],
+    'GET /v1/models': () => [200, { data: [{ id: 'mock-chat' }] }]
+  });
+  try {
+    const provider = createProvider({
+      provider: 'openai',
+      openaiEndpoint: `${server.base}/v1/chat/completions`,
+      openaiModel: 'mock-chat',
+      openaiApiKey: 'secret'
+    });
+    const translated = await provider.translate('日本語');
+    expect(translated === 'mock-chat title', 'Chatter around the name should be removed', translated);
+    const prompt = server.requests[0].body.messages[0].content;
+    expect(prompt.endsWith('\n\n日本語'), 'Unexpected OpenAI prompt', prompt);
+    expect(server.requests[0].headers.authorization === 'Bearer secret', 'Missing API key', server.requests[0].headers);
+    const health = await provider.healthCheck();
+    expect(health.ok, 'Unexpected OpenAI health', health);
+  } finally {
+    await server.close();
+  }
+};
+
+const testDeepL = async () => {
+  const server = await withMockServer({
+    'POST /v2/translate': (body) => [
+      200,
+      { translations: body.text.map((text) => ({ text: `${body.target_lang} ${text}` })) }
+    ],
+    'GET /v2/usage': () => [200, { character_count: 10, character_limit: 500000 }]
+  });
+  try {
+    const provider = createProvider({
+      provider: 'deepl',
+      deeplEndpoint: `${server.base}/v2/translate`,
+      deeplApiKey: 'k'
+    });
+    expect(provider.capabilities.batch, 'DeepL should batch', provider.capabilities);
+    const results = await settleBatch(provider, ['一', '二', '三'], { target: 'en' });
+    const texts = results.map((result) => result.text).join('|');
+    expect(texts === 'EN 一|EN 二|EN 三', 'Unexpected DeepL batch', results);
+    expect(server.requests.length === 1, 'DeepL batch should be one request', server.requests.length);
+    expect(server.requests[0].headers.authorization === 'DeepL-Auth-Key k', 'Missing DeepL key', server.requests[0]);
+    const health = await provider.healthCheck();
+    expect(health.ok && health.message.includes('10/500000'), 'Unexpected DeepL health', health);
+  } finally {
+    await server.close();
+  }
+};
+
+const testDictionary = async () => {
+  await withTempDir('dictionary', async (dir) => {
+    const dictionaryPath = path.join(dir, 'dictionary.json');
+    await fs.writeFile(dictionaryPath, JSON.stringify({ terms: { ブルーアーカイブ: 'Blue Archive' } }));
+    const provider = createProvider({ provider: 'dictionary', dictionaryPath });
+    const translated = await provider.translate('ブルーアーカイブ 第３巻');
+    expect(translated === 'Blue Archive Vol. 3', 'Unexpected dictionary translation', translated);
+    // The dictionary cannot take a glossary, so its terms are replaced first.
+    const replaced = await provider.translate('ブルアカ 第３巻', { glossary: { ブルアカ: 'Blue Archive' } });
+    expect(replaced === 'Blue Archive Vol. 3', 'The glossary should be replaced in the text', replaced);
+    let failed = false;
+    await provider.translate('未知の言葉').catch(() => {
+      failed = true;
+    });
+    expect(failed, 'Unknown words should fail', null);
+  });
+};
+
+const testChain = async () => {
+  const failing = await withMockServer({
+    'POST /translate': () => [500, { ok: false, message: 'Boom' }]
+  });
+  const limited = await withMockServer({
+    'POST /v1/chat/completions': () => [429, { error: 'Slow down' }, { 'Retry-After': '7' }]
+  });
+  const working = await withMockServer({
+    'POST /v1/chat/completions': () => [200, { choices: [{ message: { content: 'Fallback' } }] }]
+  });
+  try {
+    const chain = createProvider({
+      provider: 'ollama,openai',
+      endpoint: `${failing.base}/translate`,
+      openaiEndpoint: `${working.base}/v1/chat/completions`
+    });
+    expect((await chain.translate('日本語')) === 'Fallback', 'Chain should fall back', null);
+
+    const exhausted = createProvider({
+      provider: 'ollama,openai',
+      endpoint: `${failing.base}/translate`,
+      openaiEndpoint: `${limited.base}/v1/chat/completions`
+    });
+    const [result] = await settleBatch(exhausted, ['日本語']);
+    expect(result.error?.status === 429 && result.error.retryAfter === 7, 'Chain should report rate limits', {
+      message: result.error?.message,
+      status: result.error?.status
+    });
+    const health = await exhausted.healthCheck();
+    expect(health.providers.length === 2, 'Chain health should list every provider', health);
+  } finally {
+    await Promise.all([failing.close(), limited.close(), working.close()]);
+  }
+};
+
+const run = async () => {
+  await testOllama();
+  await testOllamaRetry();
+  await testOpenAi();
+  await testDeepL();
+  await testDictionary();
+  await testChain();
+  console.log('Translation provider tests passed.');
+};
+
+run().catch((error) => {
+  console.error('Translation provider tests failed:', error);
+  process.exit(1);
+});
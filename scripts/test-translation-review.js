@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const { registerProvider, defineProvider } = require('../lib/providers');
+const { openTranslationStore } = require('../lib/translation-store');
+const { createTranslationJob } = require('../lib/translation-generator');
+const { reviewReason, reviewQueue } = require('../lib/translation-review');
+const { expect, withTempDir } = require('./test-helpers');
+
+const requested = [];
+registerProvider('review-mock', () =>
+  defineProvider({
+    name: 'review-mock',
+    translate: async (text) => {
+      requested.push(text);
+      return `EN ${text}`;
+    }
+  })
+);
+
+const entry = (fileName, translatedName, extra = {}) => ({
+  file_name: fileName,
+  translated_name: translatedName,
+  status: 'translated',
+  ...extra
+});
+
+const testReasons = () => {
+  const cases = [
+    [entry('失敗.txt', null, { status: 'failed', error_message: 'Timed out' }), 'Timed out'],
+    [entry('失敗.txt', null, { status: 'failed' }), 'Translation failed.'],
+    [entry('未完.txt', null, { status: 'pending' }), 'Translation never finished.'],
+    [entry('先生の秘密.zip', "Teacher's Secret.zip"), null],
+    [entry('改行.zip', 'Line\nBreak.zip'), 'Translation spans several lines.'],
+    [entry('日本.zip', '日本 Japan.zip'), 'Translation still contains Japanese.'],
+    [entry('Kimi no Na wa.zip', 'Kimi no Na wa.zip'), 'Translation is identical to the original.'],
+    [entry('長.zip', `${'Long '.repeat(6)}.zip`), 'Translation is much longer than the original.'],
+    [entry('(C102) [サークル] 本.zip', '(C102) [サークル] Book.zip'), null],
+    [entry('日本.zip', '日本.zip', { status: 'manual' }), null],
+    [entry('日本.zip', null, { status: 'skipped' }), null]
+  ];
+  cases.forEach(([item, expected]) => {
+    const reason = reviewReason(item);
+    expect(reason === expected, `Unexpected review reason for ${item.translated_name}`, reason);
+  });
+};
+
+// Builds a DB for a library of files, one per review reason, plus rows that
+// must stay out of its queue: another target language and another folder.
+const setUp = async (dir) => {
+  const library = path.join(dir, 'library');
+  await fs.mkdir(library);
+  const files = {
+    '先生の秘密.txt': { translated_name: "Teacher's Secret.txt" },
+    '失敗.txt': { translated_name: null, status: 'failed', error_message: 'Timed out' },
+    '未完.txt': { translated_name: null, status: 'pending' },
+    '日本.txt': { translated_name: '日本 Japan.txt' },
+    '長い.txt': { translated_name: `${'Long '.repeat(6)}.txt` }
+  };
+  const dbPath = path.join(dir, 'translations.sqlite');
+  const store = openTranslationStore(dbPath);
+  for (const [name, fields] of Object.entries(files)) {
+    const filePath = path.join(library, name);
+    await fs.writeFile(filePath, name);
+    store.put({ file_path: filePath, file_name: name, status: 'translated', updated_at: '2024-01-01', ...fields });
+  }
+  store.withTarget('es').put({ file_path: path.join(library, '先生の秘密.txt'), status: 'failed' });
+  store.put({ file_path: path.join(dir, 'elsewhere', '失敗.txt'), status: 'failed' });
+  return { library, dbPath, store };
+};
+
+const testQueue = ({ library, store }) => {
+  const { items, truncated } = reviewQueue(store, { under: library });
+  const summary = items.map((item) => `${item.name}: ${item.reason}`).sort();
+  expect(
+    summary.join('|') ===
+      [
+        '失敗.txt: Timed out',
+        '日本.txt: Translation still contains Japanese.',
+        '未完.txt: Translation never finished.',
+        '長い.txt: Translation is much longer than the original.'
+      ].join('|') && !truncated,
+    'The queue should hold the flagged entries of this target and folder',
+    summary
+  );
+  expect(reviewQueue(store).items.length === 5, 'Without a folder the whole target is reviewed', null);
+  expect(reviewQueue(store, { under: library, limit: 2 }).truncated, 'Long queues should be truncated', null);
+  expect(reviewQueue(store.withTarget('es')).items.length === 1, 'Each target has its own queue', null);
+};
+
+// What the explorer does when a translation is corrected or accepted as-is.
+const testManual = async ({ library, dbPath, store }) => {
+  const corrected = path.join(library, '日本.txt');
+  const accepted = path.join(library, '長い.txt');
+  store.upsert({ file_path: corrected, translated_name: 'Japan.txt', status: 'manual', updated_at: '2024-01-02' });
+  store.upsert({ file_path: accepted, status: 'manual', updated_at: '2024-01-02' });
+  const copy = { file_path: '/copies/日本.txt', translated_name: 'Nippon.txt', status: 'translated' };
+  store.put({ ...copy, updated_at: '2025-01-01' });
+  store.close();
+
+  const reopened = openTranslationStore(dbPath);
+  try {
+    const saved = [reopened.get(corrected), reopened.get(accepted)];
+    expect(
+      saved.every((item) => item.status === 'manual') &&
+        saved[0].translated_name === 'Japan.txt' &&
+        saved[1].translated_name === `${'Long '.repeat(6)}.txt`,
+      'Manual translations should be saved as they are',
+      saved
+    );
+    const names = reviewQueue(reopened, { under: library }).items.map((item) => item.name);
+    expect(names.sort().join() === '失敗.txt,未完.txt', 'Manual entries should leave the queue', names);
+    const cached = reopened.findCached({ name: '日本.zip' });
+    expect(cached?.translated_name === 'Japan.zip', 'The name cache should prefer manual entries', cached);
+  } finally {
+    reopened.close();
+  }
+
+  const summary = await createTranslationJob({
+    provider: 'review-mock',
+    input: library,
+    output: dbPath,
+    batchDelayMs: 0,
+    checkpointIntervalMs: 0
+  }).run();
+  expect(summary.state === 'finished', 'The generator should finish', summary);
+  expect(requested.sort().join() === '失敗,未完', 'Only unfinished entries should be translated', requested);
+  const after = openTranslationStore(dbPath);
+  try {
+    const kept = after.get(corrected);
+    expect(kept.status === 'manual' && kept.translated_name === 'Japan.txt', 'The generator should keep edits', kept);
+  } finally {
+    after.close();
+  }
+};
+
+const run = async () => {
+  testReasons();
+  await withTempDir('review', async (dir) => {
+    const context = await setUp(dir);
+    testQueue(context);
+    await testManual(context);
+  });
+  console.log('Translation review tests passed.');
+};
+
+run().catch((error) => {
+  console.error('Translation review tests failed:', error);
+  process.exit(1);
+});
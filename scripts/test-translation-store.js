@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const Database = require('better-sqlite3');
+const { openTranslationStore, openStoreForPath } = require('../lib/translation-store');
+const { expect, withTempDir } = require('./test-helpers');
+
+const translated = (filePath, translatedName, extra = {}) => ({
+  file_path: filePath,
+  translated_name: translatedName,
+  status: 'translated',
+  ...extra
+});
+
+// The first SQLite schema: one row per path, no target language, name cache
+// or attempt counts.
+const testMigrate = (dir) => {
+  const dbPath = path.join(dir, 'old.sqlite');
+  const db = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE translations (
+      file_path TEXT PRIMARY KEY,
+      file_name TEXT NOT NULL,
+      is_directory INTEGER NOT NULL DEFAULT 0,
+      translated_name TEXT,
+      status TEXT,
+      error_message TEXT,
+      updated_at TEXT,
+      original_name TEXT
+    );
+    INSERT INTO translations (file_path, file_name, translated_name, status)
+    VALUES ('/old/先生の秘密.zip', '先生の秘密.zip', 'Teacher''s Secret.zip', 'translated');
+  `);
+  db.close();
+
+  const store = openTranslationStore(dbPath);
+  try {
+    const entry = store.get('/old/先生の秘密.zip');
+    expect(entry?.target === 'en' && entry.translated_name === "Teacher's Secret.zip", 'Rows should be English', entry);
+    const cached = store.findCached({ name: '先生の秘密.zip' });
+    expect(cached?.file_path === '/old/先生の秘密.zip', 'Old rows should get a name key', cached);
+    store.withTarget('es').put(translated('/old/先生の秘密.zip', 'El secreto del profesor.zip'));
+    expect(store.getAll('/old/先生の秘密.zip').length === 2, 'Targets should sit side by side', null);
+  } finally {
+    store.close();
+  }
+
+  const reopened = openTranslationStore(dbPath);
+  try {
+    expect(reopened.count() === 2, 'Opening again should keep every row', reopened.count());
+  } finally {
+    reopened.close();
+  }
+};
+
+// Cached translations match base names, keep files and folders apart and
+// carry the extension of the name they are found for.
+const testNameCache = (dir) => {
+  const dbPath = path.join(dir, 'cache.sqlite');
+  const store = openTranslationStore(dbPath);
+  try {
+    store.put(translated('/a/タイトル.zip', 'Title.zip'));
+    store.put(translated('/a/フォルダ.v2', 'Folder.v2', { is_directory: true }));
+    expect(store.findCached({ name: 'タイトル.cbz' })?.translated_name === 'Title.cbz', 'Extensions should differ', null);
+    expect(!store.findCached({ name: 'タイトル', isDirectory: true }), 'Folders should not match files', null);
+    const folder = store.findCached({ name: 'フォルダ.v2', isDirectory: true });
+    expect(folder?.translated_name === 'Folder.v2', 'Folder names should be kept whole', folder);
+    expect(!store.findCached({ name: 'フォルダ.v2' }), 'Files should not match folders', null);
+
+    store.put(translated('/b/タイトル.zip', 'A Title', { status: 'manual' }));
+    const manual = store.findCached({ name: 'タイトル.rar' });
+    expect(manual?.translated_name === 'A Title.rar', 'Edits without the extension should get one', manual);
+  } finally {
+    store.close();
+  }
+
+  // Keys written before version 1 hold the extension.
+  const db = new Database(dbPath);
+  db.exec("UPDATE translations SET name_key = 'タイトル.zip'");
+  db.pragma('user_version = 0');
+  db.close();
+  const reopened = openTranslationStore(dbPath);
+  try {
+    expect(reopened.findCached({ name: 'タイトル.cbz' }), 'Old name keys should be computed again', null);
+  } finally {
+    reopened.close();
+  }
+};
+
+const testRelocate = () => {
+  const store = openTranslationStore(':memory:');
+  try {
+    store.put(translated('D:\\Manga\\シリーズ', 'Series', { is_directory: true }));
+    store.put(translated('D:\\Manga\\シリーズ\\第1巻.zip', 'Vol. 1.zip'));
+    store.withTarget('es').put(translated('D:\\Manga\\シリーズ\\第1巻.zip', 'Tomo 1.zip'));
+    store.put(translated('D:\\Manga2\\他.zip', 'Other.zip'));
+
+    const moved = store.relocate('D:\\Manga\\', '/mnt/manga/');
+    expect(moved === 2, 'Every path under the prefix should move once', moved);
+    const paths = store.listUnder('/mnt/manga', '/').map((entry) => `${entry.target} ${entry.file_path}`);
+    const expected = ['en /mnt/manga/シリーズ', 'en /mnt/manga/シリーズ/第1巻.zip', 'es /mnt/manga/シリーズ/第1巻.zip'];
+    expect(paths.sort().join() === expected.join(), 'Separators should be converted in every target', paths);
+    expect(store.get('D:\\Manga2\\他.zip'), 'Paths that only share a prefix should stay', null);
+
+    expect(store.relocate('/mnt/manga', 'E:\\Manga') === 2, 'Moving back should convert to backslashes', null);
+    expect(store.get('E:\\Manga\\シリーズ\\第1巻.zip'), 'Windows paths should be rebuilt', null);
+  } finally {
+    store.close();
+  }
+};
+
+// The range under a folder ends at the separator's next code point, so
+// siblings that sort around `folder/` stay out.
+const testListUnder = () => {
+  const store = openTranslationStore(':memory:');
+  try {
+    ['/lib/a', '/lib/a/b', '/lib/a/b/c', '/lib/a b', '/lib/a.zip', '/lib/a0', '/lib/ab', '/lib'].forEach((filePath) =>
+      store.put(translated(filePath, 'x'))
+    );
+    const paths = store.listUnder('/lib/a', '/').map((entry) => entry.file_path);
+    expect(paths.sort().join() === '/lib/a,/lib/a/b,/lib/a/b/c', 'Only the folder and its contents', paths);
+    const leaf = store.listUnder('/lib/a/b/c', '/').map((entry) => entry.file_path);
+    expect(leaf.join() === '/lib/a/b/c', 'Files should list themselves', leaf);
+
+    store.put(translated('C:\\lib\\a\\b', 'x'));
+    store.put(translated('C:\\lib\\a]', 'x'));
+    const windows = store.listUnder('C:\\lib\\a', '\\').map((entry) => entry.file_path);
+    expect(windows.join() === 'C:\\lib\\a\\b', 'Backslash ranges should have the same bounds', windows);
+  } finally {
+    store.close();
+  }
+};
+
+const testOpenStoreForPath = async (dir) => {
+  const jsonPath = path.join(dir, 'translations.json');
+  const entries = [
+    translated('/library/一.zip', 'One.zip'),
+    translated('/library/一.zip', 'Uno.zip', { target: 'es' }),
+    { file_path: '/library/二.zip', status: 'failed', error_message: 'Timed out' }
+  ];
+  await fs.writeFile(jsonPath, JSON.stringify({ generatedAt: new Date().toISOString(), entries }));
+
+  const first = await openStoreForPath(jsonPath);
+  try {
+    expect(first.storePath === path.join(dir, 'translations.sqlite'), 'The DB should sit next to the JSON', first);
+    expect(first.imported === 3, 'The JSON should be imported', first.imported);
+    expect(first.store.get('/library/一.zip')?.translated_name === 'One.zip', 'English rows should be kept', null);
+    expect(first.store.get('/library/一.zip', 'es')?.translated_name === 'Uno.zip', 'Targets should be kept', null);
+    expect(first.store.get('/library/二.zip')?.file_name === '二.zip', 'Missing names should be filled in', null);
+  } finally {
+    first.store.close();
+  }
+
+  await fs.writeFile(jsonPath, JSON.stringify({ entries: [translated('/library/三.zip', 'Three.zip')] }));
+  const second = await openStoreForPath(jsonPath);
+  try {
+    expect(second.imported === 0 && second.store.count() === 3, 'The JSON should only be imported once', second);
+  } finally {
+    second.store.close();
+  }
+
+  const brokenPath = path.join(dir, 'broken.json');
+  await fs.writeFile(brokenPath, '{ "entries": [');
+  const error = await openStoreForPath(brokenPath).catch((caught) => caught);
+  expect(error instanceof SyntaxError, 'Broken JSON should fail', error?.message);
+  const left = await fs.access(path.join(dir, 'broken.sqlite')).then(() => true, () => false);
+  expect(!left, 'A failed import should not leave a DB behind', null);
+};
+
+const run = async () => {
+  await withTempDir('store', async (dir) => {
+    testMigrate(dir);
+    testNameCache(dir);
+    testRelocate();
+    testListUnder();
+    await testOpenStoreForPath(dir);
+  });
+  console.log('Translation store tests passed.');
+};
+
+run().catch((error) => {
+  console.error('Translation store tests failed:', error);
+  process.exit(1);
+});
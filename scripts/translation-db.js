@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+const { openTranslationStore, importJson, exportJson } = require('../lib/translation-store');
+
+const usage = () => {
+  console.log(`Usage: node scripts/translation-db.js <command> <db> <args>
+
+Commands:
+  import <db> <json>           Merge a { generatedAt, entries } JSON file into the SQLite DB
+                               (entries without a target are English)
+  export <db> <json> [target]  Write the DB entries of one target language (English by default)
+                               to a { generatedAt, entries } JSON file
+  relocate <db> <from> <to>    Move every entry under the <from> path prefix to <to>
+  targets <db>                 List the target languages with translations
+`);
+};
+
+const run = async () => {
+  const [command, dbPath, ...rest] = process.argv.slice(2);
+  const [minArgs, maxArgs] = { import: [1, 1], export: [1, 2], relocate: [2, 2], targets: [0, 0] }[command] || [];
+  if (minArgs === undefined || !dbPath || rest.length < minArgs || rest.length > maxArgs) {
+    usage();
+    process.exit(1);
+  }
+
+  const store = openTranslationStore(dbPath, { target: command === 'export' ? rest[1] : undefined });
+  try {
+    if (command === 'import') {
+      const count = await importJson(store, rest[0]);
+      console.log(`Imported ${count} entries into ${dbPath} (${store.count()} total)`);
+    } else if (command === 'export') {
+      const count = await exportJson(store, rest[0]);
+      console.log(`Exported ${count} ${store.target} entries to ${rest[0]}`);
+    } else if (command === 'targets') {
+      store.targets().forEach(({ target, count }) => console.log(`${target}\t${count}`));
+    } else {
+      const [from, to] = rest;
+      const count = store.relocate(from, to);
+      console.log(`Relocated ${count} entries from ${from} to ${to}`);
+    }
+  } finally {
+    store.close();
+  }
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
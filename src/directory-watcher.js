@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { readEntryMetadata } = require('./entry-metadata');
+
+const FLUSH_DELAY_MS = 150;
+
+// Watches a single directory (non-recursively) and reports batched add, remove
+// and rename changes. fs.watch only tells us which names were touched, so each
+// flush re-checks those names on disk and diffs them against what we know.
+const createDirectoryWatcher = ({ onChange, onError }) => {
+  let watcher = null;
+  let directory = null;
+  let known = new Set();
+  let touched = new Set();
+  let flushTimer = null;
+  let flushing = Promise.resolve();
+
+  const flush = async () => {
+    const watchedDirectory = directory;
+    const names = Array.from(touched);
+    touched = new Set();
+
+    const added = [];
+    const removed = [];
+    for (const name of names) {
+      try {
+        const entry = await readEntryMetadata(watchedDirectory, name);
+        if (!known.has(name)) {
+          added.push(entry);
+        }
+      } catch (error) {
+        if (known.has(name)) {
+          removed.push({ name, fullPath: path.join(watchedDirectory, name) });
+        }
+      }
+    }
+    if (watchedDirectory !== directory) return;
+
+    added.forEach((entry) => known.add(entry.name));
+    removed.forEach((entry) => known.delete(entry.name));
+
+    const changes = [];
+    if (added.length === 1 && removed.length === 1) {
+      changes.push({ type: 'rename', oldPath: removed[0].fullPath, entry: added[0] });
+    } else {
+      removed.forEach((entry) => changes.push({ type: 'remove', oldPath: entry.fullPath }));
+      added.forEach((entry) => changes.push({ type: 'add', entry }));
+    }
+    if (changes.length > 0) {
+      onChange({ directory: watchedDirectory, changes });
+    }
+  };
+
+  const stop = () => {
+    if (watcher) watcher.close();
+    if (flushTimer) clearTimeout(flushTimer);
+    watcher = null;
+    directory = null;
+    flushTimer = null;
+    known = new Set();
+    touched = new Set();
+  };
+
+  const start = (directoryPath, names) => {
+    stop();
+    directory = directoryPath;
+    known = new Set(names);
+    watcher = fs.watch(directoryPath, { persistent: false }, (_eventType, fileName) => {
+      if (!fileName) return;
+      touched.add(fileName.toString());
+      if (!flushTimer) {
+        flushTimer = setTimeout(() => {
+          flushTimer = null;
+          flushing = flushing.then(flush).catch(onError);
+        }, FLUSH_DELAY_MS);
+      }
+    });
+    watcher.on('error', (error) => {
+      stop();
+      onError(error);
+    });
+  };
+
+  return { start, stop };
+};
+
+module.exports = { createDirectoryWatcher };
@@ -0,0 +1,42 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const countChildren = async (directoryPath) => {
+  try {
+    return (await fs.readdir(directoryPath)).length;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Describes one directory entry for the listing. Symlinks are followed for the
+// directory flag and sizes so linked folders stay navigable; broken links fall
+// back to the link's own stats.
+const readEntryMetadata = async (directory, name) => {
+  const fullPath = path.join(directory, name);
+  const linkStats = await fs.lstat(fullPath);
+  const isSymlink = linkStats.isSymbolicLink();
+  let stats = linkStats;
+  let linkTarget = null;
+
+  if (isSymlink) {
+    linkTarget = await fs.readlink(fullPath).catch(() => null);
+    stats = await fs.stat(fullPath).catch(() => linkStats);
+  }
+
+  const isDirectory = stats.isDirectory();
+  return {
+    name,
+    isDirectory,
+    fullPath,
+    size: isDirectory ? null : stats.size,
+    modifiedAt: stats.mtimeMs,
+    createdAt: stats.birthtimeMs || stats.ctimeMs,
+    extension: isDirectory ? '' : path.extname(name).slice(1).toLowerCase(),
+    childCount: isDirectory ? await countChildren(fullPath) : null,
+    isSymlink,
+    linkTarget
+  };
+};
+
+module.exports = { readEntryMetadata };
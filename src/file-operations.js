@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { isSameEntry, withSuffix } = require('./renamer');
+
+const PROGRESS_INTERVAL_MS = 100;
+
+class OperationCancelledError extends Error {
+  constructor() {
+    super('Operation cancelled.');
+    this.name = 'OperationCancelledError';
+  }
+}
+
+const pathExists = async (filePath) => {
+  try {
+    await fs.promises.lstat(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isInside = (parent, child) => {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+const measure = async (sourcePath) => {
+  const stats = await fs.promises.lstat(sourcePath);
+  if (!stats.isDirectory()) return { bytes: stats.size, items: 1 };
+  const totals = { bytes: 0, items: 1 };
+  for (const name of await fs.promises.readdir(sourcePath)) {
+    const child = await measure(path.join(sourcePath, name));
+    totals.bytes += child.bytes;
+    totals.items += child.items;
+  }
+  return totals;
+};
+
+const nextAvailablePath = async (targetPath, isDirectory) => {
+  const directory = path.dirname(targetPath);
+  const name = path.basename(targetPath);
+  let index = 2;
+  let candidate = targetPath;
+  while (await pathExists(candidate)) {
+    candidate = path.join(directory, withSuffix(name, index, isDirectory));
+    index += 1;
+  }
+  return candidate;
+};
+
+const removeTree = (filePath) => fs.promises.rm(filePath, { recursive: true, force: true });
+
+// Runs copy and move jobs one at a time per call. Conflicts are handed to
+// `resolveConflict`, which answers with `overwrite`, `skip`, `keepBoth` or
+// `cancel` (plus `applyToAll`); `onProgress` receives throttled byte counts.
+// Overwritten items go to `trashItem`, or are deleted without one.
+const createFileOperations = ({ onProgress, resolveConflict, onMoved, onCopied, trashItem = removeTree }) => {
+  const jobs = new Map();
+  let partialCount = 0;
+
+  const createJob = (jobId, operation, totals) => {
+    const job = {
+      jobId,
+      operation,
+      cancelled: false,
+      totalBytes: totals.bytes,
+      totalItems: totals.items,
+      doneBytes: 0,
+      doneItems: 0,
+      currentPath: null,
+      conflictChoice: null,
+      lastReport: 0
+    };
+    jobs.set(jobId, job);
+    return job;
+  };
+
+  const report = (job, force = false) => {
+    const now = Date.now();
+    if (!force && now - job.lastReport < PROGRESS_INTERVAL_MS) return;
+    job.lastReport = now;
+    onProgress({
+      jobId: job.jobId,
+      operation: job.operation,
+      totalBytes: job.totalBytes,
+      doneBytes: job.doneBytes,
+      totalItems: job.totalItems,
+      doneItems: job.doneItems,
+      currentPath: job.currentPath
+    });
+  };
+
+  const checkCancelled = (job) => {
+    if (job.cancelled) throw new OperationCancelledError();
+  };
+
+  const copyFile = async (job, source, target) => {
+    job.currentPath = source;
+    const counter = new Transform({
+      transform(chunk, _encoding, callback) {
+        if (job.cancelled) {
+          callback(new OperationCancelledError());
+          return;
+        }
+        job.doneBytes += chunk.length;
+        report(job);
+        callback(null, chunk);
+      }
+    });
+    try {
+      await pipeline(fs.createReadStream(source), counter, fs.createWriteStream(target));
+      const stats = await fs.promises.stat(source);
+      await fs.promises.utimes(target, stats.atime, stats.mtime);
+    } catch (error) {
+      await fs.promises.rm(target, { force: true });
+      throw error;
+    }
+    job.doneItems += 1;
+  };
+
+  const copyTree = async (job, source, target) => {
+    checkCancelled(job);
+    const stats = await fs.promises.lstat(source);
+    if (stats.isSymbolicLink()) {
+      await fs.promises.symlink(await fs.promises.readlink(source), target);
+      job.doneItems += 1;
+    } else if (stats.isDirectory()) {
+      await fs.promises.mkdir(target, { recursive: true });
+      job.doneItems += 1;
+      for (const name of await fs.promises.readdir(source)) {
+        await copyTree(job, path.join(source, name), path.join(target, name));
+      }
+    } else {
+      await copyFile(job, source, target);
+    }
+    report(job);
+  };
+
+  // Decides where `source` should land in `destination`, or returns null to
+  // skip it. `replace` is set when an existing target is to be overwritten.
+  const resolveTarget = async (job, source, destination) => {
+    const target = path.join(destination, path.basename(source));
+    if (target === source) {
+      if (job.operation !== 'copy') return null;
+      return { target: await nextAvailablePath(target, (await fs.promises.lstat(source)).isDirectory()) };
+    }
+    if (!(await pathExists(target))) return { target };
+
+    let choice = job.conflictChoice;
+    if (!choice) {
+      const answer = await resolveConflict({ jobId: job.jobId, operation: job.operation, source, target });
+      if (answer.choice === 'cancel') {
+        job.cancelled = true;
+        checkCancelled(job);
+      }
+      choice = answer.choice;
+      if (answer.applyToAll) job.conflictChoice = choice;
+    }
+
+    if (choice === 'skip') return null;
+    if (choice === 'keepBoth') {
+      return { target: await nextAvailablePath(target, (await fs.promises.lstat(source)).isDirectory()) };
+    }
+    if (isInside(target, source)) {
+      throw new Error(`Cannot overwrite ${target} with an item inside it.`);
+    }
+    return { target, replace: true };
+  };
+
+  // A hidden sibling of `target` that an overwriting item is copied or moved
+  // to first, so a failed or cancelled transfer leaves the old target alone.
+  const partialPath = (target) => {
+    partialCount += 1;
+    return path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}-${partialCount}.partial`);
+  };
+
+  // Moves `source` to `target`, copying it when they are on different
+  // devices. Returns whether `source` still has to be removed.
+  const moveItem = async (job, source, target) => {
+    try {
+      await fs.promises.rename(source, target);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      await copyTree(job, source, target);
+      return true;
+    }
+    const measured = await measure(target);
+    job.doneBytes += measured.bytes;
+    job.doneItems += measured.items;
+    return false;
+  };
+
+  // Puts `source` at `target`. When replacing, the old target is only trashed
+  // once the new item is complete next to it.
+  const transferItem = async (job, source, { target, replace = false }) => {
+    const landing = replace ? partialPath(target) : target;
+    let copied = job.operation === 'copy';
+    try {
+      if (job.operation === 'move') {
+        copied = await moveItem(job, source, landing);
+      } else {
+        await copyTree(job, source, landing);
+      }
+      if (replace) {
+        await trashItem(target);
+        await fs.promises.rename(landing, target);
+      }
+    } catch (error) {
+      if (replace) {
+        if (copied) await removeTree(landing);
+        else await fs.promises.rename(landing, source).catch(() => {});
+      }
+      throw error;
+    }
+    if (job.operation === 'move' && copied) await removeTree(source);
+  };
+
+  const transfer = async ({ jobId, operation, sources, destination }) => {
+    const totals = { bytes: 0, items: 0 };
+    for (const source of sources) {
+      const measured = await measure(source);
+      totals.bytes += measured.bytes;
+      totals.items += measured.items;
+    }
+    const job = createJob(jobId, operation, totals);
+    const results = [];
+    report(job, true);
+
+    try {
+      for (const source of sources) {
+        if (job.cancelled) {
+          results.push({ source, ok: false, cancelled: true, message: 'Operation cancelled.' });
+          continue;
+        }
+        try {
+          if (isInside(source, destination)) {
+            throw new Error('Cannot copy or move a folder into itself.');
+          }
+          const resolved = await resolveTarget(job, source, destination);
+          if (!resolved) {
+            results.push({ source, ok: true, skipped: true });
+            continue;
+          }
+          const { target } = resolved;
+          await transferItem(job, source, resolved);
+          if (operation === 'move') {
+            onMoved(source, target);
+          } else {
+            onCopied(source, target);
+          }
+          results.push({ source, target, ok: true });
+        } catch (error) {
+          const cancelled = error instanceof OperationCancelledError;
+          results.push({ source, ok: false, cancelled, message: error.message });
+        }
+        report(job, true);
+      }
+    } finally {
+      jobs.delete(jobId);
+    }
+    return { results, cancelled: job.cancelled };
+  };
+
+  const cancel = (jobId) => {
+    const job = jobs.get(jobId);
+    if (job) job.cancelled = true;
+    return Boolean(job);
+  };
+
+  const createFolder = async (parent, name) => {
+    const target = path.join(parent, name);
+    await fs.promises.mkdir(target);
+    return target;
+  };
+
+  const renameEntry = async (source, name) => {
+    const target = path.join(path.dirname(source), name);
+    // A case-only rename finds the entry itself where names ignore case.
+    if ((await pathExists(target)) && !(await isSameEntry(source, target))) {
+      throw new Error(`${name} already exists.`);
+    }
+    await fs.promises.rename(source, target);
+    onMoved(source, target);
+    return target;
+  };
+
+  return {
+    copy: (payload) => transfer({ ...payload, operation: 'copy' }),
+    move: (payload) => transfer({ ...payload, operation: 'move' }),
+    cancel,
+    createFolder,
+    renameEntry
+  };
+};
+
+module.exports = { createFileOperations, OperationCancelledError };
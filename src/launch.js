@@ -0,0 +1,24 @@
+const path = require('path');
+const { parse } = require('shell-quote');
+
+const PLACEHOLDER_PATTERN = /\{(path|dir|name|translated)\}/g;
+
+// Expands `{path}`, `{dir}`, `{name}` and `{translated}` inside each argument.
+// Templates without `{path}` get the file path appended last, which is how the
+// single Program/Arguments config always behaved.
+const buildLaunchArgs = (args, { filePath, translated }) => {
+  const parsedArgs = Array.isArray(args)
+    ? args
+    : parse(args || '').filter((item) => typeof item === 'string');
+  const values = {
+    path: filePath,
+    dir: path.dirname(filePath),
+    name: path.basename(filePath),
+    translated: translated || path.basename(filePath)
+  };
+  const usesPath = parsedArgs.some((arg) => arg.includes('{path}'));
+  const expanded = parsedArgs.map((arg) => arg.replace(PLACEHOLDER_PATTERN, (_match, key) => values[key]));
+  return usesPath ? expanded : [...expanded, filePath];
+};
+
+module.exports = { buildLaunchArgs };
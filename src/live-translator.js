@@ -0,0 +1,153 @@
+const path = require('path');
+const { createProvider, settleBatch } = require('../lib/providers');
+const ollama = require('../lib/providers/ollama');
+const { splitFileName } = require('../lib/filenames');
+const { DEFAULT_TARGET, detectLanguage, parseLanguages } = require('../lib/languages');
+const { loadNameRules, parseName, textsToTranslate, assembleName } = require('../lib/name-parser');
+const { hasTranslation } = require('../lib/translation-store');
+const { pickSubstitutions, loadSubstitutions } = require('../lib/substitutions');
+
+const DEFAULT_CONCURRENCY = 2;
+
+const createLiveTranslator = ({ getEntry, getCached = () => null, saveEntry, onResult }) => {
+  const queue = [];
+  const queued = new Set();
+  let active = 0;
+  let provider = null;
+  let settings = null;
+  let substitutions = Promise.resolve(undefined);
+  // The last rules that loaded, for the synchronous check while new ones load.
+  let nameRules;
+  let loadingRules = Promise.resolve(undefined);
+
+  const configure = (config = {}) => {
+    settings = {
+      ...config,
+      provider: config.provider || 'ollama',
+      endpoint: config.endpoint || ollama.DEFAULT_ENDPOINT,
+      model: config.model || ollama.DEFAULT_MODEL,
+      certPath: config.certPath || undefined,
+      target: config.target || DEFAULT_TARGET,
+      sources: parseLanguages(config.sources),
+      concurrency: Math.max(1, Number(config.concurrency) || DEFAULT_CONCURRENCY)
+    };
+    provider = createProvider(settings);
+    substitutions = loadSubstitutions(config.substitutionsPath).catch((error) => {
+      console.warn('Failed to load substitutions', error);
+      return undefined;
+    });
+    loadingRules = loadNameRules(config.nameRulesPath)
+      .catch((error) => {
+        console.warn('Failed to load name rules', error);
+        return undefined;
+      })
+      .then((rules) => {
+        nameRules = rules;
+        return rules;
+      });
+  };
+
+  const needsTranslation = ({ filePath, isDirectory }) => {
+    const { baseName } = splitFileName(path.basename(filePath), isDirectory);
+    if (textsToTranslate(parseName(baseName, nameRules), settings).length === 0) return false;
+    return !hasTranslation(getEntry(filePath));
+  };
+
+  // Only the text parts of the name are sent, as one batch; tags and
+  // numbering are put back around the translations.
+  const translateName = async (parsed) => {
+    const texts = textsToTranslate(parsed, settings);
+    const glossary = pickSubstitutions(texts, await substitutions, { target: settings.target });
+    const results = await settleBatch(provider, texts, { target: settings.target, glossary });
+    const failed = results.find((result) => result.error);
+    if (failed) throw failed.error;
+    if (results.some((result) => !result.text)) {
+      throw new Error('Translation response was empty.');
+    }
+    return assembleName(parsed, results.map((result) => result.text), settings);
+  };
+
+  // `force` items are retries of an existing translation, so the cache (which
+  // would hand back that same translation) is skipped.
+  const processItem = async ({ filePath, isDirectory, force }) => {
+    const fileName = path.basename(filePath);
+    const { baseName, extension } = splitFileName(fileName, isDirectory);
+    const parsed = parseName(baseName, await loadingRules);
+    const details = {
+      file_path: filePath,
+      target: settings.target,
+      file_name: fileName,
+      is_directory: Boolean(isDirectory),
+      language: detectLanguage(baseName),
+      name_fields: parsed.fields
+    };
+    onResult({ filePath, status: 'pending', translated: null });
+    try {
+      // A name already translated elsewhere in the library skips the request.
+      const cached = force ? null : getCached(fileName, Boolean(isDirectory));
+      const translatedName = cached || `${await translateName(parsed)}${extension}`;
+      const entry = saveEntry({
+        ...details,
+        translated_name: translatedName,
+        status: 'translated',
+        error_message: null,
+        updated_at: new Date().toISOString()
+      });
+      onResult({ filePath, status: entry.status, translated: entry.translated_name });
+    } catch (error) {
+      let message = error.message;
+      try {
+        saveEntry({
+          ...details,
+          translated_name: null,
+          status: 'failed',
+          error_message: error.message,
+          updated_at: new Date().toISOString()
+        });
+      } catch (saveError) {
+        // The failure is still shown when the DB cannot take it.
+        console.warn('Failed to save a failed translation', saveError);
+        message = `${message} (not saved: ${saveError.message})`;
+      }
+      onResult({ filePath, status: 'failed', translated: null, error: message });
+    }
+  };
+
+  const pump = () => {
+    while (active < settings.concurrency && queue.length > 0) {
+      const item = queue.shift();
+      active += 1;
+      processItem(item).finally(() => {
+        active -= 1;
+        queued.delete(item.filePath);
+        pump();
+      });
+    }
+  };
+
+  // Replaces whatever is still waiting with the new items unless `append` is
+  // set; requests already in flight are left to finish so their results still
+  // land in the DB. `force` queues items even when they already have a
+  // translation.
+  const enqueue = (items, config, { append = false, force = false } = {}) => {
+    configure(config);
+    if (!append) {
+      queue.splice(0).forEach((item) => queued.delete(item.filePath));
+    }
+    const accepted = items.filter((item) => !queued.has(item.filePath) && (force || needsTranslation(item)));
+    accepted.forEach((item) => {
+      queued.add(item.filePath);
+      queue.push({ ...item, force });
+    });
+    pump();
+    return { queued: accepted.length };
+  };
+
+  const cancel = () => {
+    queue.splice(0).forEach((item) => queued.delete(item.filePath));
+  };
+
+  return { enqueue, cancel };
+};
+
+module.exports = { createLiveTranslator };
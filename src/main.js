@@ -1,39 +1,175 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, safeStorage, nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const { spawn } = require('child_process');
-const { parse } = require('shell-quote');
+const { createLiveTranslator } = require('./live-translator');
+const { planRenames, createRenamer } = require('./renamer');
+const { createDirectoryWatcher } = require('./directory-watcher');
+const { readEntryMetadata } = require('./entry-metadata');
+const { createNameMatcher } = require('./name-matcher');
+const { searchRecursive, searchTranslationEntries } = require('./search');
+const { buildLaunchArgs } = require('./launch');
+const { createFileOperations } = require('./file-operations');
+const { createProxyCredentials } = require('./proxy-credentials');
+const { thumbnailKind, archivePages, createThumbnailCache } = require('./thumbnails');
+const { hasTranslation, openTranslationStore, openStoreForPath, storePathFor } = require('../lib/translation-store');
+const { reviewQueue } = require('../lib/translation-review');
+const {
+  DEFAULT_NORMALIZE,
+  addSubstitution,
+  checkGlossary,
+  readGlossaryFile,
+  readRules,
+  writeGlossary
+} = require('../lib/substitutions');
+const { DEFAULT_TARGET, detectLanguage } = require('../lib/languages');
+const { parseName, textsToTranslate } = require('../lib/name-parser');
+const { splitFileName } = require('../lib/filenames');
+const { createTranslationJob } = require('../lib/translation-generator');
+const { createProvider } = require('../lib/providers');
+const { listZipEntries } = require('../lib/zip-reader');
 let translationDbPath = null;
-const translationEntries = new Map();
+// The target language the explorer shows; lookups and live translations go
+// through the store view for it.
+let translationTarget = DEFAULT_TARGET;
+// Without a loaded DB, live translations go to an in-memory store and are
+// lost on exit.
+let translationStore = openTranslationStore(':memory:');
+let translationSubscriber = null;
+
+const describeTranslationDb = () => ({
+  count: translationStore.count({ target: translationTarget }),
+  target: translationTarget,
+  targets: translationStore.targets(),
+  path: translationDbPath
+});
 
 const loadTranslationDb = async (filePath) => {
-  const raw = await fs.readFile(filePath, 'utf-8');
-  const data = JSON.parse(raw);
-  const entries = Array.isArray(data)
-    ? data
-    : Array.isArray(data?.entries)
-      ? data.entries
-      : [];
-
-  translationEntries.clear();
-  entries.forEach((entry) => {
-    if (entry?.file_path) {
-      translationEntries.set(entry.file_path, entry);
-    }
+  const { store, storePath, imported } = await openStoreForPath(filePath, { target: translationTarget });
+  translationStore.close();
+  translationStore = store;
+  translationDbPath = storePath;
+  return { ...describeTranslationDb(), imported };
+};
+
+const upsertTranslationEntry = (payload) => translationStore.upsert(payload);
+
+// Lists `[entry, newKey]` pairs for the DB entries at `oldPath` and, for
+// directories, every entry beneath it, in every target language.
+const collectRekeyedEntries = (oldPath, newPath) =>
+  translationStore
+    .listUnder(oldPath)
+    .map((entry) => [entry, `${newPath}${entry.file_path.slice(oldPath.length)}`]);
+
+const relocateEntry = (entry, nextKey) => {
+  const fileName = path.basename(nextKey);
+  const originalName = entry.original_name || entry.file_name;
+  return {
+    ...entry,
+    file_path: nextKey,
+    file_name: fileName,
+    original_name: originalName && originalName !== fileName ? originalName : null,
+    updated_at: new Date().toISOString()
+  };
+};
+
+// Moves DB entries keyed under `oldPath` to `newPath`, remembering the name
+// they were translated from.
+const rekeyTranslationEntries = (oldPath, newPath) => {
+  const pairs = collectRekeyedEntries(oldPath, newPath);
+  translationStore.transaction(() => {
+    pairs.forEach(([entry]) => translationStore.remove(entry.file_path));
+    pairs.forEach(([entry, nextKey]) => translationStore.put(relocateEntry(entry, nextKey)));
   });
-  translationDbPath = filePath;
-  return { count: entries.length, path: translationDbPath };
 };
 
-const getTranslationForPath = (filePath) => {
-  const entry = translationEntries.get(filePath);
+const copyTranslationEntries = (sourcePath, targetPath) => {
+  const pairs = collectRekeyedEntries(sourcePath, targetPath);
+  translationStore.transaction(() => {
+    pairs.forEach(([entry, nextKey]) => translationStore.put(relocateEntry(entry, nextKey)));
+  });
+};
+
+const liveTranslator = createLiveTranslator({
+  getEntry: (filePath) => translationStore.get(filePath),
+  getCached: (fileName, isDirectory) =>
+    translationStore.findCached({ name: fileName, isDirectory })?.translated_name || null,
+  saveEntry: upsertTranslationEntry,
+  onResult: (result) => {
+    if (translationSubscriber && !translationSubscriber.isDestroyed()) {
+      translationSubscriber.send('translation-result', result);
+    }
+  }
+});
+
+// Paths without a translation of their own fall back to the name cache, so a
+// copied or moved library keeps showing its translations. Names without text
+// in a language that is translated into the display target never need one and
+// report `skipped` like the generator records them. `fields` are the name
+// parser's, as stored or parsed with the default rules.
+const getTranslationForPath = (filePath, isDirectory = false) => {
+  const entry = translationStore.get(filePath);
+  const { baseName } = splitFileName(path.basename(filePath), isDirectory);
+  const parsed = entry?.name_fields ? null : parseName(baseName);
+  const fields = entry?.name_fields || parsed.fields;
+  if (hasTranslation(entry)) {
+    return { status: entry.status, translated: entry.translated_name, fields };
+  }
+  const cached = translationStore.findCached({ name: path.basename(filePath), isDirectory });
+  if (cached) {
+    return { status: 'translated', translated: cached.translated_name, cached: true, fields };
+  }
   if (!entry) {
-    return { status: 'missing', translated: null };
+    const needed = textsToTranslate(parsed, { target: translationTarget }).length > 0;
+    return { status: needed ? 'missing' : 'skipped', translated: null, language: detectLanguage(baseName), fields };
   }
-  if (entry.status !== 'translated' || !entry.translated_name) {
-    return { status: entry.status || 'pending', translated: null, error: entry.error_message };
+  return { status: entry.status || 'pending', translated: null, error: entry.error_message, fields };
+};
+
+// Whether `filePath` is a folder, or `fallback` when it cannot be read.
+const isDirectoryPath = (filePath, fallback = false) =>
+  fs.stat(filePath).then((stats) => stats.isDirectory(), () => fallback);
+
+let renamer = null;
+const getRenamer = () => {
+  if (!renamer) {
+    renamer = createRenamer({
+      journalPath: path.join(app.getPath('userData'), 'rename-journal.json'),
+      onRenamed: rekeyTranslationEntries
+    });
+  }
+  return renamer;
+};
+
+let proxyCredentials = null;
+const getProxyCredentials = () => {
+  if (!proxyCredentials) {
+    proxyCredentials = createProxyCredentials({
+      filePath: path.join(app.getPath('userData'), 'proxy-credentials.json'),
+      safeStorage
+    });
   }
-  return { status: entry.status, translated: entry.translated_name };
+  return proxyCredentials;
+};
+
+let thumbnails = null;
+const getThumbnails = () => {
+  if (!thumbnails) {
+    thumbnails = createThumbnailCache({ directory: path.join(app.getPath('userData'), 'thumbnails'), nativeImage });
+  }
+  return thumbnails;
+};
+
+const getBreadcrumbs = (directoryPath) => {
+  const segments = [];
+  let current = directoryPath;
+  while (true) {
+    const parent = path.dirname(current);
+    segments.unshift({ name: parent === current ? current : path.basename(current), fullPath: current });
+    if (parent === current) break;
+    current = parent;
+  }
+  return segments;
 };
 
 const createWindow = () => {
@@ -52,6 +188,9 @@ const createWindow = () => {
 
 app.whenReady().then(() => {
   createWindow();
+  getThumbnails()
+    .prune()
+    .catch((error) => console.warn('Failed to prune thumbnails', error));
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
@@ -62,15 +201,61 @@ app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
+app.on('will-quit', () => {
+  generatorJob?.cancel();
+  translationStore.close();
+});
+
 ipcMain.handle('list-directory', async (_event, directoryPath) => {
   const resolved = path.resolve(directoryPath);
-  const entries = await fs.readdir(resolved, { withFileTypes: true });
-  const mapped = entries.map((entry) => ({
-    name: entry.name,
-    isDirectory: entry.isDirectory(),
-    fullPath: path.join(resolved, entry.name)
-  }));
-  return { directory: resolved, entries: mapped };
+  const names = await fs.readdir(resolved);
+  const described = await Promise.all(
+    names.map((name) => readEntryMetadata(resolved, name).catch(() => null))
+  );
+  const mapped = described
+    .filter(Boolean)
+    .map((entry) => ({ ...entry, translated: getTranslationForPath(entry.fullPath, entry.isDirectory).translated }));
+  return { directory: resolved, entries: mapped, breadcrumbs: getBreadcrumbs(resolved) };
+});
+
+const directoryWatchers = new Map();
+
+ipcMain.handle('watch-directory', async (event, { watchId, directory }) => {
+  const key = `${event.sender.id}:${watchId}`;
+  let watcher = directoryWatchers.get(key);
+  if (!watcher) {
+    const sender = event.sender;
+    watcher = createDirectoryWatcher({
+      onChange: (payload) => {
+        if (!sender.isDestroyed()) sender.send('directory-changed', { watchId, ...payload });
+      },
+      onError: (error) => {
+        console.warn('Directory watcher failed', error);
+        if (!sender.isDestroyed()) {
+          sender.send('directory-changed', { watchId, directory, changes: [], error: error.message });
+        }
+      }
+    });
+    directoryWatchers.set(key, watcher);
+    sender.once('destroyed', () => {
+      watcher.stop();
+      directoryWatchers.delete(key);
+    });
+  }
+
+  if (!directory) {
+    watcher.stop();
+    return { ok: true };
+  }
+  try {
+    const resolved = path.resolve(directory);
+    const names = await fs.readdir(resolved);
+    watcher.start(resolved, names);
+    return { ok: true };
+  } catch (error) {
+    watcher.stop();
+    return { ok: false, message: error.message };
+  }
 });
 
 ipcMain.handle('select-directory', async () => {
@@ -88,7 +273,7 @@ ipcMain.handle('get-initial-directory', () => app.getPath('home'));
 ipcMain.handle('select-translation-db', async () => {
   const result = await dialog.showOpenDialog({
     properties: ['openFile'],
-    filters: [{ name: 'Translation Database', extensions: ['json'] }]
+    filters: [{ name: 'Translation Database', extensions: ['sqlite', 'db', 'json'] }]
   });
   if (result.canceled || result.filePaths.length === 0) {
     return null;
@@ -106,19 +291,441 @@ ipcMain.handle('load-translation-db', async (_event, filePath) => {
   }
 });
 
-ipcMain.handle('get-translation', (_event, filePath) => getTranslationForPath(filePath));
+ipcMain.handle('get-translation', (_event, filePath, isDirectory) =>
+  getTranslationForPath(filePath, Boolean(isDirectory))
+);
+
+ipcMain.handle('get-thumbnail', async (_event, filePath) => {
+  try {
+    return await getThumbnails().get(filePath);
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+// Everything the preview pane shows besides the thumbnail: the translation and
+// name fields, the DB rows for the path in every target language, and the
+// number of pages in archives.
+ipcMain.handle('get-preview', async (_event, filePath, isDirectory) => {
+  const entries = translationStore.getAll(filePath);
+  let pages = null;
+  if (!isDirectory && thumbnailKind(filePath) === 'archive') {
+    pages = await listZipEntries(filePath).then((zipEntries) => archivePages(zipEntries).length, () => null);
+  }
+  return { ok: true, translation: getTranslationForPath(filePath, Boolean(isDirectory)), entries, pages };
+});
+
+// Switches the language translations are shown and live-translated in. What
+// is still queued for the previous target is dropped.
+ipcMain.handle('set-translation-target', (_event, target) => {
+  const next = `${target || ''}`.trim().toLowerCase();
+  if (!/^[a-z]{2,3}(?:[-_][a-z0-9]+)*$/.test(next)) {
+    return { ok: false, message: `${target} is not a language code such as en or pt-br.` };
+  }
+  if (next !== translationTarget) {
+    liveTranslator.cancel();
+    translationTarget = next;
+    translationStore = translationStore.withTarget(next);
+  }
+  return { ok: true, ...describeTranslationDb() };
+});
+
+ipcMain.handle('translate-entries', async (event, { items, config, append }) => {
+  translationSubscriber = event.sender;
+  try {
+    const withKey = await getProxyCredentials().apply(config);
+    const summary = liveTranslator.enqueue(
+      Array.isArray(items) ? items : [],
+      { ...withKey, target: translationTarget },
+      { append }
+    );
+    return { ok: true, persisted: Boolean(translationDbPath), ...summary };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('cancel-translations', () => {
+  liveTranslator.cancel();
+  return { ok: true };
+});
+
+ipcMain.handle('retry-translations', async (event, { items, config }) => {
+  translationSubscriber = event.sender;
+  try {
+    const withKey = await getProxyCredentials().apply(config);
+    const summary = liveTranslator.enqueue(
+      Array.isArray(items) ? items : [],
+      { ...withKey, target: translationTarget },
+      { append: true, force: true }
+    );
+    return { ok: true, ...summary };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+// Saves a hand-written translation. `previous` lets the renderer offer the
+// correction as a substitution.
+ipcMain.handle('set-translation', async (_event, { filePath, isDirectory, translated }) => {
+  const text = `${translated || ''}`.trim();
+  if (!text) return { ok: false, message: 'Translation cannot be empty.' };
+  try {
+    const directory = await isDirectoryPath(filePath, Boolean(isDirectory));
+    const previous = getTranslationForPath(filePath, directory).translated;
+    const entry = translationStore.upsert({
+      file_path: filePath,
+      file_name: path.basename(filePath),
+      is_directory: directory,
+      translated_name: text,
+      status: 'manual',
+      error_message: null,
+      updated_at: new Date().toISOString()
+    });
+    return { ok: true, previous, translated: entry.translated_name, persisted: Boolean(translationDbPath) };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('accept-translations', (_event, filePaths) => {
+  try {
+    const accepted = [];
+    translationStore.transaction(() => {
+      (Array.isArray(filePaths) ? filePaths : []).forEach((filePath) => {
+        const entry = translationStore.get(filePath);
+        if (!entry?.translated_name) return;
+        translationStore.upsert({ file_path: filePath, status: 'manual', updated_at: new Date().toISOString() });
+        accepted.push(filePath);
+      });
+    });
+    return { ok: true, accepted };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('list-review-queue', (_event, { root } = {}) => {
+  try {
+    return { ok: true, ...reviewQueue(translationStore, { under: root ? path.resolve(root) : null }) };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('add-substitution', async (_event, { filePath, term, replacement }) => {
+  if (!filePath || !term) return { ok: false, message: 'A substitutions file and term are required.' };
+  try {
+    const count = await addSubstitution(filePath, term, replacement || '');
+    return { ok: true, count };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+// The glossary editor works on `{ normalize, rules }` whichever format the
+// file uses; a missing file opens empty.
+ipcMain.handle('load-glossary', async (_event, filePath) => {
+  if (!filePath) return { ok: false, message: 'Choose a substitutions file first.' };
+  try {
+    const { normalize, rules } = readRules(await readGlossaryFile(filePath));
+    return { ok: true, normalize, rules, problems: checkGlossary({ normalize, rules }).problems };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { ok: true, normalize: DEFAULT_NORMALIZE, rules: [], problems: [] };
+    return { ok: false, message: `${filePath}: ${error.message}` };
+  }
+});
+
+ipcMain.handle('check-glossary', (_event, { normalize, rules }) => ({
+  ok: true,
+  problems: checkGlossary({ normalize, rules }).problems
+}));
+
+// Rules with errors are not saved, since the generator and the proxy would
+// refuse the file.
+ipcMain.handle('save-glossary', async (_event, { filePath, normalize, rules }) => {
+  if (!filePath) return { ok: false, message: 'Choose a substitutions file first.' };
+  const { problems } = checkGlossary({ normalize, rules });
+  const errors = problems.filter((problem) => problem.level === 'error');
+  if (errors.length > 0) {
+    return { ok: false, message: `Fix ${errors.length} errors before saving.`, problems };
+  }
+  try {
+    const count = await writeGlossary(filePath, { normalize, rules });
+    return { ok: true, count, problems };
+  } catch (error) {
+    return { ok: false, message: error.message, problems };
+  }
+});
+
+let generatorJob = null;
+
+// Runs the generator over `directory` in the background, writing to `output`
+// (the loaded DB when omitted). Job events are forwarded on `generator-event`.
+// When the job wrote to the loaded DB, it is reloaded once the job ends so
+// cached lookups see everything it wrote.
+ipcMain.handle('start-generator', async (event, { directory, output, settings }) => {
+  try {
+    const withKey = await getProxyCredentials().apply(settings);
+    if (generatorJob) return { ok: false, message: 'A translation job is already running.' };
+    const outputPath = output || translationDbPath;
+    if (!directory) return { ok: false, message: 'No directory to translate.' };
+    if (!outputPath) return { ok: false, message: 'Choose a translation DB to write to.' };
+
+    const sender = event.sender;
+    const send = (payload) => {
+      if (!sender.isDestroyed()) sender.send('generator-event', payload);
+    };
+    const target = withKey.target || translationTarget;
+    // Results for another language than the one shown would land in the
+    // explorer's cells, so only the counts are forwarded for those.
+    const onEvent = (payload) => {
+      if (payload.type !== 'result' || target === translationTarget) send(payload);
+    };
+    const writesLoadedDb =
+      Boolean(translationDbPath) && path.resolve(storePathFor(outputPath)) === path.resolve(translationDbPath);
+    const job = createTranslationJob(
+      { ...withKey, target, input: path.resolve(directory), output: outputPath },
+      { onEvent }
+    );
+    generatorJob = job;
+
+    job
+      .run()
+      .then(
+        async (summary) => {
+          let reloadError = null;
+          const db = writesLoadedDb
+            ? await loadTranslationDb(outputPath).catch((error) => {
+                reloadError = error;
+                return null;
+              })
+            : null;
+          send({ type: 'done', ...summary, db });
+          // The job still finished; the notice follows its summary so the
+          // summary does not replace it.
+          if (reloadError) {
+            const message = `Could not reload the translation DB: ${reloadError.message}`;
+            send({ type: 'log', level: 'warn', message });
+          }
+        },
+        (error) => send({ type: 'done', state: 'failed', error: error.message })
+      )
+      .finally(() => {
+        if (generatorJob === job) generatorJob = null;
+      });
+
+    return { ok: true, output: outputPath };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('check-translation-provider', async (_event, config) => {
+  try {
+    return await createProvider(await getProxyCredentials().apply(config || {})).healthCheck();
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('get-proxy-credentials', () => getProxyCredentials().getStatus());
+
+ipcMain.handle('set-proxy-key', async (_event, key) => {
+  try {
+    return { ok: true, ...(await getProxyCredentials().setApiKey(`${key || ''}`.trim())) };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('pause-generator', () => ({ ok: Boolean(generatorJob?.pause()) }));
+
+ipcMain.handle('resume-generator', () => ({ ok: Boolean(generatorJob?.resume()) }));
+
+ipcMain.handle('cancel-generator', () => ({ ok: Boolean(generatorJob?.cancel()) }));
+
+ipcMain.handle('preview-translation-renames', async (_event, items) => {
+  try {
+    const plan = await planRenames(Array.isArray(items) ? items : [], {
+      getTranslatedName: (filePath, isDirectory) => getTranslationForPath(filePath, isDirectory).translated
+    });
+    return { ok: true, plan };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('apply-translation-renames', async (_event, plan) => {
+  try {
+    const results = await getRenamer().applyRenamePlan(Array.isArray(plan) ? plan : []);
+    return { ok: true, results };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('undo-last-rename', async () => {
+  try {
+    const undone = await getRenamer().undoLastBatch();
+    if (!undone) return { ok: false, message: 'Nothing to undo.' };
+    return { ok: true, ...undone };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+const activeSearches = new Map();
+
+ipcMain.handle('start-search', (event, { searchId, root, query, mode, field }) => {
+  let matches;
+  try {
+    matches = createNameMatcher({ query, mode, field });
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+
+  const sender = event.sender;
+  const search = { cancelled: false };
+  activeSearches.set(searchId, search);
+  const send = (payload) => {
+    if (!sender.isDestroyed()) sender.send('search-results', { searchId, ...payload });
+  };
+
+  searchRecursive({
+    root,
+    matches,
+    getTranslated: (filePath, isDirectory) => getTranslationForPath(filePath, isDirectory).translated,
+    onHits: (hits, scanned) => send({ hits, scanned, done: false }),
+    isCancelled: () => search.cancelled
+  })
+    .then((summary) => send({ hits: [], done: true, ...summary }))
+    .catch((error) => send({ hits: [], done: true, error: error.message }))
+    .finally(() => activeSearches.delete(searchId));
+
+  return { ok: true };
+});
+
+ipcMain.handle('cancel-search', (_event, searchId) => {
+  const search = activeSearches.get(searchId);
+  if (search) search.cancelled = true;
+  return { ok: true };
+});
+
+ipcMain.handle('search-translation-db', (_event, { query, mode, field }) => {
+  try {
+    const matches = createNameMatcher({ query, mode, field });
+    const entries = translationStore.entries({ target: translationTarget });
+    return { ok: true, hits: searchTranslationEntries(entries, matches) };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+const jobSenders = new Map();
+const pendingConflicts = new Map();
+let nextConflictId = 0;
+
+const sendToJob = (jobId, channel, payload) => {
+  const sender = jobSenders.get(jobId);
+  if (sender && !sender.isDestroyed()) sender.send(channel, payload);
+};
+
+const fileOperations = createFileOperations({
+  onProgress: (progress) => sendToJob(progress.jobId, 'file-operation-progress', progress),
+  resolveConflict: (conflict) =>
+    new Promise((resolve) => {
+      const sender = jobSenders.get(conflict.jobId);
+      if (!sender || sender.isDestroyed()) {
+        resolve({ choice: 'cancel' });
+        return;
+      }
+      nextConflictId += 1;
+      const requestId = nextConflictId;
+      pendingConflicts.set(requestId, resolve);
+      sender.send('file-operation-conflict', { requestId, ...conflict });
+    }),
+  onMoved: rekeyTranslationEntries,
+  onCopied: copyTranslationEntries,
+  trashItem: (filePath) => shell.trashItem(filePath)
+});
+
+const runTransfer = async (event, operation, { jobId, sources, destination }) => {
+  jobSenders.set(jobId, event.sender);
+  try {
+    const summary = await fileOperations[operation]({
+      jobId,
+      sources: Array.isArray(sources) ? sources.map((source) => path.resolve(source)) : [],
+      destination: path.resolve(destination)
+    });
+    return { ok: true, ...summary };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  } finally {
+    jobSenders.delete(jobId);
+  }
+};
+
+ipcMain.handle('copy-entries', (event, payload) => runTransfer(event, 'copy', payload));
+
+ipcMain.handle('move-entries', (event, payload) => runTransfer(event, 'move', payload));
+
+ipcMain.handle('cancel-file-operation', (_event, jobId) => ({ ok: fileOperations.cancel(jobId) }));
+
+ipcMain.handle('resolve-conflict', (_event, { requestId, choice, applyToAll }) => {
+  const resolve = pendingConflicts.get(requestId);
+  if (!resolve) return { ok: false, message: 'Unknown conflict.' };
+  pendingConflicts.delete(requestId);
+  resolve({ choice, applyToAll: Boolean(applyToAll) });
+  return { ok: true };
+});
+
+ipcMain.handle('create-folder', async (_event, { parent, name }) => {
+  try {
+    return { ok: true, path: await fileOperations.createFolder(parent, name) };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('rename-entry', async (_event, { source, name }) => {
+  try {
+    return { ok: true, path: await fileOperations.renameEntry(source, name) };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+});
+
+ipcMain.handle('trash-entries', async (_event, filePaths) => {
+  const results = [];
+  for (const filePath of Array.isArray(filePaths) ? filePaths : []) {
+    try {
+      await shell.trashItem(filePath);
+      results.push({ source: filePath, ok: true });
+    } catch (error) {
+      results.push({ source: filePath, ok: false, message: error.message });
+    }
+  }
+  return { ok: true, results };
+});
+
+ipcMain.handle('open-file', async (_event, { filePath, program, args, useSystemDefault }) => {
+  if (useSystemDefault) {
+    const message = await shell.openPath(filePath);
+    return message ? { ok: false, message } : { ok: true };
+  }
 
-ipcMain.handle('open-file', async (_event, { filePath, program, args }) => {
   if (!program || program.trim().length === 0) {
     return { ok: false, message: 'Program path is required.' };
   }
 
-  const parsedArgs = Array.isArray(args)
-    ? args
-    : parse(args || '').filter((item) => typeof item === 'string');
+  const launchArgs = buildLaunchArgs(args, {
+    filePath,
+    translated: getTranslationForPath(filePath, await isDirectoryPath(filePath)).translated
+  });
 
   return new Promise((resolve) => {
-    const child = spawn(program, [...parsedArgs, filePath], {
+    const child = spawn(program, launchArgs, {
       detached: true,
       stdio: 'ignore'
     });
@@ -0,0 +1,46 @@
+// Shared by the main process (recursive and DB search) and the renderer (live
+// filter), so it is written to load both through require() and a <script> tag.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.nameMatcher = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const globToRegExp = (glob) =>
+    new RegExp(
+      `^${glob
+        .split('')
+        .map((char) => (char === '*' ? '.*' : char === '?' ? '.' : escapeRegExp(char)))
+        .join('')}$`,
+      'i'
+    );
+
+  // Returns a predicate over `{ name, translated }`, or throws for an invalid regex.
+  const createNameMatcher = ({ query, mode = 'substring', field = 'both' }) => {
+    const trimmed = (query || '').trim();
+    if (!trimmed) return () => true;
+
+    let test;
+    if (mode === 'regex') {
+      const pattern = new RegExp(trimmed, 'i');
+      test = (value) => pattern.test(value);
+    } else if (mode === 'glob') {
+      const pattern = globToRegExp(trimmed);
+      test = (value) => pattern.test(value);
+    } else {
+      const needle = trimmed.toLowerCase();
+      test = (value) => value.toLowerCase().includes(needle);
+    }
+
+    return ({ name, translated }) => {
+      if (field !== 'translated' && name && test(name)) return true;
+      if (field !== 'original' && translated && test(translated)) return true;
+      return false;
+    };
+  };
+
+  return { createNameMatcher };
+});
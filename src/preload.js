@@ -1,11 +1,76 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 contextBridge.exposeInMainWorld('fileExp', {
   listDirectory: (directoryPath) => ipcRenderer.invoke('list-directory', directoryPath),
+  watchDirectory: (payload) => ipcRenderer.invoke('watch-directory', payload),
+  onDirectoryChanged: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('directory-changed', listener);
+    return () => ipcRenderer.removeListener('directory-changed', listener);
+  },
   selectDirectory: () => ipcRenderer.invoke('select-directory'),
   selectTranslationDb: () => ipcRenderer.invoke('select-translation-db'),
   loadTranslationDb: (filePath) => ipcRenderer.invoke('load-translation-db', filePath),
-  getTranslation: (filePath) => ipcRenderer.invoke('get-translation', filePath),
+  getTranslation: (filePath, isDirectory) => ipcRenderer.invoke('get-translation', filePath, isDirectory),
+  getThumbnail: (filePath) => ipcRenderer.invoke('get-thumbnail', filePath),
+  getPreview: (filePath, isDirectory) => ipcRenderer.invoke('get-preview', filePath, isDirectory),
+  setTranslationTarget: (target) => ipcRenderer.invoke('set-translation-target', target),
+  translateEntries: (payload) => ipcRenderer.invoke('translate-entries', payload),
+  cancelTranslations: () => ipcRenderer.invoke('cancel-translations'),
+  retryTranslations: (payload) => ipcRenderer.invoke('retry-translations', payload),
+  setTranslation: (payload) => ipcRenderer.invoke('set-translation', payload),
+  acceptTranslations: (filePaths) => ipcRenderer.invoke('accept-translations', filePaths),
+  listReviewQueue: (payload) => ipcRenderer.invoke('list-review-queue', payload),
+  addSubstitution: (payload) => ipcRenderer.invoke('add-substitution', payload),
+  loadGlossary: (filePath) => ipcRenderer.invoke('load-glossary', filePath),
+  checkGlossary: (glossary) => ipcRenderer.invoke('check-glossary', glossary),
+  saveGlossary: (payload) => ipcRenderer.invoke('save-glossary', payload),
+  onTranslationResult: (callback) => {
+    const listener = (_event, result) => callback(result);
+    ipcRenderer.on('translation-result', listener);
+    return () => ipcRenderer.removeListener('translation-result', listener);
+  },
+  startGenerator: (payload) => ipcRenderer.invoke('start-generator', payload),
+  checkTranslationProvider: (config) => ipcRenderer.invoke('check-translation-provider', config),
+  getProxyCredentials: () => ipcRenderer.invoke('get-proxy-credentials'),
+  setProxyKey: (key) => ipcRenderer.invoke('set-proxy-key', key),
+  pauseGenerator: () => ipcRenderer.invoke('pause-generator'),
+  resumeGenerator: () => ipcRenderer.invoke('resume-generator'),
+  cancelGenerator: () => ipcRenderer.invoke('cancel-generator'),
+  onGeneratorEvent: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('generator-event', listener);
+    return () => ipcRenderer.removeListener('generator-event', listener);
+  },
+  previewTranslationRenames: (items) => ipcRenderer.invoke('preview-translation-renames', items),
+  applyTranslationRenames: (plan) => ipcRenderer.invoke('apply-translation-renames', plan),
+  undoLastRename: () => ipcRenderer.invoke('undo-last-rename'),
+  startSearch: (payload) => ipcRenderer.invoke('start-search', payload),
+  cancelSearch: (searchId) => ipcRenderer.invoke('cancel-search', searchId),
+  onSearchResults: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('search-results', listener);
+    return () => ipcRenderer.removeListener('search-results', listener);
+  },
+  searchTranslationDb: (payload) => ipcRenderer.invoke('search-translation-db', payload),
+  copyEntries: (payload) => ipcRenderer.invoke('copy-entries', payload),
+  moveEntries: (payload) => ipcRenderer.invoke('move-entries', payload),
+  cancelFileOperation: (jobId) => ipcRenderer.invoke('cancel-file-operation', jobId),
+  resolveConflict: (payload) => ipcRenderer.invoke('resolve-conflict', payload),
+  onFileOperationProgress: (callback) => {
+    const listener = (_event, progress) => callback(progress);
+    ipcRenderer.on('file-operation-progress', listener);
+    return () => ipcRenderer.removeListener('file-operation-progress', listener);
+  },
+  onFileOperationConflict: (callback) => {
+    const listener = (_event, conflict) => callback(conflict);
+    ipcRenderer.on('file-operation-conflict', listener);
+    return () => ipcRenderer.removeListener('file-operation-conflict', listener);
+  },
+  createFolder: (payload) => ipcRenderer.invoke('create-folder', payload),
+  renameEntry: (payload) => ipcRenderer.invoke('rename-entry', payload),
+  trashEntries: (filePaths) => ipcRenderer.invoke('trash-entries', filePaths),
+  getPathForFile: (file) => webUtils.getPathForFile(file),
   openFile: (payload) => ipcRenderer.invoke('open-file', payload),
   getInitialDirectory: () => ipcRenderer.invoke('get-initial-directory')
 });
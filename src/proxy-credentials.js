@@ -0,0 +1,50 @@
+const fs = require('fs').promises;
+
+// The HTTPS proxy's API key, kept out of the renderer's localStorage. It is
+// encrypted with the OS keychain through `safeStorage`; where that is not
+// available the key only lasts until the app quits.
+const createProxyCredentials = ({ filePath, safeStorage }) => {
+  let apiKey = null;
+  let loaded = false;
+
+  const canPersist = () => safeStorage.isEncryptionAvailable();
+
+  const load = async () => {
+    if (loaded) return apiKey;
+    loaded = true;
+    try {
+      const { encryptedKey } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (encryptedKey && canPersist()) apiKey = safeStorage.decryptString(Buffer.from(encryptedKey, 'base64'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('Failed to read proxy credentials', error);
+    }
+    return apiKey;
+  };
+
+  const setApiKey = async (key) => {
+    await load();
+    apiKey = key || null;
+    if (!apiKey) {
+      await fs.rm(filePath, { force: true });
+      return { saved: false, persisted: false };
+    }
+    if (!canPersist()) return { saved: true, persisted: false };
+    const encryptedKey = safeStorage.encryptString(apiKey).toString('base64');
+    await fs.writeFile(filePath, JSON.stringify({ encryptedKey }), { mode: 0o600 });
+    return { saved: true, persisted: true };
+  };
+
+  // Fills in the saved key unless the config brings its own.
+  const apply = async (config = {}) => ({
+    ...config,
+    ollamaApiKey: config.ollamaApiKey || (await load()) || undefined
+  });
+
+  return {
+    getStatus: async () => ({ hasKey: Boolean(await load()), canPersist: canPersist() }),
+    setApiKey,
+    apply
+  };
+};
+
+module.exports = { createProxyCredentials };
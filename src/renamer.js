@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const WINDOWS_RESERVED = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+const MAX_JOURNAL_BATCHES = 50;
+
+const sanitizeFileName = (name, platform = process.platform) => {
+  let sanitized = name.replace(/[\u0000-\u001f]/g, '');
+  if (platform === 'win32') {
+    sanitized = sanitized.replace(/[<>:"/\\|?*]/g, '_').replace(/[. ]+$/, '');
+    if (WINDOWS_RESERVED.test(sanitized)) {
+      sanitized = `_${sanitized}`;
+    }
+  } else {
+    sanitized = sanitized.replace(/\//g, '_');
+  }
+  sanitized = sanitized.trim();
+  return sanitized === '.' || sanitized === '..' ? '' : sanitized;
+};
+
+const pathExists = async (filePath) => {
+  try {
+    await fs.lstat(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether both paths lead to one entry, as a name that differs only in case
+// does on case-insensitive file systems. Elsewhere it can be another file.
+const isSameEntry = async (first, second) => {
+  try {
+    const [a, b] = await Promise.all([fs.lstat(first, { bigint: true }), fs.lstat(second, { bigint: true })]);
+    return a.dev === b.dev && a.ino === b.ino;
+  } catch (error) {
+    return false;
+  }
+};
+
+const withSuffix = (name, index, isDirectory) => {
+  const extension = isDirectory ? '' : path.extname(name);
+  const base = extension ? name.slice(0, -extension.length) : name;
+  return `${base} (${index})${extension}`;
+};
+
+// Builds the dry-run table shown to the user. Nothing on disk is touched here;
+// `applyRenamePlan` re-checks every target before renaming.
+const planRenames = async (items, { getTranslatedName, platform = process.platform }) => {
+  const claimed = new Set();
+  const plan = [];
+
+  for (const { filePath, isDirectory } of items) {
+    const directory = path.dirname(filePath);
+    const oldName = path.basename(filePath);
+    const translatedName = getTranslatedName(filePath, isDirectory);
+    if (!translatedName) {
+      plan.push({ from: filePath, oldName, newName: null, action: 'skip', reason: 'No translation' });
+      continue;
+    }
+
+    const sanitized = sanitizeFileName(translatedName, platform);
+    if (!sanitized) {
+      plan.push({ from: filePath, oldName, newName: null, action: 'skip', reason: 'Translation is not a valid name' });
+      continue;
+    }
+    if (sanitized === oldName) {
+      plan.push({ from: filePath, oldName, newName: sanitized, action: 'skip', reason: 'Already renamed' });
+      continue;
+    }
+
+    let candidate = sanitized;
+    let index = 2;
+    const isTaken = async (name) => {
+      const target = path.join(directory, name);
+      const key = target.toLowerCase();
+      if (claimed.has(key)) return true;
+      // A case-only rename of the same entry is not a collision.
+      return (await pathExists(target)) && !(await isSameEntry(filePath, target));
+    };
+    while (await isTaken(candidate)) {
+      candidate = withSuffix(sanitized, index, isDirectory);
+      index += 1;
+    }
+
+    claimed.add(path.join(directory, candidate).toLowerCase());
+    plan.push({
+      from: filePath,
+      to: path.join(directory, candidate),
+      oldName,
+      newName: candidate,
+      action: 'rename',
+      reason: candidate !== sanitized ? 'Name collision, suffix added' : sanitized !== translatedName ? 'Illegal characters replaced' : null
+    });
+  }
+
+  return plan;
+};
+
+const readJournal = async (journalPath) => {
+  try {
+    const raw = await fs.readFile(journalPath, 'utf8');
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed?.batches) ? parsed.batches : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeJournal = async (journalPath, batches) => {
+  await fs.mkdir(path.dirname(journalPath), { recursive: true });
+  const output = { batches: batches.slice(-MAX_JOURNAL_BATCHES) };
+  await fs.writeFile(journalPath, JSON.stringify(output, null, 2));
+};
+
+const renameAll = async (operations, onRenamed) => {
+  const results = [];
+  for (const operation of operations) {
+    try {
+      if (!(await pathExists(operation.from))) {
+        throw new Error('Source no longer exists.');
+      }
+      if ((await pathExists(operation.to)) && !(await isSameEntry(operation.from, operation.to))) {
+        throw new Error('Target already exists.');
+      }
+      await fs.rename(operation.from, operation.to);
+      onRenamed(operation.from, operation.to);
+      results.push({ ...operation, ok: true });
+    } catch (error) {
+      results.push({ ...operation, ok: false, message: error.message });
+    }
+  }
+  return results;
+};
+
+const createRenamer = ({ journalPath, onRenamed }) => {
+  const applyRenamePlan = async (plan) => {
+    const operations = plan
+      .filter((item) => item.action === 'rename' && item.from && item.to)
+      .map(({ from, to }) => ({ from, to }));
+    const results = await renameAll(operations, onRenamed);
+    const done = results.filter((result) => result.ok).map(({ from, to }) => ({ from, to }));
+    if (done.length > 0) {
+      const batches = await readJournal(journalPath);
+      batches.push({ id: Date.now().toString(36), createdAt: new Date().toISOString(), operations: done });
+      await writeJournal(journalPath, batches);
+    }
+    return results;
+  };
+
+  const undoLastBatch = async () => {
+    const batches = await readJournal(journalPath);
+    const batch = batches.pop();
+    if (!batch) return null;
+    const reversed = batch.operations
+      .slice()
+      .reverse()
+      .map(({ from, to }) => ({ from: to, to: from }));
+    const results = await renameAll(reversed, onRenamed);
+    const failed = results.filter((result) => !result.ok);
+    if (failed.length > 0) {
+      // Keep the operations that could not be reverted so a later undo can retry them.
+      batches.push({ ...batch, operations: failed.map(({ from, to }) => ({ from: to, to: from })) });
+    }
+    await writeJournal(journalPath, batches);
+    return { batch, results };
+  };
+
+  const getJournal = () => readJournal(journalPath);
+
+  return { applyRenamePlan, undoLastBatch, getJournal };
+};
+
+module.exports = { sanitizeFileName, isSameEntry, withSuffix, planRenames, createRenamer };
@@ -1,44 +1,383 @@
-const fileList = document.getElementById('fileList');
 const currentPathInput = document.getElementById('currentPath');
 const browseButton = document.getElementById('browse');
 const refreshButton = document.getElementById('refresh');
-const programPathInput = document.getElementById('programPath');
-const programArgsInput = document.getElementById('programArgs');
-const saveConfigButton = document.getElementById('saveConfig');
+const editLaunchersButton = document.getElementById('editLaunchers');
+const launcherDialog = document.getElementById('launcherDialog');
+const launcherRows = document.getElementById('launcherRows');
+const ruleRows = document.getElementById('ruleRows');
+const addLauncherButton = document.getElementById('addLauncher');
+const addRuleButton = document.getElementById('addRule');
+const systemFallbackInput = document.getElementById('systemFallback');
+const contextMenu = document.getElementById('contextMenu');
+const backButton = document.getElementById('back');
+const forwardButton = document.getElementById('forward');
+const editKeymapButton = document.getElementById('editKeymap');
+const keymapDialog = document.getElementById('keymapDialog');
+const keymapRows = document.getElementById('keymapRows');
+const newFolderButton = document.getElementById('newFolder');
+const renameEntryButton = document.getElementById('renameEntry');
+const copyEntriesButton = document.getElementById('copyEntries');
+const cutEntriesButton = document.getElementById('cutEntries');
+const pasteEntriesButton = document.getElementById('pasteEntries');
+const trashEntriesButton = document.getElementById('trashEntries');
+const newTabButton = document.getElementById('newTab');
+const toggleDualPaneButton = document.getElementById('toggleDualPane');
+const toggleGridButton = document.getElementById('toggleGrid');
+const togglePreviewButton = document.getElementById('togglePreview');
+const copyToOtherPaneButton = document.getElementById('copyToOtherPane');
+const moveToOtherPaneButton = document.getElementById('moveToOtherPane');
+const panesContainer = document.getElementById('panes');
+const paneTemplate = document.getElementById('paneTemplate');
+const previewPane = document.getElementById('previewPane');
+const previewImage = document.getElementById('previewImage');
+const previewPlaceholder = document.getElementById('previewPlaceholder');
+const previewName = document.getElementById('previewName');
+const previewTranslation = document.getElementById('previewTranslation');
+const previewDetails = document.getElementById('previewDetails');
+const previewEntries = document.getElementById('previewEntries');
+const operationProgress = document.getElementById('operationProgress');
+const operationLabel = document.getElementById('operationLabel');
+const operationBar = document.getElementById('operationBar');
+const cancelOperationButton = document.getElementById('cancelOperation');
+const generatorProgress = document.getElementById('generatorProgress');
+const generatorLabel = document.getElementById('generatorLabel');
+const generatorBar = document.getElementById('generatorBar');
+const pauseGeneratorButton = document.getElementById('pauseGenerator');
+const cancelGeneratorButton = document.getElementById('cancelGenerator');
+const openGeneratorButton = document.getElementById('openGenerator');
+const generatorDialog = document.getElementById('generatorDialog');
+const generatorSummary = document.getElementById('generatorSummary');
+const generatorInputs = {
+  provider: document.getElementById('generatorProvider'),
+  endpoint: document.getElementById('generatorEndpoint'),
+  model: document.getElementById('generatorModel'),
+  certPath: document.getElementById('generatorCert'),
+  openaiEndpoint: document.getElementById('generatorOpenaiEndpoint'),
+  openaiModel: document.getElementById('generatorOpenaiModel'),
+  deeplEndpoint: document.getElementById('generatorDeeplEndpoint'),
+  dictionaryPath: document.getElementById('generatorDictionary'),
+  substitutionsPath: document.getElementById('generatorSubstitutions'),
+  nameRulesPath: document.getElementById('generatorNameRules'),
+  batchSize: document.getElementById('generatorBatchSize'),
+  batchDelayMs: document.getElementById('generatorBatchDelay'),
+  rateLimitDelayMs: document.getElementById('generatorRateLimitDelay'),
+  maxAttempts: document.getElementById('generatorMaxAttempts'),
+  target: document.getElementById('generatorTarget'),
+  sources: document.getElementById('generatorSources')
+};
+const generatorHashInput = document.getElementById('generatorHash');
+// Apply to one run only, so they are not saved with the settings.
+const generatorResumeInput = document.getElementById('generatorResume');
+const generatorRetryFailedInput = document.getElementById('generatorRetryFailed');
+// API keys are only kept for the session; they fall back to the environment
+// variables in the main process.
+const generatorKeyInputs = {
+  openaiApiKey: document.getElementById('generatorOpenaiKey'),
+  deeplApiKey: document.getElementById('generatorDeeplKey')
+};
+const checkGeneratorProviderButton = document.getElementById('checkGeneratorProvider');
+const nameDialog = document.getElementById('nameDialog');
+const nameDialogTitle = document.getElementById('nameDialogTitle');
+const nameDialogInput = document.getElementById('nameDialogInput');
+const nameDialogCancel = document.getElementById('nameDialogCancel');
+const conflictDialog = document.getElementById('conflictDialog');
+const conflictMessage = document.getElementById('conflictMessage');
+const conflictApplyAll = document.getElementById('conflictApplyAll');
 const translationDbPathInput = document.getElementById('translationDbPath');
 const browseTranslationDbButton = document.getElementById('browseTranslationDb');
 const loadTranslationDbButton = document.getElementById('loadTranslationDb');
+const translationTargetInput = document.getElementById('translationTarget');
+const translationTargetList = document.getElementById('translationTargets');
+const translatorEndpointInput = document.getElementById('translatorEndpoint');
+const translatorModelInput = document.getElementById('translatorModel');
+const translatorCertInput = document.getElementById('translatorCert');
+const translatorSubstitutionsInput = document.getElementById('translatorSubstitutions');
+const translatorNameRulesInput = document.getElementById('translatorNameRules');
+const translatorApiKeyInput = document.getElementById('translatorApiKey');
+const translatorClientCertInput = document.getElementById('translatorClientCert');
+const translatorClientKeyInput = document.getElementById('translatorClientKey');
+const autoTranslateInput = document.getElementById('autoTranslate');
+const translateDirectoryButton = document.getElementById('translateDirectory');
+const openReviewButton = document.getElementById('openReview');
+const reviewQueue = document.getElementById('reviewQueue');
+const reviewSummary = document.getElementById('reviewSummary');
+const reviewCurrentFolderInput = document.getElementById('reviewCurrentFolder');
+const refreshReviewButton = document.getElementById('refreshReview');
+const closeReviewButton = document.getElementById('closeReview');
+const reviewList = document.getElementById('reviewList');
+const substitutionDialog = document.getElementById('substitutionDialog');
+const substitutionTermInput = document.getElementById('substitutionTerm');
+const substitutionReplacementInput = document.getElementById('substitutionReplacement');
+const substitutionPathInput = document.getElementById('substitutionPath');
+const editGlossaryButton = document.getElementById('editGlossary');
+const glossaryDialog = document.getElementById('glossaryDialog');
+const glossaryPathLabel = document.getElementById('glossaryPath');
+const glossaryFilterInput = document.getElementById('glossaryFilter');
+const glossaryWidthInput = document.getElementById('glossaryWidth');
+const glossaryCaseInput = document.getElementById('glossaryCase');
+const glossaryRows = document.getElementById('glossaryRows');
+const glossaryProblemList = document.getElementById('glossaryProblems');
+const addGlossaryRuleButton = document.getElementById('addGlossaryRule');
+const checkGlossaryButton = document.getElementById('checkGlossary');
+const saveGlossaryButton = document.getElementById('saveGlossary');
+const renameSelectedButton = document.getElementById('renameSelected');
+const renameAllButton = document.getElementById('renameAll');
+const undoRenameButton = document.getElementById('undoRename');
+const renameDialog = document.getElementById('renameDialog');
+const renameSummary = document.getElementById('renameSummary');
+const renamePreview = document.getElementById('renamePreview');
+const filterQueryInput = document.getElementById('filterQuery');
+const filterModeSelect = document.getElementById('filterMode');
+const filterFieldSelect = document.getElementById('filterField');
+const untranslatedOnlyInput = document.getElementById('untranslatedOnly');
+const searchSubfoldersButton = document.getElementById('searchSubfolders');
+const searchDbButton = document.getElementById('searchDb');
+const searchResults = document.getElementById('searchResults');
+const searchSummary = document.getElementById('searchSummary');
+const searchResultList = document.getElementById('searchResultList');
+const cancelSearchButton = document.getElementById('cancelSearch');
+const closeSearchButton = document.getElementById('closeSearch');
 const status = document.getElementById('status');
+const translationCoverage = document.getElementById('translationCoverage');
 
 const STATE_KEY = 'fileexp_open_config';
+const LAUNCHERS_KEY = 'fileexp_launchers';
 const TRANSLATION_DB_KEY = 'fileexp_translation_db';
+const TRANSLATION_TARGET_KEY = 'fileexp_translation_target';
+const TRANSLATOR_KEY = 'fileexp_translator_config';
+const GENERATOR_KEY = 'fileexp_generator_settings';
+const SORT_KEY = 'fileexp_sort_state';
+const DEFAULT_SORT = { key: 'name', direction: 'asc' };
+const KEYMAP_KEY = 'fileexp_keymap';
+const TABS_KEY = 'fileexp_tabs';
+const VIEW_KEY = 'fileexp_view';
+const MAX_SAVED_HISTORY = 50;
+const TYPE_AHEAD_RESET_MS = 700;
+const PAGE_SIZE = 10;
+const PREVIEW_DELAY_MS = 150;
+
+// Action → key combo. Combos are modifier names in Ctrl, Alt, Shift, Meta order
+// followed by KeyboardEvent.key, e.g. "Alt+ArrowLeft".
+const DEFAULT_KEYMAP = {
+  back: 'Alt+ArrowLeft',
+  forward: 'Alt+ArrowRight',
+  parent: 'Backspace',
+  open: 'Enter',
+  refresh: 'F5',
+  focusPath: 'Ctrl+l',
+  selectAll: 'Ctrl+a',
+  copy: 'Ctrl+c',
+  cut: 'Ctrl+x',
+  paste: 'Ctrl+v',
+  trash: 'Delete',
+  rename: 'F2',
+  newFolder: 'Ctrl+Shift+n',
+  newTab: 'Ctrl+t',
+  closeTab: 'Ctrl+w',
+  nextTab: 'Ctrl+Tab',
+  previousTab: 'Ctrl+Shift+Tab',
+  switchPane: 'F6',
+  copyToOtherPane: 'Ctrl+Shift+c',
+  moveToOtherPane: 'Ctrl+Shift+m',
+  editTranslation: 'Shift+F2'
+};
 
+const KEYMAP_LABELS = {
+  back: 'Back',
+  forward: 'Forward',
+  parent: 'Parent directory',
+  open: 'Open',
+  refresh: 'Refresh',
+  focusPath: 'Edit path',
+  selectAll: 'Select all',
+  copy: 'Copy',
+  cut: 'Cut',
+  paste: 'Paste',
+  trash: 'Delete to trash',
+  rename: 'Rename',
+  newFolder: 'New folder',
+  newTab: 'New tab',
+  closeTab: 'Close tab',
+  nextTab: 'Next tab',
+  previousTab: 'Previous tab',
+  switchPane: 'Switch pane',
+  copyToOtherPane: 'Copy to other pane',
+  moveToOtherPane: 'Move to other pane',
+  editTranslation: 'Edit translation'
+};
+
+// Each pane owns one file list; its tabs take turns rendering into it. The
+// listing state below (entries, selection, focus) always belongs to the
+// pane's active tab.
+const panes = [];
+let activePane = null;
+let dualPane = false;
+let nextTabId = 0;
+let activeSearchId = null;
+let searchHitCount = 0;
+let launcherConfig = { launchers: [], rules: [], systemFallback: true };
+let keymap = { ...DEFAULT_KEYMAP };
+let nextEntryId = 0;
+let typeAheadBuffer = '';
+let typeAheadTimer = null;
+let clipboard = null;
+let activeJobId = null;
+let coverageTimer = null;
+let gridView = false;
+let previewOpen = false;
+let previewTimer = null;
+let previewRequest = 0;
+let previewedPath = null;
 const setStatus = (message, type = 'info') => {
   status.textContent = message;
   status.dataset.type = type;
 };
 
-const loadConfig = () => {
+// Older versions stored a single `{ program, args }` pair under STATE_KEY; it
+// becomes the first launcher and keeps being used when no rule matches.
+const migrateOpenConfig = () => {
   const saved = window.localStorage.getItem(STATE_KEY);
-  if (!saved) return;
+  if (!saved) return null;
   try {
     const { program, args } = JSON.parse(saved);
-    programPathInput.value = program || '';
-    programArgsInput.value = args || '';
+    if (!program) return null;
+    return {
+      launchers: [{ id: 'default', name: 'Default', program, args: args || '' }],
+      rules: [],
+      systemFallback: false
+    };
+  } catch (error) {
+    console.warn('Failed to load config', error);
+    return null;
+  }
+};
+
+const loadConfig = () => {
+  const saved = window.localStorage.getItem(LAUNCHERS_KEY);
+  if (!saved) {
+    launcherConfig = migrateOpenConfig() || launcherConfig;
+    return;
+  }
+  try {
+    const parsed = JSON.parse(saved);
+    launcherConfig = {
+      launchers: Array.isArray(parsed.launchers) ? parsed.launchers : [],
+      rules: Array.isArray(parsed.rules) ? parsed.rules : [],
+      systemFallback: parsed.systemFallback !== false
+    };
   } catch (error) {
     console.warn('Failed to load config', error);
   }
 };
 
+const loadTranslatorConfig = () => {
+  const saved = window.localStorage.getItem(TRANSLATOR_KEY);
+  if (!saved) return;
+  try {
+    const { endpoint, model, certPath, clientCertPath, clientKeyPath, substitutionsPath, nameRulesPath, auto } =
+      JSON.parse(saved);
+    translatorEndpointInput.value = endpoint || '';
+    translatorModelInput.value = model || '';
+    translatorCertInput.value = certPath || '';
+    translatorClientCertInput.value = clientCertPath || '';
+    translatorClientKeyInput.value = clientKeyPath || '';
+    translatorSubstitutionsInput.value = substitutionsPath || '';
+    translatorNameRulesInput.value = nameRulesPath || '';
+    autoTranslateInput.checked = Boolean(auto);
+  } catch (error) {
+    console.warn('Failed to load translator config', error);
+  }
+};
+
+const getTranslatorConfig = () => ({
+  endpoint: translatorEndpointInput.value.trim(),
+  model: translatorModelInput.value.trim(),
+  certPath: translatorCertInput.value.trim(),
+  clientCertPath: translatorClientCertInput.value.trim(),
+  clientKeyPath: translatorClientKeyInput.value.trim(),
+  substitutionsPath: translatorSubstitutionsInput.value.trim(),
+  nameRulesPath: translatorNameRulesInput.value.trim()
+});
+
+// The proxy's client cert applies to the generator too; the API key is added
+// by the main process.
+const getProxyClientCert = () => {
+  const { clientCertPath, clientKeyPath } = getTranslatorConfig();
+  return { clientCertPath, clientKeyPath };
+};
+
+// The API key is handed to the main process and never kept in the page; the
+// placeholder tells whether one is saved.
+const showProxyKeyStatus = ({ hasKey, canPersist }) => {
+  translatorApiKeyInput.value = '';
+  translatorApiKeyInput.placeholder = hasKey ? 'API key saved' : 'API key';
+  translatorApiKeyInput.title = canPersist
+    ? 'Stored encrypted. Clear the field and press Enter to remove it.'
+    : 'No system keychain: the key is forgotten when the app quits.';
+};
+
+const saveProxyKey = async () => {
+  const response = await window.fileExp.setProxyKey(translatorApiKeyInput.value);
+  if (!response.ok) {
+    setStatus(response.message || 'Failed to save the API key.', 'error');
+    return;
+  }
+  showProxyKeyStatus(await window.fileExp.getProxyCredentials());
+  setStatus(response.saved ? 'API key saved.' : 'API key removed.', 'success');
+};
+
+const saveTranslatorConfig = () => {
+  const payload = { ...getTranslatorConfig(), auto: autoTranslateInput.checked };
+  window.localStorage.setItem(TRANSLATOR_KEY, JSON.stringify(payload));
+};
+
+// Fields left empty fall back to the live translator's settings, then to the
+// generator's own defaults.
+const loadGeneratorSettings = () => {
+  let saved = {};
+  try {
+    saved = JSON.parse(window.localStorage.getItem(GENERATOR_KEY)) || {};
+  } catch (error) {
+    console.warn('Failed to load generator settings', error);
+  }
+  const translator = getTranslatorConfig();
+  return {
+    provider: saved.provider || 'google',
+    endpoint: saved.endpoint || translator.endpoint,
+    model: saved.model || translator.model,
+    certPath: saved.certPath || translator.certPath,
+    openaiEndpoint: saved.openaiEndpoint || '',
+    openaiModel: saved.openaiModel || '',
+    deeplEndpoint: saved.deeplEndpoint || '',
+    dictionaryPath: saved.dictionaryPath || '',
+    substitutionsPath: saved.substitutionsPath || translator.substitutionsPath,
+    nameRulesPath: saved.nameRulesPath || translator.nameRulesPath,
+    batchSize: saved.batchSize || '',
+    batchDelayMs: saved.batchDelayMs ?? '',
+    rateLimitDelayMs: saved.rateLimitDelayMs ?? '',
+    maxAttempts: saved.maxAttempts || '',
+    target: saved.target || '',
+    sources: saved.sources || '',
+    useHash: Boolean(saved.useHash)
+  };
+};
+
+const readGeneratorSettings = () => {
+  const settings = { useHash: generatorHashInput.checked };
+  Object.entries(generatorInputs).forEach(([key, input]) => {
+    settings[key] = input.value.trim();
+  });
+  return settings;
+};
+
+const readGeneratorKeys = () =>
+  Object.fromEntries(Object.entries(generatorKeyInputs).map(([key, input]) => [key, input.value.trim()]));
+
 const loadTranslationDbPath = () => window.localStorage.getItem(TRANSLATION_DB_KEY);
 
 const saveConfig = () => {
-  const payload = {
-    program: programPathInput.value.trim(),
-    args: programArgsInput.value.trim()
-  };
-  window.localStorage.setItem(STATE_KEY, JSON.stringify(payload));
-  setStatus('Open command saved.', 'success');
+  window.localStorage.setItem(LAUNCHERS_KEY, JSON.stringify(launcherConfig));
+  setStatus('Launchers saved.', 'success');
 };
 
 const saveTranslationDbPath = () => {
@@ -57,143 +396,2507 @@ const loadTranslationDb = async (filePath) => {
     setStatus(response.message || 'Failed to load translation DB.', 'error');
     return;
   }
-  setStatus(`Loaded ${response.count} translations`, 'success');
+  if (response.path !== filePath) {
+    translationDbPathInput.value = response.path;
+    saveTranslationDbPath();
+  }
+  showTranslationTargets(response.targets);
+  const imported = response.imported > 0 ? ` (imported from ${filePath})` : '';
+  setStatus(`Loaded ${response.count} ${response.target} translations${imported}`, 'success');
 };
 
-const getOpenConfig = () => ({
-  program: programPathInput.value.trim(),
-  args: programArgsInput.value.trim()
-});
+// Offers the languages the DB already has translations in.
+const showTranslationTargets = (targets = []) => {
+  translationTargetList.replaceChildren(
+    ...targets.map(({ target, count }) => {
+      const option = document.createElement('option');
+      option.value = target;
+      option.label = `${count} translations`;
+      return option;
+    })
+  );
+};
 
-const renderEntries = async (directory, entries) => {
-  fileList.innerHTML = '';
-  currentPathInput.value = directory;
+const setTranslationTarget = async (target, { reload = true } = {}) => {
+  const response = await window.fileExp.setTranslationTarget(target);
+  if (!response.ok) {
+    setStatus(response.message || 'Failed to switch the translation language.', 'error');
+    return false;
+  }
+  translationTargetInput.value = response.target;
+  window.localStorage.setItem(TRANSLATION_TARGET_KEY, response.target);
+  showTranslationTargets(response.targets);
+  if (reload) {
+    await Promise.all(panes.filter((pane) => !pane.root.hidden).map(reloadPane));
+    setStatus(`Showing ${response.count} ${response.target} translations.`, 'success');
+  }
+  return true;
+};
 
-  for (const entry of entries) {
-    const listItem = document.createElement('li');
-    listItem.className = entry.isDirectory ? 'entry entry--dir' : 'entry';
-    listItem.dataset.path = entry.fullPath;
-    listItem.dataset.isdir = entry.isDirectory ? 'true' : 'false';
+const SYSTEM_LAUNCHER = { id: 'system', name: 'System default' };
+
+const ruleMatches = (pattern, name) => {
+  const parts = pattern
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+  return parts.some((part) => {
+    const glob = /[*?]/.test(part) ? part : `*.${part.replace(/^\./, '')}`;
+    return window.nameMatcher.createNameMatcher({ query: glob, mode: 'glob', field: 'original' })({ name });
+  });
+};
+
+const resolveLauncher = (entry) => {
+  const rule = launcherConfig.rules.find((item) => item.pattern && ruleMatches(item.pattern, entry.name));
+  const ruled = rule && launcherConfig.launchers.find((launcher) => launcher.id === rule.launcherId);
+  if (ruled) return ruled;
+  if (rule?.launcherId === SYSTEM_LAUNCHER.id || launcherConfig.systemFallback) return SYSTEM_LAUNCHER;
+  return launcherConfig.launchers[0] || SYSTEM_LAUNCHER;
+};
+
+const openEntry = async (entry, launcher = resolveLauncher(entry)) => {
+  const response = await window.fileExp.openFile(
+    launcher.id === SYSTEM_LAUNCHER.id
+      ? { filePath: entry.fullPath, useSystemDefault: true }
+      : { filePath: entry.fullPath, program: launcher.program, args: launcher.args }
+  );
+
+  if (!response.ok) {
+    setStatus(response.message || 'Failed to open file.', 'error');
+    return;
+  }
+  setStatus(`Opened with ${launcher.name || launcher.program}.`, 'success');
+};
+
+const STATUS_BADGES = {
+  translated: 'Translated',
+  cached: 'Cached',
+  manual: 'Edited',
+  pending: 'Pending',
+  failed: 'Failed',
+  missing: 'Untranslated',
+  skipped: 'Not needed'
+};
+
+const DONE_STATUSES = ['translated', 'manual', 'skipped'];
+
+// Entries whose lookup has not come back yet count as untranslated until it
+// does.
+const isUntranslated = (entry) => !DONE_STATUSES.includes(entry.translation?.status);
+
+// Cached translations come from another path with the same name, so they get
+// their own badge.
+const showTranslation = (cell, result) => {
+  const status = result?.status || 'missing';
+  const badgeStatus = result?.cached ? 'cached' : status;
+  const badge = document.createElement('span');
+  badge.className = 'entry__badge';
+  badge.dataset.status = badgeStatus;
+  badge.textContent = STATUS_BADGES[badgeStatus] || status;
+  badge.title = result?.error || '';
+  const text = document.createElement('span');
+  text.className = 'entry__translation-text';
+  text.textContent = result?.translated || (status === 'pending' ? 'Translating...' : '');
+  cell.dataset.status = status;
+  cell.title = result?.error || '';
+  cell.replaceChildren(text, badge);
+};
+
+const formatCoverage = (entries) => {
+  const counts = { total: 0, translated: 0, failed: 0, pending: 0 };
+  entries.forEach((entry) => {
+    const entryStatus = entry.translation?.status;
+    if (entryStatus === 'skipped') return;
+    counts.total += 1;
+    if (entryStatus === 'translated' || entryStatus === 'manual') counts.translated += 1;
+    if (entryStatus === 'failed') counts.failed += 1;
+    if (entryStatus === 'pending') counts.pending += 1;
+  });
+  if (counts.total === 0) return entries.length > 0 ? 'Nothing to translate' : '';
+  const parts = [`${counts.translated}/${counts.total} translated`];
+  if (counts.failed > 0) parts.push(`${counts.failed} failed`);
+  if (counts.pending > 0) parts.push(`${counts.pending} translating`);
+  return parts.join(', ');
+};
+
+const updateCoverage = () => {
+  coverageTimer = null;
+  const pane = getTargetPane();
+  translationCoverage.textContent = pane?.directory ? formatCoverage(pane.entries) : '';
+};
+
+// Lookups resolve one entry at a time, so large directories recount once per
+// batch instead of once per entry.
+const scheduleCoverageUpdate = () => {
+  if (coverageTimer) return;
+  coverageTimer = setTimeout(updateCoverage, 100);
+};
+
+const requestTranslations = async (entries, { append = false } = {}) => {
+  const items = entries.map((entry) => ({ filePath: entry.fullPath, isDirectory: entry.isDirectory }));
+  if (items.length === 0) return;
+  const response = await window.fileExp.translateEntries({
+    items,
+    config: getTranslatorConfig(),
+    append
+  });
+  if (!response.ok) {
+    setStatus(response.message || 'Failed to start translation.', 'error');
+    return;
+  }
+  if (response.queued === 0) {
+    if (!append) setStatus('Nothing left to translate in this directory.', 'info');
+    return;
+  }
+  const suffix = response.persisted ? '' : ' (no translation DB loaded, results will not be saved)';
+  setStatus(`Translating ${response.queued} entries${suffix}`, 'info');
+};
+
+const loadSortStates = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(SORT_KEY)) || {};
+  } catch (error) {
+    console.warn('Failed to load sort state', error);
+    return {};
+  }
+};
+
+const loadSortState = (directory) => ({ ...DEFAULT_SORT, ...loadSortStates()[directory] });
+
+const saveSortState = (directory, state) => {
+  const states = loadSortStates();
+  states[directory] = state;
+  window.localStorage.setItem(SORT_KEY, JSON.stringify(states));
+};
+
+// Volume and chapter numbers sort as numbers; a name with several sorts by the first.
+const numericField = (value) => {
+  const number = Number.parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const sortValues = {
+  name: (entry) => entry.name,
+  translation: (entry) => entry.translated || entry.name,
+  circle: (entry) => entry.nameFields?.circle,
+  event: (entry) => entry.nameFields?.event,
+  volume: (entry) => numericField(entry.nameFields?.volume),
+  chapter: (entry) => numericField(entry.nameFields?.chapter),
+  version: (entry) => entry.nameFields?.version,
+  size: (entry) => entry.size,
+  modified: (entry) => entry.modifiedAt,
+  created: (entry) => entry.createdAt,
+  type: (entry) => entry.extension,
+  children: (entry) => entry.childCount,
+  target: (entry) => entry.linkTarget
+};
+
+// Directories always stay above files; missing values sort last in either direction.
+const entryComparator = (sortState) => (a, b) => {
+  if (a.isDirectory !== b.isDirectory) {
+    return a.isDirectory ? -1 : 1;
+  }
+  const getValue = sortValues[sortState.key] || sortValues.name;
+  const left = getValue(a);
+  const right = getValue(b);
+  const leftMissing = left === null || left === undefined || left === '';
+  const rightMissing = right === null || right === undefined || right === '';
+  if (leftMissing || rightMissing) {
+    if (leftMissing !== rightMissing) return leftMissing ? 1 : -1;
+    return a.name.localeCompare(b.name);
+  }
+  const order = typeof left === 'number' ? left - right : `${left}`.localeCompare(`${right}`);
+  const directed = sortState.direction === 'desc' ? -order : order;
+  return directed || a.name.localeCompare(b.name);
+};
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+const formatDate = (ms) => (ms ? new Date(ms).toLocaleString() : '');
+
+// Columns filled from the name parser's fields, in header order.
+const NAME_FIELD_COLUMNS = ['circle', 'event', 'volume', 'chapter', 'version'];
+
+const createMetaCell = (text, { numeric = false, title } = {}) => {
+  const cell = document.createElement('span');
+  cell.className = numeric ? 'entry__meta entry__meta--number' : 'entry__meta';
+  cell.textContent = text;
+  if (title) cell.title = title;
+  return cell;
+};
 
-    const nameSpan = document.createElement('span');
-    nameSpan.textContent = entry.name;
-    nameSpan.className = 'entry__name';
+// Shown in grid view only. Tiles load their thumbnail once they scroll near
+// the viewport; until then, and for files without one, they show the type.
+const createThumbnailCell = (entry) => {
+  const cell = document.createElement('span');
+  cell.className = 'entry__thumb';
+  cell.textContent = entry.isDirectory ? 'Folder' : entry.extension.toUpperCase();
+  return cell;
+};
+
+const loadThumbnail = async (item) => {
+  item.dataset.thumbnail = 'loading';
+  const result = await window.fileExp.getThumbnail(item.dataset.path);
+  const cell = item.querySelector('.entry__thumb');
+  item.dataset.thumbnail = result?.ok ? 'loaded' : 'none';
+  if (!result?.ok) {
+    cell.title = result?.message || '';
+    return;
+  }
+  const image = document.createElement('img');
+  image.alt = '';
+  image.src = result.url;
+  cell.replaceChildren(image);
+};
+
+const observeThumbnail = (pane, item) => {
+  if (item.dataset.isdir === 'true' || item.dataset.thumbnail) return;
+  pane.thumbnailObserver.observe(item);
+};
+
+const getOtherPane = (pane) => panes[1 - pane.index];
+
+const getTargetPane = () => activePane || panes[0];
+
+const baseName = (directory) => {
+  const parts = directory.split(/[\\/]/).filter(Boolean);
+  return parts[parts.length - 1] || directory;
+};
+
+const createTab = (directory = null, { backStack = [], forwardStack = [] } = {}) => ({
+  id: `tab-${nextTabId++}`,
+  directory,
+  backStack: [...backStack],
+  forwardStack: [...forwardStack],
+  sortState: directory ? loadSortState(directory) : { ...DEFAULT_SORT }
+});
+
+const saveTabs = () => {
+  const payload = {
+    dualPane,
+    activePane: getTargetPane().index,
+    panes: panes.map((pane) => ({
+      activeTab: pane.tabs.indexOf(pane.activeTab),
+      tabs: pane.tabs.map((tab) => ({
+        directory: tab.directory,
+        backStack: tab.backStack.slice(-MAX_SAVED_HISTORY),
+        forwardStack: tab.forwardStack.slice(-MAX_SAVED_HISTORY)
+      }))
+    }))
+  };
+  window.localStorage.setItem(TABS_KEY, JSON.stringify(payload));
+};
 
-    listItem.appendChild(nameSpan);
+const loadSavedTabs = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(TABS_KEY));
+  } catch (error) {
+    console.warn('Failed to load tabs', error);
+    return null;
+  }
+};
 
-    const translated = document.createElement('span');
-    translated.className = 'entry__translation';
-    listItem.appendChild(translated);
+const renderTabs = (pane) => {
+  pane.tabBar.innerHTML = '';
+  pane.tabs.forEach((tab) => {
+    const item = document.createElement('div');
+    item.className = 'tab';
+    item.setAttribute('role', 'tab');
+    item.setAttribute('aria-selected', tab === pane.activeTab ? 'true' : 'false');
+    item.title = tab.directory || '';
+    item.addEventListener('click', () => switchTab(pane, tab));
 
-    if (!entry.isDirectory) {
-      console.info('Translation lookup queued', {
-        original: entry.name
+    const label = document.createElement('span');
+    label.className = 'tab__label';
+    label.textContent = tab.directory ? baseName(tab.directory) : 'New tab';
+    item.appendChild(label);
+    if (tab.directory) {
+      window.fileExp.getTranslation(tab.directory, true).then((result) => {
+        if (result?.translated) label.textContent = result.translated;
       });
-      window.fileExp.getTranslation(entry.fullPath).then((result) => {
-        if (result?.translated) {
-          translated.textContent = result.translated;
-          console.info('Translated filename (from DB)', {
-            original: entry.name,
-            translated: result.translated
-          });
-          return;
-        }
-        console.info('No translation for filename (DB)', {
-          original: entry.name,
-          status: result?.status || 'missing'
-        });
+    }
+
+    if (pane.tabs.length > 1) {
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = 'tab__close';
+      close.textContent = '×';
+      close.setAttribute('aria-label', 'Close tab');
+      close.addEventListener('click', (event) => {
+        event.stopPropagation();
+        closeTab(pane, tab);
       });
+      item.appendChild(close);
+    }
+    pane.tabBar.appendChild(item);
+  });
+};
+
+const updateSortHeader = (pane) => {
+  const { sortState } = pane.activeTab;
+  pane.listHeader.querySelectorAll('[data-sort]').forEach((button) => {
+    const active = button.dataset.sort === sortState.key;
+    if (active) {
+      button.dataset.direction = sortState.direction;
+    } else {
+      delete button.dataset.direction;
     }
+    button.setAttribute('aria-sort', active ? (sortState.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+  });
+};
+
+const findEntryItem = (pane, fullPath) => pane.entryItems.get(fullPath) || null;
+
+const resortEntries = (pane) => {
+  pane.entries.sort(entryComparator(pane.activeTab.sortState));
+  pane.lastSelectedIndex = -1;
+  pane.entries.forEach((entry) => {
+    const item = findEntryItem(pane, entry.fullPath);
+    if (item) pane.fileList.appendChild(item);
+  });
+};
+
+const createEntryItem = (pane, entry) => {
+  const listItem = document.createElement('li');
+  listItem.className = entry.isDirectory ? 'entry entry--dir' : 'entry';
+  listItem.dataset.path = entry.fullPath;
+  listItem.dataset.isdir = entry.isDirectory ? 'true' : 'false';
+  listItem.id = `entry-${nextEntryId++}`;
+  listItem.setAttribute('role', 'option');
+  listItem.draggable = true;
+  listItem.setAttribute('aria-selected', pane.selectedPaths.has(entry.fullPath) ? 'true' : 'false');
+  listItem.appendChild(createThumbnailCell(entry));
+  pane.entryItems.set(entry.fullPath, listItem);
+
+  const nameSpan = document.createElement('span');
+  nameSpan.textContent = entry.name;
+  nameSpan.className = 'entry__name';
+
+  listItem.appendChild(nameSpan);
+
+  const translated = document.createElement('span');
+  translated.className = 'entry__translation';
+  listItem.appendChild(translated);
+  pane.translationCells.set(entry.fullPath, translated);
+
+  const fieldCells = NAME_FIELD_COLUMNS.map((field) => {
+    const cell = createMetaCell('', { numeric: field === 'volume' || field === 'chapter' });
+    listItem.appendChild(cell);
+    return [field, cell];
+  });
+
+  listItem.appendChild(createMetaCell(formatSize(entry.size), { numeric: true }));
+  listItem.appendChild(createMetaCell(formatDate(entry.modifiedAt)));
+  listItem.appendChild(createMetaCell(formatDate(entry.createdAt)));
+  listItem.appendChild(createMetaCell(entry.isDirectory ? 'Folder' : entry.extension));
+  listItem.appendChild(
+    createMetaCell(entry.childCount === null || entry.childCount === undefined ? '' : `${entry.childCount}`, {
+      numeric: true
+    })
+  );
+  listItem.appendChild(createMetaCell(entry.linkTarget || '', { title: entry.linkTarget || '' }));
+
+  window.fileExp.getTranslation(entry.fullPath, entry.isDirectory).then((result) => {
+    if (pane.translationCells.get(entry.fullPath) !== translated) return;
+    entry.translation = result || { status: 'missing', translated: null };
+    if (result?.translated) entry.translated = result.translated;
+    entry.nameFields = result?.fields || {};
+    fieldCells.forEach(([field, cell]) => {
+      cell.textContent = entry.nameFields[field] || '';
+      cell.title = entry.nameFields[field] || '';
+    });
+    showTranslation(translated, entry.translation);
+    if (isFiltering() && entryFilter) listItem.hidden = !entryFilter(entry);
+    scheduleCoverageUpdate();
+  });
+
+  if (gridView) observeThumbnail(pane, listItem);
+  return listItem;
+};
+
+const renderEntries = (pane, directory, entries) => {
+  pane.thumbnailObserver.disconnect();
+  pane.fileList.innerHTML = '';
+  pane.entryItems.clear();
+  pane.translationCells.clear();
+  pane.selectedPaths.clear();
+  pane.lastSelectedIndex = -1;
+  pane.focusedPath = null;
+  pane.fileList.removeAttribute('aria-activedescendant');
+  pane.entries = entries;
+  pane.directory = directory;
+
+  for (const entry of entries) {
+    pane.fileList.appendChild(createEntryItem(pane, entry));
+  }
+};
+
+const insertEntry = (pane, entry) => {
+  if (pane.entries.some((existing) => existing.fullPath === entry.fullPath)) return;
+  const compare = entryComparator(pane.activeTab.sortState);
+  const index = pane.entries.findIndex((existing) => compare(entry, existing) < 0);
+  const position = index === -1 ? pane.entries.length : index;
+  const nextItem = position < pane.entries.length ? findEntryItem(pane, pane.entries[position].fullPath) : null;
+  pane.entries.splice(position, 0, entry);
+  pane.fileList.insertBefore(createEntryItem(pane, entry), nextItem);
+};
+
+const removeEntry = (pane, fullPath) => {
+  const index = pane.entries.findIndex((entry) => entry.fullPath === fullPath);
+  if (index === -1) return false;
+  pane.entries.splice(index, 1);
+  const item = findEntryItem(pane, fullPath);
+  if (item) {
+    pane.thumbnailObserver.unobserve(item);
+    item.remove();
+  }
+  pane.entryItems.delete(fullPath);
+  pane.translationCells.delete(fullPath);
+  if (pane.focusedPath === fullPath) pane.focusedPath = null;
+  return pane.selectedPaths.delete(fullPath);
+};
+
+const getFilterOptions = () => ({
+  query: filterQueryInput.value,
+  mode: filterModeSelect.value,
+  field: filterFieldSelect.value
+});
+
+const isFiltering = () => Boolean(filterQueryInput.value.trim()) || untranslatedOnlyInput.checked;
+
+const createEntryFilter = () => {
+  const matches = window.nameMatcher.createNameMatcher(getFilterOptions());
+  if (!untranslatedOnlyInput.checked) return matches;
+  return (entry) => isUntranslated(entry) && matches(entry);
+};
+
+// The filter `applyFilter` last built, for entries whose translation arrives
+// after it ran.
+let entryFilter = null;
+
+const showEntryCount = (pane) => {
+  const visible = pane.entries.filter((entry) => !findEntryItem(pane, entry.fullPath)?.hidden).length;
+  if (visible === pane.entries.length) {
+    setStatus(`Showing ${pane.entries.length} entries`, 'success');
+    return;
+  }
+  setStatus(`Showing ${visible} of ${pane.entries.length} entries`, 'success');
+};
+
+// The filter box applies to every visible pane; the status line reports the
+// pane that was just touched.
+const applyFilter = (pane = getTargetPane()) => {
+  let matches;
+  try {
+    matches = createEntryFilter();
+  } catch (error) {
+    setStatus(`Invalid filter: ${error.message}`, 'error');
+    return;
+  }
+  entryFilter = matches;
+  panes.forEach((target) => {
+    target.entries.forEach((entry) => {
+      const item = findEntryItem(target, entry.fullPath);
+      if (item) item.hidden = !matches(entry);
+    });
+  });
+  showEntryCount(pane);
+};
 
-    fileList.appendChild(listItem);
+// Applies watcher changes in place so the selection and scroll position survive.
+const applyDirectoryChanges = (pane, changes) => {
+  const added = [];
+  changes.forEach((change) => {
+    if (change.type === 'remove') {
+      removeEntry(pane, change.oldPath);
+      return;
+    }
+    const wasSelected = change.type === 'rename' ? removeEntry(pane, change.oldPath) : false;
+    insertEntry(pane, change.entry);
+    if (wasSelected) pane.selectedPaths.add(change.entry.fullPath);
+    added.push(change.entry);
+  });
+  pane.lastSelectedIndex = -1;
+  updateSelection(pane);
+  scheduleCoverageUpdate();
+  if (added.length > 0 && autoTranslateInput.checked) {
+    requestTranslations(added, { append: true });
   }
 };
 
-const loadDirectory = async (directoryPath) => {
+const renderBreadcrumbs = (pane, segments = []) => {
+  pane.breadcrumbs.innerHTML = '';
+  pane.parentDirectory = segments.length > 1 ? segments[segments.length - 2].fullPath : null;
+  segments.forEach((segment, index) => {
+    if (index > 0) {
+      const separator = document.createElement('span');
+      separator.className = 'breadcrumbs__separator';
+      separator.textContent = '›';
+      pane.breadcrumbs.appendChild(separator);
+    }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = segment.name;
+    button.title = segment.fullPath;
+    button.addEventListener('click', () => loadDirectory(pane, segment.fullPath));
+    pane.breadcrumbs.appendChild(button);
+
+    window.fileExp.getTranslation(segment.fullPath, true).then((result) => {
+      if (!result?.translated) return;
+      button.textContent = result.translated;
+      button.title = `${segment.name}\n${segment.fullPath}`;
+    });
+  });
+};
+
+// The toolbar path box and history buttons follow whichever pane is active.
+const updateToolbar = () => {
+  const pane = getTargetPane();
+  const tab = pane.activeTab;
+  currentPathInput.value = pane.directory || '';
+  backButton.disabled = !tab || tab.backStack.length === 0;
+  forwardButton.disabled = !tab || tab.forwardStack.length === 0;
+  copyToOtherPaneButton.disabled = !dualPane;
+  moveToOtherPaneButton.disabled = !dualPane;
+  toggleDualPaneButton.setAttribute('aria-pressed', dualPane ? 'true' : 'false');
+  scheduleCoverageUpdate();
+};
+
+const setActivePane = (pane) => {
+  if (activePane === pane) return;
+  activePane = pane;
+  panes.forEach((item) => item.root.classList.toggle('pane--active', item === pane));
+  updateToolbar();
+  saveTabs();
+  schedulePreviewUpdate();
+};
+
+// With both panes open, each pane queues its own translations instead of
+// replacing the other pane's queue.
+const loadDirectory = async (pane, directoryPath, { recordHistory = true } = {}) => {
+  const tab = pane.activeTab;
   try {
     setStatus('Loading...', 'info');
+    const previousDirectory = pane.directory;
     const result = await window.fileExp.listDirectory(directoryPath);
-    const sorted = result.entries.sort((a, b) => {
-      if (a.isDirectory !== b.isDirectory) {
-        return a.isDirectory ? -1 : 1;
-      }
-      return a.name.localeCompare(b.name);
-    });
-    await renderEntries(result.directory, sorted);
-    setStatus(`Showing ${sorted.length} entries`, 'success');
+    if (tab !== pane.activeTab) return false;
+    if (recordHistory && previousDirectory && previousDirectory !== result.directory) {
+      tab.backStack.push(previousDirectory);
+      tab.forwardStack.length = 0;
+    }
+    tab.directory = result.directory;
+    tab.sortState = loadSortState(result.directory);
+    updateSortHeader(pane);
+    const sorted = result.entries.sort(entryComparator(tab.sortState));
+    renderBreadcrumbs(pane, result.breadcrumbs);
+    renderEntries(pane, result.directory, sorted);
+    renderTabs(pane);
+    updateToolbar();
+    saveTabs();
+    applyFilter(pane);
+    window.fileExp.watchDirectory({ watchId: pane.watchId, directory: result.directory });
+    if (autoTranslateInput.checked) {
+      await requestTranslations(sorted, { append: dualPane });
+    } else if (!dualPane) {
+      window.fileExp.cancelTranslations();
+    }
+    return true;
   } catch (error) {
     setStatus(`Failed to load: ${error.message}`, 'error');
+    return false;
   }
 };
 
-fileList.addEventListener('dblclick', async (event) => {
-  const target = event.target.closest('.entry');
-  if (!target) return;
+const goBack = async (pane = getTargetPane()) => {
+  const tab = pane.activeTab;
+  if (tab.backStack.length === 0) return;
+  const target = tab.backStack.pop();
+  const previous = pane.directory;
+  if (await loadDirectory(pane, target, { recordHistory: false })) {
+    tab.forwardStack.push(previous);
+  } else {
+    tab.backStack.push(target);
+  }
+  updateToolbar();
+  saveTabs();
+};
 
-  const isDirectory = target.dataset.isdir === 'true';
-  const fullPath = target.dataset.path;
+const goForward = async (pane = getTargetPane()) => {
+  const tab = pane.activeTab;
+  if (tab.forwardStack.length === 0) return;
+  const target = tab.forwardStack.pop();
+  const previous = pane.directory;
+  if (await loadDirectory(pane, target, { recordHistory: false })) {
+    tab.backStack.push(previous);
+  } else {
+    tab.forwardStack.push(target);
+  }
+  updateToolbar();
+  saveTabs();
+};
 
-  if (isDirectory) {
-    loadDirectory(fullPath);
-    return;
+const switchTab = async (pane, tab) => {
+  setActivePane(pane);
+  if (pane.activeTab === tab) return;
+  pane.activeTab = tab;
+  pane.directory = null;
+  renderTabs(pane);
+  updateToolbar();
+  saveTabs();
+  if (tab.directory) {
+    await loadDirectory(pane, tab.directory, { recordHistory: false });
+  } else {
+    renderEntries(pane, null, []);
+    renderBreadcrumbs(pane, []);
   }
+};
 
-  const openConfig = getOpenConfig();
-  const response = await window.fileExp.openFile({
-    filePath: fullPath,
-    program: openConfig.program,
-    args: openConfig.args
-  });
+// New tabs open on the active pane's current directory, like a browser's
+// duplicate-tab, so the user can branch off without losing their place.
+const openTab = async (pane = getTargetPane(), directory = pane.directory) => {
+  const tab = createTab(directory);
+  pane.tabs.splice(pane.tabs.indexOf(pane.activeTab) + 1, 0, tab);
+  await switchTab(pane, tab);
+};
 
-  if (!response.ok) {
-    setStatus(response.message || 'Failed to open file.', 'error');
+const closeTab = async (pane = getTargetPane(), tab = pane.activeTab) => {
+  if (pane.tabs.length <= 1) return;
+  const index = pane.tabs.indexOf(tab);
+  pane.tabs.splice(index, 1);
+  if (pane.activeTab !== tab) {
+    renderTabs(pane);
+    saveTabs();
     return;
   }
-  setStatus('File opened with custom command.', 'success');
-});
+  pane.activeTab = null;
+  await switchTab(pane, pane.tabs[Math.min(index, pane.tabs.length - 1)]);
+};
 
-browseButton.addEventListener('click', async () => {
-  const chosen = await window.fileExp.selectDirectory();
-  if (chosen) {
-    loadDirectory(chosen);
-  }
-});
+const cycleTab = (offset, pane = getTargetPane()) => {
+  const index = pane.tabs.indexOf(pane.activeTab);
+  const next = pane.tabs[(index + offset + pane.tabs.length) % pane.tabs.length];
+  switchTab(pane, next);
+};
 
-refreshButton.addEventListener('click', () => {
-  if (currentPathInput.value.trim()) {
-    loadDirectory(currentPathInput.value.trim());
+const setDualPane = async (enabled) => {
+  dualPane = enabled;
+  panesContainer.classList.toggle('panes--dual', enabled);
+  const [, second] = panes;
+  second.root.hidden = !enabled;
+  if (enabled && !second.directory) {
+    const first = panes[0];
+    second.activeTab.directory = second.activeTab.directory || first.directory;
+    if (second.activeTab.directory) {
+      await loadDirectory(second, second.activeTab.directory, { recordHistory: false });
+    }
   }
-});
+  if (!enabled && activePane === second) setActivePane(panes[0]);
+  updateToolbar();
+  saveTabs();
+};
 
-saveConfigButton.addEventListener('click', saveConfig);
+const saveViewSettings = () => {
+  window.localStorage.setItem(VIEW_KEY, JSON.stringify({ grid: gridView, preview: previewOpen }));
+};
 
-browseTranslationDbButton.addEventListener('click', async () => {
-  const chosen = await window.fileExp.selectTranslationDb();
-  if (chosen) {
-    translationDbPathInput.value = chosen;
+const loadViewSettings = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(VIEW_KEY)) || {};
+  } catch (error) {
+    console.warn('Failed to load view settings', error);
+    return {};
   }
-});
+};
 
-loadTranslationDbButton.addEventListener('click', async () => {
-  saveTranslationDbPath();
-  await loadTranslationDb(translationDbPathInput.value.trim());
-});
+// Thumbnails are only requested in grid view.
+const setGridView = (enabled) => {
+  gridView = enabled;
+  toggleGridButton.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+  panes.forEach((pane) => {
+    pane.root.classList.toggle('pane--grid', enabled);
+    if (!enabled) {
+      pane.thumbnailObserver.disconnect();
+      return;
+    }
+    pane.fileList.querySelectorAll('.entry').forEach((item) => observeThumbnail(pane, item));
+  });
+  saveViewSettings();
+};
 
-currentPathInput.addEventListener('keydown', (event) => {
-  if (event.key === 'Enter') {
-    loadDirectory(currentPathInput.value.trim());
-  }
-});
+const setPreviewOpen = (open) => {
+  previewOpen = open;
+  previewPane.hidden = !open;
+  togglePreviewButton.setAttribute('aria-pressed', open ? 'true' : 'false');
+  saveViewSettings();
+  schedulePreviewUpdate();
+};
+
+// Entries per grid row, from where the tiles were laid out; 1 in list view.
+const rowLength = (pane) => {
+  if (!gridView) return 1;
+  const items = Array.from(pane.fileList.querySelectorAll('.entry:not([hidden])'));
+  const top = items[0]?.offsetTop;
+  const nextRow = items.findIndex((item) => item.offsetTop !== top);
+  return nextRow === -1 ? Math.max(1, items.length) : nextRow;
+};
+
+const switchPane = () => {
+  if (!dualPane) return;
+  const other = getOtherPane(getTargetPane());
+  setActivePane(other);
+  other.fileList.focus();
+};
+
+const updateSelection = (pane) => {
+  pane.fileList.querySelectorAll('.entry').forEach((item) => {
+    const selected = pane.selectedPaths.has(item.dataset.path);
+    item.classList.toggle('entry--selected', selected);
+    item.classList.toggle('entry--focused', item.dataset.path === pane.focusedPath);
+    item.setAttribute('aria-selected', selected ? 'true' : 'false');
+  });
+};
+
+const getSelectedEntries = (pane = getTargetPane()) =>
+  pane.entries.filter((entry) => pane.selectedPaths.has(entry.fullPath));
+
+const renderRenamePreview = (plan) => {
+  renamePreview.innerHTML = '';
+  plan.forEach((item) => {
+    const row = document.createElement('tr');
+    row.dataset.action = item.action;
+    [item.oldName, item.newName || '—', item.reason || ''].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    renamePreview.appendChild(row);
+  });
+  const renameCount = plan.filter((item) => item.action === 'rename').length;
+  renameSummary.textContent = `${renameCount} of ${plan.length} entries will be renamed.`;
+};
+
+// Labels for the name parser's fields; fields from custom rules show their
+// own name.
+const NAME_FIELD_LABELS = {
+  circle: 'Circle',
+  event: 'Event',
+  volume: 'Volume',
+  chapter: 'Chapter',
+  version: 'Version',
+  tags: 'Tags'
+};
+
+const appendPreviewDetail = (label, value) => {
+  if (value === null || value === undefined || value === '') return;
+  const term = document.createElement('dt');
+  term.textContent = label;
+  const description = document.createElement('dd');
+  description.textContent = value;
+  previewDetails.append(term, description);
+};
+
+// One row per target language the DB has for the path.
+const renderPreviewEntries = (entries) => {
+  previewEntries.innerHTML = '';
+  if (entries.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 4;
+    cell.textContent = 'Not in the translation DB.';
+    row.appendChild(cell);
+    previewEntries.appendChild(row);
+    return;
+  }
+  entries.forEach((dbEntry) => {
+    const row = document.createElement('tr');
+    row.title = dbEntry.error_message || '';
+    const updated = dbEntry.updated_at ? formatDate(Date.parse(dbEntry.updated_at)) : '';
+    const status = STATUS_BADGES[dbEntry.status] || dbEntry.status || '';
+    [dbEntry.target, status, dbEntry.translated_name || '', updated].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    previewEntries.appendChild(row);
+  });
+};
+
+// Without a thumbnail the preview shows the type, with the reason on hover.
+const showPreviewImage = (entry, thumbnail) => {
+  const shown = Boolean(thumbnail?.ok);
+  previewImage.hidden = !shown;
+  if (shown) {
+    previewImage.src = thumbnail.url;
+  } else {
+    previewImage.removeAttribute('src');
+  }
+  previewPlaceholder.hidden = shown;
+  previewPlaceholder.textContent = entry.isDirectory ? 'Folder' : entry.extension.toUpperCase();
+  previewPlaceholder.title = thumbnail?.message || '';
+};
+
+const clearPreview = () => {
+  previewImage.hidden = true;
+  previewImage.removeAttribute('src');
+  previewPlaceholder.hidden = true;
+  previewName.textContent = 'Nothing selected';
+  previewTranslation.textContent = '';
+  previewDetails.innerHTML = '';
+  previewEntries.innerHTML = '';
+};
+
+// Shows the focused entry of the active pane: its thumbnail, both names, what
+// the name parser found and the translation DB's rows for it.
+const updatePreview = async () => {
+  previewTimer = null;
+  const pane = getTargetPane();
+  const entry = pane?.entries.find((item) => item.fullPath === pane.focusedPath);
+  const request = ++previewRequest;
+  previewedPath = entry?.fullPath || null;
+  if (!entry) {
+    clearPreview();
+    return;
+  }
+  previewName.textContent = entry.name;
+  showPreviewImage(entry, null);
+  const { translation, entries, pages } = await window.fileExp.getPreview(entry.fullPath, entry.isDirectory);
+  if (request !== previewRequest) return;
+  previewTranslation.textContent = translation.translated || '';
+  previewDetails.innerHTML = '';
+  const badgeStatus = translation.cached ? 'cached' : translation.status;
+  appendPreviewDetail('Status', STATUS_BADGES[badgeStatus] || badgeStatus);
+  appendPreviewDetail('Translated from', entries.find((dbEntry) => dbEntry.original_name)?.original_name);
+  appendPreviewDetail('Language', translation.language || entries.find((dbEntry) => dbEntry.language)?.language);
+  Object.entries(translation.fields || {}).forEach(([field, value]) =>
+    appendPreviewDetail(NAME_FIELD_LABELS[field] || field, value)
+  );
+  appendPreviewDetail('Size', formatSize(entry.size));
+  appendPreviewDetail('Pages', pages);
+  appendPreviewDetail('Items', entry.childCount);
+  appendPreviewDetail('Modified', formatDate(entry.modifiedAt));
+  appendPreviewDetail('Created', formatDate(entry.createdAt));
+  appendPreviewDetail('Error', translation.error);
+  renderPreviewEntries(entries);
+  if (entry.isDirectory) return;
+  const thumbnail = await window.fileExp.getThumbnail(entry.fullPath);
+  if (request === previewRequest) showPreviewImage(entry, thumbnail);
+};
+
+// Holding an arrow key moves focus faster than thumbnails render, so the
+// preview waits for focus to settle.
+const schedulePreviewUpdate = () => {
+  if (!previewOpen) return;
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(updatePreview, PREVIEW_DELAY_MS);
+};
+
+const reloadPane = (pane) => pane.directory && loadDirectory(pane, pane.directory, { recordHistory: false });
+
+const renameToTranslation = async (entries) => {
+  if (entries.length === 0) {
+    setStatus('Nothing selected to rename.', 'info');
+    return;
+  }
+  const preview = await window.fileExp.previewTranslationRenames(
+    entries.map((entry) => ({ filePath: entry.fullPath, isDirectory: entry.isDirectory }))
+  );
+  if (!preview.ok) {
+    setStatus(preview.message || 'Failed to build rename preview.', 'error');
+    return;
+  }
+  if (!preview.plan.some((item) => item.action === 'rename')) {
+    setStatus('No entries have a translation to rename to.', 'info');
+    return;
+  }
+
+  renderRenamePreview(preview.plan);
+  renameDialog.returnValue = '';
+  renameDialog.showModal();
+  await new Promise((resolve) => renameDialog.addEventListener('close', resolve, { once: true }));
+  if (renameDialog.returnValue !== 'confirm') return;
+
+  const response = await window.fileExp.applyTranslationRenames(preview.plan);
+  if (!response.ok) {
+    setStatus(response.message || 'Rename failed.', 'error');
+    return;
+  }
+  const failed = response.results.filter((result) => !result.ok);
+  await reloadPane(getTargetPane());
+  if (failed.length > 0) {
+    console.warn('Some renames failed', failed);
+    setStatus(`Renamed ${response.results.length - failed.length}, ${failed.length} failed: ${failed[0].message}`, 'error');
+    return;
+  }
+  setStatus(`Renamed ${response.results.length} entries.`, 'success');
+};
+
+const setFocusedEntry = (pane, fullPath) => {
+  pane.focusedPath = fullPath;
+  const item = fullPath ? findEntryItem(pane, fullPath) : null;
+  if (item) {
+    pane.fileList.setAttribute('aria-activedescendant', item.id);
+    item.scrollIntoView({ block: 'nearest' });
+  } else {
+    pane.fileList.removeAttribute('aria-activedescendant');
+  }
+  updateSelection(pane);
+  if (pane === getTargetPane()) schedulePreviewUpdate();
+};
+
+const getVisibleEntries = (pane) => pane.entries.filter((entry) => !findEntryItem(pane, entry.fullPath)?.hidden);
+
+const moveFocus = (pane, offset, { extend = false, keepSelection = false, absolute = null } = {}) => {
+  const visible = getVisibleEntries(pane);
+  if (visible.length === 0) return;
+  const current = visible.findIndex((entry) => entry.fullPath === pane.focusedPath);
+  let next = absolute !== null ? absolute : current === -1 ? 0 : current + offset;
+  next = Math.max(0, Math.min(visible.length - 1, next));
+  const target = visible[next];
+  const index = pane.entries.indexOf(target);
+
+  if (extend) {
+    if (pane.lastSelectedIndex === -1) pane.lastSelectedIndex = index;
+    const [start, end] = [pane.lastSelectedIndex, index].sort((a, b) => a - b);
+    pane.selectedPaths.clear();
+    pane.entries
+      .slice(start, end + 1)
+      .filter((entry) => !findEntryItem(pane, entry.fullPath)?.hidden)
+      .forEach((entry) => pane.selectedPaths.add(entry.fullPath));
+  } else if (!keepSelection) {
+    pane.selectedPaths.clear();
+    pane.selectedPaths.add(target.fullPath);
+    pane.lastSelectedIndex = index;
+  }
+  setFocusedEntry(pane, target.fullPath);
+};
+
+const toggleFocusedSelection = (pane) => {
+  const { focusedPath, selectedPaths } = pane;
+  if (!focusedPath) return;
+  if (selectedPaths.has(focusedPath)) {
+    selectedPaths.delete(focusedPath);
+  } else {
+    selectedPaths.add(focusedPath);
+  }
+  pane.lastSelectedIndex = pane.entries.findIndex((entry) => entry.fullPath === focusedPath);
+  updateSelection(pane);
+};
+
+// Type-ahead matches the start of the original or translated name, searching
+// forward from the entry after the focused one so repeated letters cycle.
+const typeAhead = (pane, character) => {
+  if (typeAheadTimer) clearTimeout(typeAheadTimer);
+  typeAheadTimer = setTimeout(() => {
+    typeAheadBuffer = '';
+  }, TYPE_AHEAD_RESET_MS);
+  const repeated = typeAheadBuffer.length === 1 && typeAheadBuffer === character.toLowerCase();
+  typeAheadBuffer = repeated ? typeAheadBuffer : `${typeAheadBuffer}${character.toLowerCase()}`;
+
+  const visible = getVisibleEntries(pane);
+  const current = visible.findIndex((entry) => entry.fullPath === pane.focusedPath);
+  const start = typeAheadBuffer.length === 1 ? current + 1 : Math.max(current, 0);
+  for (let offset = 0; offset < visible.length; offset += 1) {
+    const index = (start + offset) % visible.length;
+    const entry = visible[index];
+    const names = [entry.name, entry.translated].filter(Boolean).map((name) => name.toLowerCase());
+    if (names.some((name) => name.startsWith(typeAheadBuffer))) {
+      moveFocus(pane, 0, { absolute: index });
+      return;
+    }
+  }
+};
+
+const openFocusedEntry = async (pane) => {
+  const entry = pane.entries.find((item) => item.fullPath === pane.focusedPath);
+  if (!entry) return;
+  if (entry.isDirectory) {
+    await loadDirectory(pane, entry.fullPath);
+    return;
+  }
+  await openEntry(entry);
+};
+
+const goToParent = async (pane) => {
+  if (!pane.parentDirectory) return;
+  const child = pane.directory;
+  if (await loadDirectory(pane, pane.parentDirectory)) {
+    revealEntry(pane, child);
+  }
+};
+
+const selectAllEntries = (pane) => {
+  getVisibleEntries(pane).forEach((entry) => pane.selectedPaths.add(entry.fullPath));
+  updateSelection(pane);
+};
+
+const keymapActions = {
+  back: goBack,
+  forward: goForward,
+  parent: goToParent,
+  open: openFocusedEntry,
+  refresh: reloadPane,
+  focusPath: () => {
+    currentPathInput.focus();
+    currentPathInput.select();
+  },
+  selectAll: selectAllEntries,
+  copy: () => setClipboard('copy'),
+  cut: () => setClipboard('cut'),
+  paste: () => pasteClipboard(),
+  trash: () => trashSelection(),
+  rename: () => renameFocusedEntry(),
+  newFolder: () => createFolder(),
+  newTab: (pane) => openTab(pane),
+  closeTab: (pane) => closeTab(pane),
+  nextTab: (pane) => cycleTab(1, pane),
+  previousTab: (pane) => cycleTab(-1, pane),
+  switchPane,
+  copyToOtherPane: () => transferToOtherPane('copy'),
+  moveToOtherPane: () => transferToOtherPane('move'),
+  editTranslation: (pane) => {
+    const entry = pane.entries.find((item) => item.fullPath === pane.focusedPath);
+    if (entry) editTranslation(pane, entry);
+  }
+};
+
+// Actions that also work while focus is outside the file list.
+const GLOBAL_ACTIONS = new Set([
+  'back',
+  'forward',
+  'refresh',
+  'focusPath',
+  'paste',
+  'newFolder',
+  'newTab',
+  'closeTab',
+  'nextTab',
+  'previousTab',
+  'switchPane'
+]);
+
+const eventToCombo = (event) => {
+  const modifiers = [
+    event.ctrlKey ? 'Ctrl' : null,
+    event.altKey ? 'Alt' : null,
+    event.shiftKey ? 'Shift' : null,
+    event.metaKey ? 'Meta' : null
+  ].filter(Boolean);
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  return [...modifiers, key].join('+');
+};
+const findKeymapAction = (event) => {
+  const combo = eventToCombo(event);
+  return Object.keys(keymap).find((action) => keymap[action] === combo);
+};
+
+const loadKeymap = () => {
+  try {
+    keymap = { ...DEFAULT_KEYMAP, ...JSON.parse(window.localStorage.getItem(KEYMAP_KEY) || '{}') };
+  } catch (error) {
+    console.warn('Failed to load keymap', error);
+  }
+};
+
+const editKeymap = async () => {
+  keymapRows.innerHTML = '';
+  Object.keys(DEFAULT_KEYMAP).forEach((action) => {
+    const row = document.createElement('tr');
+    row.dataset.action = action;
+    const label = document.createElement('td');
+    label.textContent = KEYMAP_LABELS[action];
+    const cell = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = keymap[action] || '';
+    input.placeholder = DEFAULT_KEYMAP[action];
+    input.addEventListener('keydown', (event) => {
+      if (['Control', 'Alt', 'Shift', 'Meta', 'Tab'].includes(event.key)) return;
+      event.preventDefault();
+      input.value = event.key === 'Escape' ? '' : eventToCombo(event);
+    });
+    cell.appendChild(input);
+    row.append(label, cell);
+    keymapRows.appendChild(row);
+  });
+
+  keymapDialog.returnValue = '';
+  keymapDialog.showModal();
+  await new Promise((resolve) => keymapDialog.addEventListener('close', resolve, { once: true }));
+  if (keymapDialog.returnValue !== 'confirm') return;
+
+  const overrides = {};
+  keymapRows.querySelectorAll('tr').forEach((row) => {
+    overrides[row.dataset.action] = row.querySelector('input').value.trim();
+  });
+  keymap = { ...DEFAULT_KEYMAP, ...overrides };
+  window.localStorage.setItem(KEYMAP_KEY, JSON.stringify(overrides));
+  setStatus('Keymap saved.', 'success');
+};
+
+const promptForName = async (title, initial = '') => {
+  nameDialogTitle.textContent = title;
+  nameDialogInput.value = initial;
+  nameDialog.returnValue = '';
+  nameDialog.showModal();
+  const dot = initial.lastIndexOf('.');
+  nameDialogInput.setSelectionRange(0, dot > 0 ? dot : initial.length);
+  await new Promise((resolve) => nameDialog.addEventListener('close', resolve, { once: true }));
+  const value = nameDialogInput.value.trim();
+  return nameDialog.returnValue === 'confirm' && value ? value : null;
+};
+
+const getActionTargets = (pane = getTargetPane()) => {
+  const selected = getSelectedEntries(pane);
+  if (selected.length > 0) return selected;
+  const focused = pane.entries.find((entry) => entry.fullPath === pane.focusedPath);
+  return focused ? [focused] : [];
+};
+
+const summarizeResults = (verb, results) => {
+  const failed = results.filter((result) => !result.ok && !result.cancelled);
+  const skipped = results.filter((result) => result.skipped).length;
+  const done = results.filter((result) => result.ok && !result.skipped).length;
+  const parts = [`${verb} ${done} item${done === 1 ? '' : 's'}`];
+  if (skipped > 0) parts.push(`${skipped} skipped`);
+  if (failed.length > 0) {
+    console.warn(`${verb} failed for some items`, failed);
+    parts.push(`${failed.length} failed: ${failed[0].message}`);
+  }
+  setStatus(parts.join(', '), failed.length > 0 ? 'error' : 'success');
+};
+
+const runTransfer = async (operation, sources, destination) => {
+  if (sources.length === 0) return;
+  if (activeJobId) {
+    setStatus('Another file operation is still running.', 'error');
+    return;
+  }
+  const jobId = `${operation}-${Date.now()}`;
+  activeJobId = jobId;
+  operationLabel.textContent = `${operation === 'copy' ? 'Copying' : 'Moving'} ${sources.length} items...`;
+  operationBar.removeAttribute('value');
+  operationProgress.hidden = false;
+  try {
+    const request = { jobId, sources, destination };
+    const response =
+      operation === 'copy' ? await window.fileExp.copyEntries(request) : await window.fileExp.moveEntries(request);
+    if (!response.ok) {
+      setStatus(response.message || 'File operation failed.', 'error');
+      return;
+    }
+    summarizeResults(operation === 'copy' ? 'Copied' : 'Moved', response.results);
+    if (response.cancelled) setStatus(`${status.textContent} (cancelled)`, 'info');
+  } finally {
+    activeJobId = null;
+    operationProgress.hidden = true;
+  }
+};
+
+const transferToOtherPane = async (operation) => {
+  if (!dualPane) return;
+  const source = getTargetPane();
+  const destination = getOtherPane(source).directory;
+  if (!destination) return;
+  await runTransfer(operation, getActionTargets(source).map((entry) => entry.fullPath), destination);
+};
+
+const setClipboard = (mode) => {
+  const targets = getActionTargets();
+  if (targets.length === 0) return;
+  clipboard = { mode, paths: targets.map((entry) => entry.fullPath) };
+  setStatus(`${targets.length} items ready to ${mode === 'copy' ? 'copy' : 'move'}. Paste in the destination folder.`, 'info');
+};
+
+const pasteClipboard = async () => {
+  const { directory } = getTargetPane();
+  if (!clipboard || !directory) return;
+  const { mode, paths } = clipboard;
+  if (mode === 'cut') clipboard = null;
+  await runTransfer(mode === 'copy' ? 'copy' : 'move', paths, directory);
+};
+
+const trashSelection = async () => {
+  const targets = getActionTargets();
+  if (targets.length === 0) return;
+  const response = await window.fileExp.trashEntries(targets.map((entry) => entry.fullPath));
+  summarizeResults('Moved to trash', response.results);
+};
+
+const renameFocusedEntry = async () => {
+  const pane = getTargetPane();
+  const [target] = getActionTargets(pane);
+  if (!target) return;
+  const name = await promptForName('Rename', target.name);
+  if (!name || name === target.name) return;
+  const response = await window.fileExp.renameEntry({ source: target.fullPath, name });
+  if (!response.ok) {
+    setStatus(response.message || 'Rename failed.', 'error');
+    return;
+  }
+  await reloadPane(pane);
+  revealEntry(pane, response.path);
+  setStatus(`Renamed to ${name}.`, 'success');
+};
+
+const createFolder = async () => {
+  const pane = getTargetPane();
+  if (!pane.directory) return;
+  const name = await promptForName('New folder', 'New folder');
+  if (!name) return;
+  const response = await window.fileExp.createFolder({ parent: pane.directory, name });
+  if (!response.ok) {
+    setStatus(response.message || 'Failed to create folder.', 'error');
+    return;
+  }
+  await reloadPane(pane);
+  revealEntry(pane, response.path);
+  setStatus(`Created ${name}.`, 'success');
+};
+
+const DRAG_TYPE = 'application/x-fileexp-paths';
+
+const getDropDestination = (pane, event) => {
+  const target = event.target.closest('.entry');
+  if (target && target.dataset.isdir === 'true') return { element: target, path: target.dataset.path };
+  return { element: pane.fileList, path: pane.directory };
+};
+
+const clearDropTargets = (pane) => {
+  pane.fileList.classList.remove('file-list--drop-target');
+  pane.fileList
+    .querySelectorAll('.entry--drop-target')
+    .forEach((item) => item.classList.remove('entry--drop-target'));
+};
+
+const revealEntry = (pane, fullPath) => {
+  const item = findEntryItem(pane, fullPath);
+  if (!item) return;
+  item.hidden = false;
+  pane.selectedPaths.clear();
+  pane.selectedPaths.add(fullPath);
+  pane.lastSelectedIndex = pane.entries.findIndex((entry) => entry.fullPath === fullPath);
+  setFocusedEntry(pane, fullPath);
+  item.scrollIntoView({ block: 'center' });
+};
+
+const appendSearchHits = (hits) => {
+  hits.forEach((hit) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = hit.translated ? `${hit.name} — ${hit.translated}` : hit.name;
+    const location = document.createElement('span');
+    location.className = 'search-results__path';
+    location.textContent = hit.directory;
+    location.title = hit.fullPath;
+    item.append(label, location);
+    item.addEventListener('click', async () => {
+      const pane = getTargetPane();
+      await loadDirectory(pane, hit.directory);
+      revealEntry(pane, hit.fullPath);
+    });
+    searchResultList.appendChild(item);
+  });
+  searchHitCount += hits.length;
+};
+
+const resetSearchResults = (summary) => {
+  searchResultList.innerHTML = '';
+  searchHitCount = 0;
+  searchSummary.textContent = summary;
+  searchResults.hidden = false;
+};
+
+const cancelActiveSearch = () => {
+  if (!activeSearchId) return;
+  window.fileExp.cancelSearch(activeSearchId);
+  activeSearchId = null;
+  cancelSearchButton.hidden = true;
+};
+
+const startRecursiveSearch = async () => {
+  const options = getFilterOptions();
+  const root = getTargetPane().directory;
+  if (!options.query.trim() || !root) {
+    setStatus('Enter a search term first.', 'info');
+    return;
+  }
+  cancelActiveSearch();
+  const searchId = `search-${Date.now()}`;
+  activeSearchId = searchId;
+  resetSearchResults(`Searching ${root}...`);
+  cancelSearchButton.hidden = false;
+  const response = await window.fileExp.startSearch({ searchId, root, ...options });
+  if (!response.ok) {
+    activeSearchId = null;
+    cancelSearchButton.hidden = true;
+    searchSummary.textContent = response.message || 'Search failed.';
+  }
+};
+
+const searchTranslationDb = async () => {
+  const options = getFilterOptions();
+  if (!options.query.trim()) {
+    setStatus('Enter a search term first.', 'info');
+    return;
+  }
+  cancelActiveSearch();
+  const response = await window.fileExp.searchTranslationDb(options);
+  if (!response.ok) {
+    setStatus(response.message || 'Search failed.', 'error');
+    return;
+  }
+  resetSearchResults(`${response.hits.length} matches in the translation DB`);
+  appendSearchHits(response.hits);
+};
+
+const updateReviewItem = (result) => {
+  const row = reviewList.querySelector(`li[data-path="${CSS.escape(result.filePath)}"]`);
+  if (!row) return;
+  const reason = row.querySelector('.review-list__reason');
+  if (result.status === 'pending') {
+    reason.textContent = 'Translating...';
+    return;
+  }
+  if (result.status === 'failed') {
+    reason.textContent = result.error || 'Translation failed.';
+    return;
+  }
+  row.querySelector('.review-list__translation').textContent = result.translated;
+  row.querySelector('[data-action="accept"]').disabled = false;
+  reason.textContent = result.status === 'manual' ? 'Corrected.' : 'Translated again, accept or edit.';
+};
+
+// Pushes a translation result into every pane showing the entry and into the
+// review queue.
+const applyTranslationResult = (result) => {
+  panes.forEach((pane) => {
+    const cell = pane.translationCells.get(result.filePath);
+    if (!cell) return;
+    const entry = pane.entries.find((item) => item.fullPath === result.filePath);
+    if (entry) {
+      entry.translation = result;
+      if (result.translated) entry.translated = result.translated;
+    }
+    showTranslation(cell, result);
+    if (entry && isFiltering() && entryFilter) {
+      findEntryItem(pane, entry.fullPath).hidden = !entryFilter(entry);
+    }
+  });
+  scheduleCoverageUpdate();
+  if (result.filePath === previewedPath) schedulePreviewUpdate();
+  updateReviewItem(result);
+};
+
+const stripExtension = (name, isDirectory) => {
+  const dot = name.lastIndexOf('.');
+  return isDirectory || dot <= 0 ? name : name.slice(0, dot);
+};
+
+// Both fields start with the whole name; the user trims them down to the term
+// that was corrected.
+const offerSubstitution = async (name, isDirectory, corrected) => {
+  substitutionTermInput.value = stripExtension(name, isDirectory);
+  substitutionReplacementInput.value = stripExtension(corrected, isDirectory);
+  substitutionPathInput.value = translatorSubstitutionsInput.value.trim();
+  substitutionDialog.returnValue = '';
+  substitutionDialog.showModal();
+  await new Promise((resolve) => substitutionDialog.addEventListener('close', resolve, { once: true }));
+  if (substitutionDialog.returnValue !== 'confirm') return;
+
+  const filePath = substitutionPathInput.value.trim();
+  const term = substitutionTermInput.value.trim();
+  if (!filePath || !term) {
+    setStatus('A substitutions file and a term are required.', 'error');
+    return;
+  }
+  if (filePath !== translatorSubstitutionsInput.value.trim()) {
+    translatorSubstitutionsInput.value = filePath;
+    saveTranslatorConfig();
+  }
+  const response = await window.fileExp.addSubstitution({
+    filePath,
+    term,
+    replacement: substitutionReplacementInput.value.trim()
+  });
+  if (!response.ok) {
+    setStatus(response.message || 'Failed to save the substitution.', 'error');
+    return;
+  }
+  setStatus(`Added "${term}" to ${filePath}.`, 'success');
+};
+
+// Pattern flags have no field of their own and are kept on the row.
+const addGlossaryRow = (rule = {}) => {
+  const isPattern = document.createElement('input');
+  isPattern.type = 'checkbox';
+  isPattern.checked = rule.pattern !== undefined;
+  isPattern.title = 'Regular expression';
+  const scope = Array.isArray(rule.scope) ? rule.scope.join(', ') : rule.scope;
+  appendRow(
+    glossaryRows,
+    [
+      createCellInput(rule.pattern ?? rule.term, 'ブルアカ'),
+      isPattern,
+      createCellInput(rule.replacement, 'Blue Archive'),
+      createCellInput(scope, 'All languages'),
+      createCellInput(rule.comment, '')
+    ],
+    { flags: rule.flags || '' }
+  );
+};
+
+// Rows left completely empty are dropped; the rest keep their order, so the
+// rule indexes in problems point back at rows.
+const readGlossaryRows = () =>
+  Array.from(glossaryRows.querySelectorAll('tr'))
+    .map((row) => {
+      const [text, isPattern, replacement, scope, comment] = row.querySelectorAll('input');
+      const rule = {
+        [isPattern.checked ? 'pattern' : 'term']: text.value.trim(),
+        replacement: replacement.value.trim()
+      };
+      if (isPattern.checked && row.dataset.flags) rule.flags = row.dataset.flags;
+      const codes = scope.value.split(',').map((code) => code.trim()).filter(Boolean);
+      if (codes.length > 0) rule.scope = codes;
+      if (comment.value.trim()) rule.comment = comment.value.trim();
+      return { row, rule };
+    })
+    .filter(({ rule }) => (rule.term ?? rule.pattern) || rule.replacement || rule.comment);
+
+const readGlossary = () => {
+  const entries = readGlossaryRows();
+  return {
+    entries,
+    normalize: { width: glossaryWidthInput.checked, case: glossaryCaseInput.checked },
+    rules: entries.map((entry) => entry.rule)
+  };
+};
+
+// `problems` are { level, rules, message }; clicking one shows its first rule.
+const showGlossaryProblems = (entries, problems) => {
+  glossaryProblemList.innerHTML = '';
+  glossaryRows.querySelectorAll('tr').forEach((row) => row.removeAttribute('aria-invalid'));
+  problems.forEach((problem) => {
+    const rows = problem.rules.map((index) => entries[index]?.row).filter(Boolean);
+    if (problem.level === 'error') rows.forEach((row) => row.setAttribute('aria-invalid', 'true'));
+    const item = document.createElement('li');
+    if (problem.level) item.dataset.level = problem.level;
+    item.textContent = problem.message;
+    item.addEventListener('click', () => {
+      if (!rows[0]) return;
+      rows[0].hidden = false;
+      rows[0].scrollIntoView({ block: 'nearest' });
+      rows[0].querySelector('input').focus();
+    });
+    glossaryProblemList.appendChild(item);
+  });
+};
+
+const filterGlossaryRows = () => {
+  const query = glossaryFilterInput.value.trim().toLowerCase();
+  glossaryRows.querySelectorAll('tr').forEach((row) => {
+    const text = Array.from(row.querySelectorAll('input'), (input) => input.value).join(' ').toLowerCase();
+    row.hidden = Boolean(query) && !text.includes(query);
+  });
+};
+
+// Edits the file in the Translator's substitutions box. The live translator
+// and the generator read it again on their next run, and the proxy reloads it
+// when it changes.
+const editGlossary = async () => {
+  const filePath = translatorSubstitutionsInput.value.trim();
+  const response = await window.fileExp.loadGlossary(filePath);
+  if (!response.ok) {
+    setStatus(response.message || 'Failed to load the glossary.', 'error');
+    return;
+  }
+  glossaryRows.innerHTML = '';
+  response.rules.forEach(addGlossaryRow);
+  glossaryWidthInput.checked = response.normalize.width !== false;
+  glossaryCaseInput.checked = response.normalize.case !== false;
+  glossaryFilterInput.value = '';
+  glossaryPathLabel.textContent = filePath;
+  glossaryDialog.returnValue = '';
+  glossaryDialog.showModal();
+  showGlossaryProblems(readGlossaryRows(), response.problems);
+};
+
+const checkGlossary = async () => {
+  const { entries, normalize, rules } = readGlossary();
+  const response = await window.fileExp.checkGlossary({ normalize, rules });
+  const problems = response.problems.length > 0 ? response.problems : [{ rules: [], message: 'No problems found.' }];
+  showGlossaryProblems(entries, problems);
+};
+
+// Stays open while there are errors to fix.
+const saveGlossary = async (event) => {
+  event.preventDefault();
+  const filePath = glossaryPathLabel.textContent;
+  const { entries, normalize, rules } = readGlossary();
+  const response = await window.fileExp.saveGlossary({ filePath, normalize, rules });
+  if (!response.ok) {
+    const message = response.message || 'Failed to save the glossary.';
+    showGlossaryProblems(entries, [{ level: 'error', rules: [], message }, ...(response.problems || [])]);
+    return;
+  }
+  glossaryDialog.close('confirm');
+  const warnings = response.problems.length > 0 ? ` (${response.problems.length} warnings)` : '';
+  setStatus(`Saved ${response.count} glossary rules to ${filePath}${warnings}.`, 'success');
+};
+
+// Saves a hand correction with the `manual` status, which the generator never
+// overwrites, then offers the correction as a substitution.
+const saveTranslation = async (entry, text) => {
+  const response = await window.fileExp.setTranslation({
+    filePath: entry.fullPath,
+    isDirectory: entry.isDirectory,
+    translated: text
+  });
+  if (!response.ok) {
+    setStatus(response.message || 'Failed to save the translation.', 'error');
+    return false;
+  }
+  applyTranslationResult({ filePath: entry.fullPath, status: 'manual', translated: response.translated });
+  setStatus(
+    response.persisted ? 'Translation saved.' : 'Translation saved for this session (no translation DB loaded).',
+    'success'
+  );
+  if (response.previous && response.previous !== response.translated) {
+    await offerSubstitution(entry.name, entry.isDirectory, response.translated);
+  }
+  return true;
+};
+
+// Swaps `container`'s content for a text box. Resolves with the trimmed text
+// on Enter or blur, or null on Escape; the caller restores the content.
+const editInline = (container, { value, placeholder, label }) =>
+  new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'entry__translation-input';
+    input.value = value || '';
+    input.placeholder = placeholder || '';
+    input.setAttribute('aria-label', label);
+    container.textContent = '';
+    container.appendChild(input);
+    input.focus();
+    input.select();
+
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      input.remove();
+      resolve(result);
+    };
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        finish(input.value.trim());
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        finish(null);
+      }
+    });
+    input.addEventListener('blur', () => finish(input.value.trim()));
+  });
+
+const editTranslation = async (pane, entry) => {
+  const cell = pane.translationCells.get(entry.fullPath);
+  const item = findEntryItem(pane, entry.fullPath);
+  if (!cell || !item || cell.querySelector('input')) return;
+  const previous = entry.translation;
+  item.draggable = false;
+  const text = await editInline(cell, {
+    value: entry.translated,
+    placeholder: entry.name,
+    label: `Translation of ${entry.name}`
+  });
+  item.draggable = true;
+  showTranslation(cell, previous);
+  pane.fileList.focus();
+  if (text && text !== entry.translated) await saveTranslation(entry, text);
+};
+
+const revealPath = async (filePath) => {
+  const pane = getTargetPane();
+  const directory = filePath.slice(0, Math.max(filePath.lastIndexOf('/'), filePath.lastIndexOf('\\')));
+  if (await loadDirectory(pane, directory || filePath)) revealEntry(pane, filePath);
+};
+
+const createReviewItem = (item) => {
+  const row = document.createElement('li');
+  row.dataset.path = item.filePath;
+
+  const name = document.createElement('span');
+  name.textContent = item.name;
+  name.title = item.filePath;
+  name.addEventListener('click', () => revealPath(item.filePath));
+
+  const translated = document.createElement('span');
+  translated.className = 'review-list__translation';
+  translated.textContent = item.translated || '';
+
+  const reason = document.createElement('span');
+  reason.className = 'review-list__reason';
+  reason.textContent = item.reason;
+
+  const actions = document.createElement('span');
+  actions.className = 'review-list__actions';
+  const addAction = (action, label, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.action = action;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    actions.appendChild(button);
+    return button;
+  };
+
+  addAction('retry', 'Retry', async () => {
+    saveTranslatorConfig();
+    const response = await window.fileExp.retryTranslations({
+      items: [{ filePath: item.filePath, isDirectory: item.isDirectory }],
+      config: getTranslatorConfig()
+    });
+    if (!response.ok) setStatus(response.message || 'Failed to retry the translation.', 'error');
+  });
+  addAction('accept', 'Accept', async () => {
+    const response = await window.fileExp.acceptTranslations([item.filePath]);
+    if (!response.ok) {
+      setStatus(response.message || 'Failed to accept the translation.', 'error');
+      return;
+    }
+    row.remove();
+  }).disabled = !item.translated;
+  addAction('edit', 'Edit', async () => {
+    const current = translated.textContent;
+    const text = await editInline(translated, {
+      value: current,
+      placeholder: item.name,
+      label: `Translation of ${item.name}`
+    });
+    translated.textContent = current;
+    if (!text || text === current) return;
+    if (await saveTranslation({ fullPath: item.filePath, name: item.name, isDirectory: item.isDirectory }, text)) {
+      row.remove();
+    }
+  });
+
+  row.append(name, translated, reason, actions);
+  return row;
+};
+
+// Lists failed, unfinished and suspicious translations, by default only under
+// the active pane's directory.
+const loadReviewQueue = async () => {
+  const root = reviewCurrentFolderInput.checked ? getTargetPane().directory : null;
+  reviewQueue.hidden = false;
+  reviewSummary.textContent = 'Loading...';
+  const response = await window.fileExp.listReviewQueue({ root });
+  if (!response.ok) {
+    reviewSummary.textContent = response.message || 'Failed to load the review queue.';
+    return;
+  }
+  reviewList.innerHTML = '';
+  response.items.forEach((item) => reviewList.appendChild(createReviewItem(item)));
+  const count = `${response.items.length}${response.truncated ? '+' : ''}`;
+  reviewSummary.textContent = `${count} translations to review${root ? ` in ${root}` : ''}`;
+};
+
+let generatorPaused = false;
+
+const describeGeneratorProgress = (progress) => {
+  const done = progress.translated + progress.failed;
+  if (progress.total === 0) return `Scanning... ${progress.scanned} entries`;
+  const notes = [];
+  if (progress.reused > 0) notes.push(`${progress.reused} reused`);
+  if (progress.failed > 0) notes.push(`${progress.failed} failed`);
+  const suffix = notes.length > 0 ? ` (${notes.join(', ')})` : '';
+  return `Translating ${done}/${progress.total}${suffix}`;
+};
+
+const showGeneratorProgress = (progress) => {
+  generatorPaused = progress.state === 'paused';
+  pauseGeneratorButton.textContent = generatorPaused ? 'Resume' : 'Pause';
+  const label = describeGeneratorProgress(progress);
+  generatorLabel.textContent = generatorPaused ? `Paused. ${label}` : label;
+  if (progress.total > 0) {
+    generatorBar.value = (progress.translated + progress.failed) / progress.total;
+  } else {
+    generatorBar.removeAttribute('value');
+  }
+};
+
+const finishGenerator = (summary) => {
+  generatorProgress.hidden = true;
+  openGeneratorButton.disabled = false;
+  if (summary.error) {
+    setStatus(`Translation job failed: ${summary.error}`, 'error');
+    return;
+  }
+  if (summary.db && summary.db.path !== translationDbPathInput.value.trim()) {
+    translationDbPathInput.value = summary.db.path;
+    saveTranslationDbPath();
+  }
+  if (summary.db) showTranslationTargets(summary.db.targets);
+  const counts = `${summary.translated} translated, ${summary.reused} reused, ${summary.failed} failed`;
+  const verb = summary.state === 'cancelled' ? 'Translation job cancelled' : 'Translation job finished';
+  const loaded = summary.db ? ` Loaded ${summary.db.count} translations.` : '';
+  setStatus(`${verb}: ${counts}.${loaded}`, 'success');
+};
+
+const handleGeneratorEvent = (event) => {
+  if (event.type === 'result') {
+    applyTranslationResult(event);
+  } else if (event.type === 'progress') {
+    showGeneratorProgress(event);
+  } else if (event.type === 'waiting' && event.reason === 'rate-limit') {
+    generatorLabel.textContent = `Rate limited, retrying in ${Math.ceil(event.ms / 1000)}s...`;
+  } else if (event.type === 'waiting' && event.reason === 'retry') {
+    generatorLabel.textContent = `Some translations failed, retrying in ${Math.ceil(event.ms / 1000)}s...`;
+  } else if (event.type === 'log') {
+    setStatus(event.message, event.level === 'warn' ? 'error' : 'info');
+  } else if (event.type === 'done') {
+    finishGenerator(event);
+  }
+};
+
+// Runs the generator over the active pane's directory, writing to the DB in
+// the Translation DB box (or the loaded one).
+const openGenerator = async () => {
+  const directory = getTargetPane().directory;
+  if (!directory) return;
+  const output = translationDbPathInput.value.trim();
+  const settings = loadGeneratorSettings();
+  Object.entries(generatorInputs).forEach(([key, input]) => {
+    input.value = settings[key];
+  });
+  generatorHashInput.checked = settings.useHash;
+  generatorResumeInput.checked = false;
+  generatorRetryFailedInput.checked = false;
+  const target = output || 'the loaded translation DB';
+  generatorSummary.textContent = `Translates every entry under ${directory} into ${target}.`;
+  generatorDialog.returnValue = '';
+  generatorDialog.showModal();
+  await new Promise((resolve) => generatorDialog.addEventListener('close', resolve, { once: true }));
+  if (generatorDialog.returnValue !== 'confirm') return;
+
+  const chosen = readGeneratorSettings();
+  window.localStorage.setItem(GENERATOR_KEY, JSON.stringify(chosen));
+  const response = await window.fileExp.startGenerator({
+    directory,
+    output,
+    settings: {
+      ...chosen,
+      ...readGeneratorKeys(),
+      ...getProxyClientCert(),
+      resume: generatorResumeInput.checked,
+      retryFailed: generatorRetryFailedInput.checked
+    }
+  });
+  if (!response.ok) {
+    setStatus(response.message || 'Failed to start the translation job.', 'error');
+    return;
+  }
+  openGeneratorButton.disabled = true;
+  generatorProgress.hidden = false;
+  showGeneratorProgress({ state: 'running', scanned: 0, total: 0, translated: 0, failed: 0, reused: 0 });
+  setStatus(`Generating translations for ${directory}...`, 'info');
+};
+
+const handleListClick = (pane, event) => {
+  const target = event.target.closest('.entry');
+  if (!target) return;
+  const { entries, selectedPaths } = pane;
+  const index = entries.findIndex((entry) => entry.fullPath === target.dataset.path);
+  if (index === -1) return;
+
+  if (event.shiftKey && pane.lastSelectedIndex !== -1) {
+    const [start, end] = [pane.lastSelectedIndex, index].sort((a, b) => a - b);
+    if (!event.ctrlKey && !event.metaKey) selectedPaths.clear();
+    entries.slice(start, end + 1).forEach((entry) => selectedPaths.add(entry.fullPath));
+  } else if (event.ctrlKey || event.metaKey) {
+    if (selectedPaths.has(target.dataset.path)) {
+      selectedPaths.delete(target.dataset.path);
+    } else {
+      selectedPaths.add(target.dataset.path);
+    }
+    pane.lastSelectedIndex = index;
+  } else {
+    selectedPaths.clear();
+    selectedPaths.add(target.dataset.path);
+    pane.lastSelectedIndex = index;
+  }
+  setFocusedEntry(pane, target.dataset.path);
+};
+
+const handleListKeydown = (pane, event) => {
+  if (event.target !== pane.fileList) return;
+  const action = findKeymapAction(event);
+  if (action) {
+    event.preventDefault();
+    keymapActions[action](pane);
+    return;
+  }
+
+  const extend = event.shiftKey;
+  const keepSelection = event.ctrlKey || event.metaKey;
+  switch (event.key) {
+    case 'ArrowDown':
+      event.preventDefault();
+      moveFocus(pane, rowLength(pane), { extend, keepSelection });
+      return;
+    case 'ArrowUp':
+      event.preventDefault();
+      moveFocus(pane, -rowLength(pane), { extend, keepSelection });
+      return;
+    case 'ArrowLeft':
+    case 'ArrowRight':
+      if (!gridView) break;
+      event.preventDefault();
+      moveFocus(pane, event.key === 'ArrowRight' ? 1 : -1, { extend, keepSelection });
+      return;
+    case 'PageDown':
+      event.preventDefault();
+      moveFocus(pane, PAGE_SIZE * rowLength(pane), { extend, keepSelection });
+      return;
+    case 'PageUp':
+      event.preventDefault();
+      moveFocus(pane, -PAGE_SIZE * rowLength(pane), { extend, keepSelection });
+      return;
+    case 'Home':
+      event.preventDefault();
+      moveFocus(pane, 0, { extend, keepSelection, absolute: 0 });
+      return;
+    case 'End':
+      event.preventDefault();
+      moveFocus(pane, 0, { extend, keepSelection, absolute: Number.MAX_SAFE_INTEGER });
+      return;
+    case ' ':
+      if (keepSelection || !typeAheadBuffer) {
+        event.preventDefault();
+        toggleFocusedSelection(pane);
+        return;
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+    event.preventDefault();
+    typeAhead(pane, event.key);
+  }
+};
+
+// Only keyboard focus picks an entry; a mouse click sets focus itself.
+const handleListFocus = (pane) => {
+  if (pane.focusedPath || !pane.fileList.matches(':focus-visible')) return;
+  const selected = getVisibleEntries(pane).find((entry) => pane.selectedPaths.has(entry.fullPath));
+  if (selected) {
+    setFocusedEntry(pane, selected.fullPath);
+    return;
+  }
+  moveFocus(pane, 0);
+};
+
+const handleDragStart = (pane, event) => {
+  const target = event.target.closest('.entry');
+  if (!target) return;
+  if (!pane.selectedPaths.has(target.dataset.path)) {
+    pane.selectedPaths.clear();
+    pane.selectedPaths.add(target.dataset.path);
+    setFocusedEntry(pane, target.dataset.path);
+  }
+  event.dataTransfer.setData(DRAG_TYPE, JSON.stringify(Array.from(pane.selectedPaths)));
+  event.dataTransfer.effectAllowed = 'copyMove';
+};
+
+// Internal drags move unless Ctrl is held; files dragged in from outside the
+// app are copied unless Shift is held.
+const handleDragOver = (pane, event) => {
+  const internal = event.dataTransfer.types.includes(DRAG_TYPE);
+  if (!internal && !event.dataTransfer.types.includes('Files')) return;
+  event.preventDefault();
+  const copy = internal ? event.ctrlKey || event.metaKey : !event.shiftKey;
+  event.dataTransfer.dropEffect = copy ? 'copy' : 'move';
+  clearDropTargets(pane);
+  const { element } = getDropDestination(pane, event);
+  element.classList.add(element === pane.fileList ? 'file-list--drop-target' : 'entry--drop-target');
+};
+
+const handleDrop = async (pane, event) => {
+  event.preventDefault();
+  clearDropTargets(pane);
+  const destination = getDropDestination(pane, event).path;
+  if (!destination) return;
+  const internal = event.dataTransfer.getData(DRAG_TYPE);
+  if (internal) {
+    const sources = JSON.parse(internal).filter((source) => source !== destination);
+    await runTransfer(event.ctrlKey || event.metaKey ? 'copy' : 'move', sources, destination);
+    return;
+  }
+  const sources = Array.from(event.dataTransfer.files)
+    .map((file) => window.fileExp.getPathForFile(file))
+    .filter(Boolean);
+  await runTransfer(event.shiftKey ? 'move' : 'copy', sources, destination);
+};
+
+const handleDoubleClick = async (pane, event) => {
+  const target = event.target.closest('.entry');
+  if (!target) return;
+  if (event.target.closest('.entry__translation')) {
+    const entry = pane.entries.find((item) => item.fullPath === target.dataset.path);
+    if (entry) editTranslation(pane, entry);
+    return;
+  }
+
+  const isDirectory = target.dataset.isdir === 'true';
+  const fullPath = target.dataset.path;
+
+  if (isDirectory) {
+    loadDirectory(pane, fullPath);
+    return;
+  }
+
+  const entry = pane.entries.find((item) => item.fullPath === fullPath);
+  if (entry) await openEntry(entry);
+};
+
+const handleContextMenu = (pane, event) => {
+  const target = event.target.closest('.entry');
+  if (!target) return;
+  event.preventDefault();
+  const entry = pane.entries.find((item) => item.fullPath === target.dataset.path);
+  if (!entry) return;
+  if (!pane.selectedPaths.has(entry.fullPath)) {
+    pane.selectedPaths.clear();
+    pane.selectedPaths.add(entry.fullPath);
+  }
+  setFocusedEntry(pane, entry.fullPath);
+  showContextMenu(pane, entry, event.clientX, event.clientY);
+};
+
+const handleSortClick = (pane, event) => {
+  const button = event.target.closest('[data-sort]');
+  const tab = pane.activeTab;
+  if (!button || !pane.directory) return;
+  const key = button.dataset.sort;
+  const direction = tab.sortState.key === key && tab.sortState.direction === 'asc' ? 'desc' : 'asc';
+  tab.sortState = { key, direction };
+  saveSortState(pane.directory, tab.sortState);
+  updateSortHeader(pane);
+  resortEntries(pane);
+};
+
+const createPane = (index) => {
+  const root = paneTemplate.content.firstElementChild.cloneNode(true);
+  root.dataset.pane = `${index}`;
+  panesContainer.appendChild(root);
+  const pane = {
+    index,
+    root,
+    tabBar: root.querySelector('.tabs'),
+    breadcrumbs: root.querySelector('.breadcrumbs'),
+    listHeader: root.querySelector('.list-header'),
+    fileList: root.querySelector('.file-list'),
+    watchId: `pane-${index}`,
+    tabs: [],
+    activeTab: null,
+    entries: [],
+    directory: null,
+    parentDirectory: null,
+    selectedPaths: new Set(),
+    translationCells: new Map(),
+    entryItems: new Map(),
+    focusedPath: null,
+    lastSelectedIndex: -1,
+    thumbnailObserver: null
+  };
+  pane.thumbnailObserver = new IntersectionObserver(
+    (records) =>
+      records.forEach((record) => {
+        if (!record.isIntersecting) return;
+        pane.thumbnailObserver.unobserve(record.target);
+        loadThumbnail(record.target);
+      }),
+    { rootMargin: '200px' }
+  );
+
+  const { fileList } = pane;
+  root.addEventListener('focusin', () => setActivePane(pane));
+  root.addEventListener('mousedown', () => setActivePane(pane));
+  fileList.addEventListener('click', (event) => handleListClick(pane, event));
+  fileList.addEventListener('keydown', (event) => handleListKeydown(pane, event));
+  fileList.addEventListener('focus', () => handleListFocus(pane));
+  fileList.addEventListener('dblclick', (event) => handleDoubleClick(pane, event));
+  fileList.addEventListener('contextmenu', (event) => handleContextMenu(pane, event));
+  fileList.addEventListener('dragstart', (event) => handleDragStart(pane, event));
+  fileList.addEventListener('dragover', (event) => handleDragOver(pane, event));
+  fileList.addEventListener('dragleave', (event) => {
+    if (!fileList.contains(event.relatedTarget)) clearDropTargets(pane);
+  });
+  fileList.addEventListener('drop', (event) => handleDrop(pane, event));
+  pane.listHeader.addEventListener('click', (event) => handleSortClick(pane, event));
+  return pane;
+};
+
+document.addEventListener('keydown', (event) => {
+  if (event.defaultPrevented || event.target.closest('.file-list')) return;
+  if (event.target.closest('input, select, textarea, dialog')) return;
+  const action = findKeymapAction(event);
+  if (action && GLOBAL_ACTIONS.has(action)) {
+    event.preventDefault();
+    keymapActions[action](getTargetPane());
+  }
+});
+window.fileExp.onFileOperationProgress((progress) => {
+  if (progress.jobId !== activeJobId) return;
+  const verb = progress.operation === 'copy' ? 'Copying' : 'Moving';
+  const bytes = `${formatSize(progress.doneBytes)} of ${formatSize(progress.totalBytes)}`;
+  const current = progress.currentPath ? ` — ${progress.currentPath}` : '';
+  operationLabel.textContent = `${verb} ${progress.doneItems}/${progress.totalItems} items (${bytes})${current}`;
+  operationBar.value =
+    progress.totalBytes > 0
+      ? progress.doneBytes / progress.totalBytes
+      : progress.doneItems / Math.max(1, progress.totalItems);
+});
+
+window.fileExp.onFileOperationConflict(async (conflict) => {
+  conflictMessage.textContent = `${conflict.target} already exists. ${conflict.operation === 'copy' ? 'Copying' : 'Moving'} from ${conflict.source}.`;
+  conflictApplyAll.checked = false;
+  conflictDialog.returnValue = '';
+  conflictDialog.showModal();
+  await new Promise((resolve) => conflictDialog.addEventListener('close', resolve, { once: true }));
+  await window.fileExp.resolveConflict({
+    requestId: conflict.requestId,
+    choice: conflictDialog.returnValue || 'cancel',
+    applyToAll: conflictApplyAll.checked
+  });
+});
+
+cancelOperationButton.addEventListener('click', () => {
+  if (activeJobId) window.fileExp.cancelFileOperation(activeJobId);
+});
+
+nameDialogCancel.addEventListener('click', () => nameDialog.close('cancel'));
+
+newFolderButton.addEventListener('click', createFolder);
+
+renameEntryButton.addEventListener('click', renameFocusedEntry);
+
+copyEntriesButton.addEventListener('click', () => setClipboard('copy'));
+
+cutEntriesButton.addEventListener('click', () => setClipboard('cut'));
+
+pasteEntriesButton.addEventListener('click', pasteClipboard);
+
+trashEntriesButton.addEventListener('click', trashSelection);
+
+backButton.addEventListener('click', () => goBack());
+
+forwardButton.addEventListener('click', () => goForward());
+
+editKeymapButton.addEventListener('click', editKeymap);
+
+newTabButton.addEventListener('click', () => openTab());
+
+toggleDualPaneButton.addEventListener('click', () => setDualPane(!dualPane));
+
+toggleGridButton.addEventListener('click', () => setGridView(!gridView));
+
+togglePreviewButton.addEventListener('click', () => setPreviewOpen(!previewOpen));
+
+copyToOtherPaneButton.addEventListener('click', () => transferToOtherPane('copy'));
+
+moveToOtherPaneButton.addEventListener('click', () => transferToOtherPane('move'));
+
+const hideContextMenu = () => {
+  contextMenu.hidden = true;
+  contextMenu.innerHTML = '';
+};
+
+const addMenuItem = (label, onSelect) => {
+  const item = document.createElement('li');
+  item.setAttribute('role', 'menuitem');
+  item.textContent = label;
+  item.addEventListener('click', () => {
+    hideContextMenu();
+    onSelect();
+  });
+  contextMenu.appendChild(item);
+};
+
+const showContextMenu = (pane, entry, x, y) => {
+  hideContextMenu();
+  addMenuItem('Open', () => (entry.isDirectory ? loadDirectory(pane, entry.fullPath) : openEntry(entry)));
+  if (launcherConfig.launchers.length > 0) {
+    const label = document.createElement('li');
+    label.className = 'context-menu__label';
+    label.textContent = 'Open with…';
+    contextMenu.appendChild(label);
+    launcherConfig.launchers.forEach((launcher) => {
+      addMenuItem(launcher.name || launcher.program, () => openEntry(entry, launcher));
+    });
+  }
+  const separator = document.createElement('li');
+  separator.className = 'context-menu__separator';
+  contextMenu.appendChild(separator);
+  addMenuItem(SYSTEM_LAUNCHER.name, () => openEntry(entry, SYSTEM_LAUNCHER));
+
+  const editSeparator = document.createElement('li');
+  editSeparator.className = 'context-menu__separator';
+  contextMenu.appendChild(editSeparator);
+  addMenuItem('Copy', () => setClipboard('copy'));
+  addMenuItem('Cut', () => setClipboard('cut'));
+  addMenuItem('Rename', renameFocusedEntry);
+  addMenuItem('Edit translation', () => editTranslation(pane, entry));
+  addMenuItem('Delete', trashSelection);
+
+  contextMenu.hidden = false;
+  const { innerWidth, innerHeight } = window;
+  const { width, height } = contextMenu.getBoundingClientRect();
+  contextMenu.style.left = `${Math.min(x, innerWidth - width)}px`;
+  contextMenu.style.top = `${Math.min(y, innerHeight - height)}px`;
+};
+
+document.addEventListener('click', (event) => {
+  if (!contextMenu.hidden && !contextMenu.contains(event.target)) hideContextMenu();
+});
+
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape' && !contextMenu.hidden) hideContextMenu();
+});
+
+const createCellInput = (value, placeholder) => {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value || '';
+  input.placeholder = placeholder;
+  return input;
+};
+
+const appendRow = (tbody, cells, dataset) => {
+  const row = document.createElement('tr');
+  Object.assign(row.dataset, dataset);
+  cells.forEach((content) => {
+    const cell = document.createElement('td');
+    cell.appendChild(content);
+    row.appendChild(cell);
+  });
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => row.remove());
+  const removeCell = document.createElement('td');
+  removeCell.appendChild(remove);
+  row.appendChild(removeCell);
+  tbody.appendChild(row);
+};
+
+const addLauncherRow = (launcher = {}) => {
+  appendRow(
+    launcherRows,
+    [
+      createCellInput(launcher.name, 'Viewer'),
+      createCellInput(launcher.program, '/path/to/program'),
+      createCellInput(launcher.args, '--flag {path}')
+    ],
+    { id: launcher.id || `launcher-${Date.now()}-${launcherRows.children.length}` }
+  );
+};
+
+// Launcher choices come from the launcher rows as currently edited, so a rule
+// can point at a launcher added in the same dialog session.
+const fillLauncherOptions = (select, selected) => {
+  select.innerHTML = '';
+  const launchers = Array.from(launcherRows.querySelectorAll('tr')).map((row) => ({
+    id: row.dataset.id,
+    name: row.querySelector('input').value.trim() || row.dataset.id
+  }));
+  [...launchers, SYSTEM_LAUNCHER].forEach((launcher) => {
+    const option = document.createElement('option');
+    option.value = launcher.id;
+    option.textContent = launcher.name;
+    option.selected = launcher.id === selected;
+    select.appendChild(option);
+  });
+};
+
+const addRuleRow = (rule = {}) => {
+  const select = document.createElement('select');
+  fillLauncherOptions(select, rule.launcherId);
+  select.addEventListener('focus', () => fillLauncherOptions(select, select.value));
+  appendRow(ruleRows, [createCellInput(rule.pattern, 'zip, cbz'), select]);
+};
+
+const editLaunchers = async () => {
+  launcherRows.innerHTML = '';
+  ruleRows.innerHTML = '';
+  launcherConfig.launchers.forEach(addLauncherRow);
+  launcherConfig.rules.forEach(addRuleRow);
+  systemFallbackInput.checked = launcherConfig.systemFallback;
+
+  launcherDialog.returnValue = '';
+  launcherDialog.showModal();
+  await new Promise((resolve) => launcherDialog.addEventListener('close', resolve, { once: true }));
+  if (launcherDialog.returnValue !== 'confirm') return;
+
+  const launchers = Array.from(launcherRows.querySelectorAll('tr'))
+    .map((row) => {
+      const [name, program, args] = Array.from(row.querySelectorAll('input')).map((input) => input.value.trim());
+      return { id: row.dataset.id, name: name || program, program, args };
+    })
+    .filter((launcher) => launcher.program);
+  const rules = Array.from(ruleRows.querySelectorAll('tr'))
+    .map((row) => ({
+      pattern: row.querySelector('input').value.trim(),
+      launcherId: row.querySelector('select').value
+    }))
+    .filter((rule) => rule.pattern);
+  launcherConfig = { launchers, rules, systemFallback: systemFallbackInput.checked };
+  saveConfig();
+};
+
+browseButton.addEventListener('click', async () => {
+  const chosen = await window.fileExp.selectDirectory();
+  if (chosen) {
+    loadDirectory(getTargetPane(), chosen);
+  }
+});
+
+refreshButton.addEventListener('click', () => {
+  if (currentPathInput.value.trim()) {
+    loadDirectory(getTargetPane(), currentPathInput.value.trim());
+  }
+});
+
+editLaunchersButton.addEventListener('click', editLaunchers);
+
+addLauncherButton.addEventListener('click', () => addLauncherRow());
+
+addRuleButton.addEventListener('click', () => addRuleRow());
+
+renameSelectedButton.addEventListener('click', () => renameToTranslation(getSelectedEntries()));
+
+renameAllButton.addEventListener('click', () => renameToTranslation(getTargetPane().entries));
+
+undoRenameButton.addEventListener('click', async () => {
+  const response = await window.fileExp.undoLastRename();
+  if (!response.ok) {
+    setStatus(response.message || 'Undo failed.', 'error');
+    return;
+  }
+  const failed = response.results.filter((result) => !result.ok);
+  await reloadPane(getTargetPane());
+  if (failed.length > 0) {
+    setStatus(`Undo restored ${response.results.length - failed.length}, ${failed.length} failed.`, 'error');
+    return;
+  }
+  setStatus(`Undo restored ${response.results.length} entries.`, 'success');
+});
+
+browseTranslationDbButton.addEventListener('click', async () => {
+  const chosen = await window.fileExp.selectTranslationDb();
+  if (chosen) {
+    translationDbPathInput.value = chosen;
+  }
+});
+
+loadTranslationDbButton.addEventListener('click', async () => {
+  saveTranslationDbPath();
+  await loadTranslationDb(translationDbPathInput.value.trim());
+});
+
+translationTargetInput.addEventListener('change', async () => {
+  const target = translationTargetInput.value.trim();
+  if (!(await setTranslationTarget(target || 'en'))) {
+    translationTargetInput.value = window.localStorage.getItem(TRANSLATION_TARGET_KEY) || 'en';
+  }
+});
+
+translateDirectoryButton.addEventListener('click', () => {
+  saveTranslatorConfig();
+  requestTranslations(getTargetPane().entries);
+});
+
+[
+  translatorEndpointInput,
+  translatorModelInput,
+  translatorCertInput,
+  translatorClientCertInput,
+  translatorClientKeyInput,
+  translatorSubstitutionsInput,
+  translatorNameRulesInput,
+  autoTranslateInput
+].forEach((input) => input.addEventListener('change', saveTranslatorConfig));
+
+translatorApiKeyInput.addEventListener('change', saveProxyKey);
+translatorApiKeyInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter' && !translatorApiKeyInput.value) saveProxyKey();
+});
+
+openReviewButton.addEventListener('click', loadReviewQueue);
+
+editGlossaryButton.addEventListener('click', editGlossary);
+addGlossaryRuleButton.addEventListener('click', () => {
+  glossaryFilterInput.value = '';
+  filterGlossaryRows();
+  addGlossaryRow();
+  glossaryRows.lastElementChild.querySelector('input').focus();
+});
+glossaryFilterInput.addEventListener('input', filterGlossaryRows);
+checkGlossaryButton.addEventListener('click', checkGlossary);
+saveGlossaryButton.addEventListener('click', saveGlossary);
+
+openGeneratorButton.addEventListener('click', openGenerator);
+
+checkGeneratorProviderButton.addEventListener('click', async () => {
+  generatorSummary.textContent = 'Checking providers...';
+  const result = await window.fileExp.checkTranslationProvider({
+    ...readGeneratorSettings(),
+    ...readGeneratorKeys(),
+    ...getProxyClientCert()
+  });
+  generatorSummary.textContent = `${result.ok ? 'Ready.' : 'Not ready.'} ${result.message}`;
+});
+
+pauseGeneratorButton.addEventListener('click', () => {
+  if (generatorPaused) window.fileExp.resumeGenerator();
+  else window.fileExp.pauseGenerator();
+});
+
+cancelGeneratorButton.addEventListener('click', () => {
+  window.fileExp.cancelGenerator();
+  generatorLabel.textContent = 'Cancelling...';
+});
+
+window.fileExp.onGeneratorEvent(handleGeneratorEvent);
+
+refreshReviewButton.addEventListener('click', loadReviewQueue);
+
+reviewCurrentFolderInput.addEventListener('change', loadReviewQueue);
+
+closeReviewButton.addEventListener('click', () => {
+  reviewQueue.hidden = true;
+});
+
+window.fileExp.onTranslationResult((result) => {
+  applyTranslationResult(result);
+  if (result.status === 'failed') {
+    console.warn('Live translation failed', { path: result.filePath, error: result.error });
+  }
+});
+
+window.fileExp.onSearchResults((payload) => {
+  if (payload.searchId !== activeSearchId) return;
+  appendSearchHits(payload.hits);
+  if (!payload.done) {
+    searchSummary.textContent = `${searchHitCount} matches so far (${payload.scanned} entries scanned)...`;
+    return;
+  }
+  activeSearchId = null;
+  cancelSearchButton.hidden = true;
+  if (payload.error) {
+    searchSummary.textContent = `Search failed: ${payload.error}`;
+    return;
+  }
+  const notes = [payload.cancelled ? 'cancelled' : null, payload.truncated ? 'result limit reached' : null]
+    .filter(Boolean)
+    .join(', ');
+  searchSummary.textContent = `${searchHitCount} matches in ${payload.scanned} entries${notes ? ` (${notes})` : ''}`;
+});
+
+filterQueryInput.addEventListener('input', () => applyFilter());
+filterModeSelect.addEventListener('change', () => applyFilter());
+filterFieldSelect.addEventListener('change', () => applyFilter());
+untranslatedOnlyInput.addEventListener('change', () => applyFilter());
+
+searchSubfoldersButton.addEventListener('click', startRecursiveSearch);
+
+searchDbButton.addEventListener('click', searchTranslationDb);
+
+cancelSearchButton.addEventListener('click', () => {
+  const searchId = activeSearchId;
+  cancelActiveSearch();
+  if (searchId) searchSummary.textContent = `${searchHitCount} matches (cancelled)`;
+});
+
+closeSearchButton.addEventListener('click', () => {
+  cancelActiveSearch();
+  searchResults.hidden = true;
+});
+
+window.fileExp.onDirectoryChanged((payload) => {
+  const pane = panes.find((item) => item.watchId === payload.watchId);
+  if (!pane || payload.directory !== pane.directory) return;
+  if (payload.error) {
+    setStatus(`Stopped watching directory: ${payload.error}`, 'error');
+    return;
+  }
+  applyDirectoryChanges(pane, payload.changes);
+  applyFilter(pane);
+});
+
+currentPathInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    loadDirectory(getTargetPane(), currentPathInput.value.trim());
+  }
+});
+
+// Restores each pane's tabs and history; a pane without saved tabs opens one
+// tab on the initial directory.
+const restoreTabs = (saved, initial) => {
+  panes.forEach((pane, index) => {
+    const savedPane = saved?.panes?.[index];
+    const savedTabs = Array.isArray(savedPane?.tabs) ? savedPane.tabs.filter((tab) => tab?.directory) : [];
+    pane.tabs =
+      savedTabs.length > 0
+        ? savedTabs.map((tab) =>
+            createTab(tab.directory, {
+              backStack: Array.isArray(tab.backStack) ? tab.backStack : [],
+              forwardStack: Array.isArray(tab.forwardStack) ? tab.forwardStack : []
+            })
+          )
+        : [createTab(index === 0 ? initial : null)];
+    pane.activeTab = pane.tabs[Math.min(Math.max(savedPane?.activeTab || 0, 0), pane.tabs.length - 1)];
+    renderTabs(pane);
+  });
+};
 
 const initialize = async () => {
   loadConfig();
+  loadKeymap();
+  loadTranslatorConfig();
+  showProxyKeyStatus(await window.fileExp.getProxyCredentials());
+  panes.push(createPane(0), createPane(1));
+  panes[1].root.hidden = true;
+  const view = loadViewSettings();
+  setGridView(Boolean(view.grid));
+  setPreviewOpen(Boolean(view.preview));
+  await setTranslationTarget(window.localStorage.getItem(TRANSLATION_TARGET_KEY) || 'en', { reload: false });
   const savedDbPath = loadTranslationDbPath();
   if (savedDbPath) {
     translationDbPathInput.value = savedDbPath;
     await loadTranslationDb(savedDbPath);
   }
   const initial = await window.fileExp.getInitialDirectory();
-  await loadDirectory(initial);
+  const saved = loadSavedTabs();
+  restoreTabs(saved, initial);
+  setActivePane(panes[saved?.activePane === 1 && saved?.dualPane ? 1 : 0]);
+  await loadDirectory(panes[0], panes[0].activeTab.directory || initial, { recordHistory: false });
+  if (saved?.dualPane) await setDualPane(true);
 };
 
 initialize();
@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const FLUSH_INTERVAL_MS = 200;
+const MAX_HITS = 5000;
+
+// Breadth-first walk below `root`, reporting matches in small batches so the
+// renderer can show hits while the walk is still running. `isCancelled` is
+// polled between directories.
+const searchRecursive = async ({ root, matches, getTranslated, onHits, isCancelled }) => {
+  const pending = [path.resolve(root)];
+  let buffered = [];
+  let lastFlush = Date.now();
+  let scanned = 0;
+  let found = 0;
+
+  const flush = () => {
+    if (buffered.length === 0) return;
+    onHits(buffered, scanned);
+    buffered = [];
+    lastFlush = Date.now();
+  };
+
+  while (pending.length > 0 && !isCancelled() && found < MAX_HITS) {
+    const directory = pending.shift();
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      const isDirectory = entry.isDirectory();
+      scanned += 1;
+      if (isDirectory) pending.push(fullPath);
+
+      const translated = getTranslated(fullPath, isDirectory);
+      if (matches({ name: entry.name, translated })) {
+        buffered.push({ name: entry.name, translated, fullPath, directory, isDirectory });
+        found += 1;
+        if (found >= MAX_HITS) break;
+      }
+    }
+
+    if (Date.now() - lastFlush >= FLUSH_INTERVAL_MS) flush();
+  }
+
+  flush();
+  return { scanned, found, truncated: found >= MAX_HITS, cancelled: isCancelled() };
+};
+
+const searchTranslationEntries = (entries, matches) => {
+  const hits = [];
+  for (const entry of entries) {
+    if (!entry?.file_path) continue;
+    const name = entry.file_name || path.basename(entry.file_path);
+    const translated = entry.translated_name || null;
+    if (matches({ name, translated })) {
+      hits.push({
+        name,
+        translated,
+        fullPath: entry.file_path,
+        directory: path.dirname(entry.file_path),
+        isDirectory: Boolean(entry.is_directory)
+      });
+      if (hits.length >= MAX_HITS) break;
+    }
+  }
+  return hits;
+};
+
+module.exports = { searchRecursive, searchTranslationEntries };
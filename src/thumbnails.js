@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { pathToFileURL } = require('url');
+const { createRequestQueue } = require('../lib/request-queue');
+const { writeFileAtomic } = require('../lib/atomic-file');
+const { listZipEntries, readZipEntry } = require('../lib/zip-reader');
+
+const IMAGE_EXTENSIONS = new Set(['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'avif']);
+const ARCHIVE_EXTENSIONS = new Set(['zip', 'cbz']);
+// Where the OS can render thumbnails itself, including PDF pages and image
+// formats `nativeImage` cannot decode.
+const SYSTEM_THUMBNAIL_PLATFORMS = new Set(['darwin', 'win32']);
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+
+const extensionOf = (name) => path.extname(name).slice(1).toLowerCase();
+
+// `image`, `pdf`, `archive`, or null for files without a thumbnail.
+const thumbnailKind = (filePath) => {
+  const extension = extensionOf(filePath);
+  if (IMAGE_EXTENSIONS.has(extension)) return 'image';
+  if (extension === 'pdf') return 'pdf';
+  if (ARCHIVE_EXTENSIONS.has(extension)) return 'archive';
+  return null;
+};
+
+const naturalCompare = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }).compare;
+
+// The images of an archive in reading order, leaving out macOS resource forks
+// and other hidden files.
+const archivePages = (entries) =>
+  entries
+    .filter(
+      (entry) =>
+        !entry.isDirectory &&
+        IMAGE_EXTENSIONS.has(extensionOf(entry.name)) &&
+        !entry.name.split('/').some((part) => part.startsWith('.') || part === '__MACOSX')
+    )
+    .sort((a, b) => naturalCompare(a.name, b.name));
+
+const coverOf = (pages) => pages.find((page) => /^cover/i.test(path.posix.basename(page.name))) || pages[0];
+
+const runFile = (command, args) =>
+  new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: 30000 }, (error) => (error ? reject(error) : resolve()));
+  });
+
+// Thumbnails of images, the first page of PDFs and the cover of ZIP/CBZ
+// archives, at most `size` pixels on their longer side. They are cached as
+// JPEGs in `directory`, keyed by path, modification time and size, so a
+// changed file gets a new thumbnail and the old one ages out in `prune`.
+// Files that fail are remembered until they change.
+const createThumbnailCache = ({
+  directory,
+  nativeImage,
+  size = 256,
+  platform = process.platform,
+  concurrency = 2
+}) => {
+  const queue = createRequestQueue({ concurrency, maxQueued: Infinity });
+  const pending = new Map();
+  const failures = new Map();
+  const systemThumbnails = SYSTEM_THUMBNAIL_PLATFORMS.has(platform);
+  let tempCount = 0;
+  let ready = null;
+
+  const ensureDirectory = () => {
+    ready = ready || fs.mkdir(directory, { recursive: true });
+    return ready;
+  };
+
+  const systemThumbnail = (filePath) => nativeImage.createThumbnailFromPath(filePath, { width: size, height: size });
+
+  const fit = (image) => {
+    const { width, height } = image.getSize();
+    if (Math.max(width, height) <= size) return image;
+    return image.resize(width >= height ? { width: size, quality: 'good' } : { height: size, quality: 'good' });
+  };
+
+  // `nativeImage` decodes PNG and JPEG everywhere; other formats go through
+  // the OS where it has a thumbnailer.
+  const decodeImage = async (data, extension) => {
+    const image = nativeImage.createFromBuffer(data);
+    if (!image.isEmpty()) return fit(image);
+    if (!systemThumbnails) throw new Error(`.${extension} images cannot be decoded on this platform.`);
+    tempCount += 1;
+    const tempPath = path.join(directory, `decode-${process.pid}-${tempCount}.${extension}`);
+    await fs.writeFile(tempPath, data);
+    try {
+      return await systemThumbnail(tempPath);
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  };
+
+  const renderArchive = async (filePath) => {
+    const cover = coverOf(archivePages(await listZipEntries(filePath)));
+    if (!cover) throw new Error('The archive holds no images.');
+    return decodeImage(await readZipEntry(filePath, cover), extensionOf(cover.name));
+  };
+
+  const toJpeg = (image) => {
+    if (image.isEmpty()) throw new Error('No thumbnail could be made.');
+    return image.toJPEG(85);
+  };
+
+  // Without an OS thumbnailer, PDFs are rendered by poppler's `pdftoppm`.
+  const renderPdf = async (filePath) => {
+    if (systemThumbnails) return toJpeg(await systemThumbnail(filePath));
+    tempCount += 1;
+    const prefix = path.join(directory, `pdf-${process.pid}-${tempCount}`);
+    try {
+      const args = ['-f', '1', '-l', '1', '-singlefile', '-jpeg', '-scale-to', `${size}`, filePath, prefix];
+      await runFile('pdftoppm', args);
+      return await fs.readFile(`${prefix}.jpg`);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error('PDF thumbnails need pdftoppm (poppler-utils) on this platform.');
+      throw error;
+    } finally {
+      await fs.rm(`${prefix}.jpg`, { force: true });
+    }
+  };
+
+  const render = async (filePath, kind) => {
+    await ensureDirectory();
+    if (kind === 'pdf') return renderPdf(filePath);
+    if (kind === 'archive') return toJpeg(await renderArchive(filePath));
+    return toJpeg(await decodeImage(await fs.readFile(filePath), extensionOf(filePath)));
+  };
+
+  const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+  // `{ ok, url }` with a file URL of the cached thumbnail, or `{ ok: false,
+  // message }`.
+  const get = async (filePath) => {
+    const kind = thumbnailKind(filePath);
+    if (!kind) return { ok: false, message: 'No thumbnail for this type of file.' };
+    const stats = await fs.stat(filePath);
+    const key = crypto.createHash('sha1').update(`${filePath}\0${stats.mtimeMs}\0${size}`).digest('hex');
+    const cachePath = path.join(directory, `${key}.jpg`);
+    if (failures.has(key)) return { ok: false, message: failures.get(key) };
+    if (!pending.has(key)) {
+      const task = async () => {
+        if (!(await exists(cachePath))) await writeFileAtomic(cachePath, await render(filePath, kind));
+        return { ok: true, url: pathToFileURL(cachePath).href };
+      };
+      const promise = queue
+        .run(task)
+        .catch((error) => {
+          failures.set(key, error.message);
+          return { ok: false, message: error.message };
+        })
+        .finally(() => pending.delete(key));
+      pending.set(key, promise);
+    }
+    return pending.get(key);
+  };
+
+  // Removes the oldest thumbnails until the cache fits in `maxBytes`.
+  const prune = async ({ maxBytes = DEFAULT_MAX_BYTES } = {}) => {
+    const names = await fs.readdir(directory).catch(() => []);
+    const files = await Promise.all(
+      names
+        .filter((name) => name.endsWith('.jpg'))
+        .map(async (name) => {
+          const filePath = path.join(directory, name);
+          const stats = await fs.stat(filePath).catch(() => null);
+          return stats && { filePath, size: stats.size, modified: stats.mtimeMs };
+        })
+    );
+    let total = 0;
+    let removed = 0;
+    const newestFirst = files.filter(Boolean).sort((a, b) => b.modified - a.modified);
+    for (const file of newestFirst) {
+      total += file.size;
+      if (total <= maxBytes) continue;
+      await fs.rm(file.filePath, { force: true });
+      removed += 1;
+    }
+    return removed;
+  };
+
+  return { get, prune };
+};
+
+module.exports = { thumbnailKind, archivePages, createThumbnailCache };